@@ -0,0 +1,134 @@
+using System.Security.Cryptography;
+using System.Text;
+using BabyMonitarr.Backend.Models;
+using BabyMonitarr.Backend.Services;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.Extensions.FileProviders;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace BabyMonitarr.Backend.Tests.Services;
+
+public class AssetManifestServiceTests : IDisposable
+{
+    private readonly string _webRoot = Path.Combine(Path.GetTempPath(), $"bm-assets-{Guid.NewGuid():N}");
+    private readonly PhysicalFileProvider _fileProvider;
+
+    private sealed class TestEnvironment : IWebHostEnvironment
+    {
+        public string WebRootPath { get; set; } = string.Empty;
+        public IFileProvider WebRootFileProvider { get; set; } = new NullFileProvider();
+        public string ApplicationName { get; set; } = "BabyMonitarr.Backend";
+        public IFileProvider ContentRootFileProvider { get; set; } = new NullFileProvider();
+        public string ContentRootPath { get; set; } = string.Empty;
+        public string EnvironmentName { get; set; } = "Development";
+    }
+
+    private sealed class TestVersionProvider : IAppVersionProvider
+    {
+        public string DisplayVersion => "1.2.3";
+    }
+
+    public AssetManifestServiceTests()
+    {
+        Directory.CreateDirectory(_webRoot);
+        _fileProvider = new PhysicalFileProvider(_webRoot);
+    }
+
+    public void Dispose()
+    {
+        _fileProvider.Dispose();
+        Directory.Delete(_webRoot, recursive: true);
+    }
+
+    private void WriteFile(string relativePath, string content)
+    {
+        string path = Path.Combine(_webRoot, relativePath);
+        Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+        File.WriteAllText(path, content);
+    }
+
+    private AssetManifestService CreateService()
+    {
+        var environment = new TestEnvironment { WebRootPath = _webRoot, WebRootFileProvider = _fileProvider };
+        return new AssetManifestService(NullLogger<AssetManifestService>.Instance, environment, new TestVersionProvider());
+    }
+
+    private static string ExpectedHash(string content)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(content)))[..16].ToLowerInvariant();
+    }
+
+    private static List<string> LocalUrls(AssetManifest manifest)
+    {
+        return manifest.Assets.Select(a => a.Url).Where(url => url.StartsWith('/')).ToList();
+    }
+
+    [Fact]
+    public void GetManifest_ListsFilesUnderTheWebRoot()
+    {
+        WriteFile("index.html", "<html></html>");
+        WriteFile("js/site.js", "console.log('site');");
+        WriteFile("lib/bootstrap/dist/css/bootstrap.min.css", "body{}");
+
+        var manifest = CreateService().GetManifest();
+
+        Assert.Equal(
+            new List<string> { "/index.html", "/js/site.js", "/lib/bootstrap/dist/css/bootstrap.min.css" },
+            LocalUrls(manifest));
+        Assert.Equal("1.2.3", manifest.Version);
+    }
+
+    [Fact]
+    public void GetManifest_HashesFileContent()
+    {
+        WriteFile("js/site.js", "console.log('site');");
+
+        var manifest = CreateService().GetManifest();
+
+        var entry = manifest.Assets.Single(a => a.Url == "/js/site.js");
+        Assert.Equal(ExpectedHash("console.log('site');"), entry.Hash);
+    }
+
+    [Fact]
+    public void GetManifest_RehashesChangedFiles()
+    {
+        WriteFile("js/site.js", "console.log('site');");
+        var service = CreateService();
+        string before = service.GetManifest().Assets.Single(a => a.Url == "/js/site.js").Hash;
+
+        WriteFile("js/site.js", "console.log('site, updated');");
+        File.SetLastWriteTimeUtc(Path.Combine(_webRoot, "js/site.js"), DateTime.UtcNow.AddMinutes(1));
+        string after = service.GetManifest().Assets.Single(a => a.Url == "/js/site.js").Hash;
+
+        Assert.NotEqual(before, after);
+        Assert.Equal(ExpectedHash("console.log('site, updated');"), after);
+    }
+
+    [Fact]
+    public void GetManifest_LeavesOutTheWorkerManifestAndSourceMaps()
+    {
+        WriteFile("sw.js", "self.addEventListener('fetch', () => {});");
+        WriteFile("manifest.json", "{}");
+        WriteFile("js/site.js", "console.log('site');");
+        WriteFile("lib/signalr/signalr.min.js.map", "{}");
+        WriteFile("js/sw.js", "// not the worker");
+
+        var urls = LocalUrls(CreateService().GetManifest());
+
+        Assert.DoesNotContain("/sw.js", urls);
+        Assert.DoesNotContain("/manifest.json", urls);
+        Assert.DoesNotContain("/lib/signalr/signalr.min.js.map", urls);
+        Assert.Contains("/js/site.js", urls);
+        Assert.Contains("/js/sw.js", urls);
+    }
+
+    [Fact]
+    public void GetManifest_IncludesExternalAssetsHashedByUrl()
+    {
+        var manifest = CreateService().GetManifest();
+
+        Assert.Empty(LocalUrls(manifest));
+        var fontAwesome = manifest.Assets.Single(a => a.Url.EndsWith("font-awesome/6.5.1/css/all.min.css"));
+        Assert.Equal(ExpectedHash(fontAwesome.Url), fontAwesome.Hash);
+    }
+}
@@ -0,0 +1,291 @@
+using BabyMonitarr.Backend.Models;
+using BabyMonitarr.Backend.Services;
+
+namespace BabyMonitarr.Backend.Tests.Services;
+
+public class RoomAlertPolicyTests
+{
+    // 2024-01-01 is a Monday
+    private static readonly DateTime Monday = new(2024, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+    private static readonly TimeSpan Sample = TimeSpan.FromMilliseconds(100);
+
+    private const string SustainedRules =
+        """{"enabled":true,"rules":[{"type":"sustained","levelDb":-30,"durationSeconds":3}]}""";
+
+    private static RoomAlertPolicy CreatePolicy(string? rulesJson = null, string? scheduleJson = null)
+    {
+        return RoomAlertPolicy.FromRoom(new Room
+        {
+            Name = "Nursery",
+            AlertRulesJson = rulesJson,
+            AlertScheduleJson = scheduleJson
+        });
+    }
+
+    private static string Schedule(string windows)
+    {
+        return $$"""{"enabled":true,"windows":[{{windows}}],"timeZone":"UTC"}""";
+    }
+
+    // Feeds one reading per sample interval and returns the first notification with its time
+    private static (string? Description, DateTime At) Feed(RoomAlertPolicy policy, double level, DateTime from, TimeSpan duration)
+    {
+        for (var at = from; at < from + duration; at += Sample)
+        {
+            string? description = policy.EvaluateRules(level, at);
+            if (description != null)
+                return (description, at);
+        }
+        return (null, from + duration);
+    }
+
+    #region Schedule
+    [Fact]
+    public void IsAlertingAt_WithoutSchedule_AlwaysAlerts()
+    {
+        var policy = CreatePolicy();
+
+        Assert.True(policy.IsAlertingAt(Monday.AddHours(3)));
+        Assert.True(policy.IsAlertingAt(Monday.AddDays(3).AddHours(15)));
+    }
+
+    [Theory]
+    [InlineData(10, true)]
+    [InlineData(9, true)]
+    [InlineData(8, false)]
+    [InlineData(17, false)]
+    [InlineData(20, false)]
+    public void IsAlertingAt_DaytimeWindow_AlertsOnlyInsideIt(int hour, bool expected)
+    {
+        var policy = CreatePolicy(scheduleJson: Schedule("""{"days":[1],"start":"09:00","end":"17:00"}"""));
+
+        Assert.Equal(expected, policy.IsAlertingAt(Monday.AddHours(hour)));
+    }
+
+    [Fact]
+    public void IsAlertingAt_DaytimeWindow_IgnoresOtherDays()
+    {
+        var policy = CreatePolicy(scheduleJson: Schedule("""{"days":[1],"start":"09:00","end":"17:00"}"""));
+
+        Assert.False(policy.IsAlertingAt(Monday.AddDays(1).AddHours(10)));
+    }
+
+    [Fact]
+    public void IsAlertingAt_OvernightWindow_BelongsToTheDayItStarts()
+    {
+        var policy = CreatePolicy(scheduleJson: Schedule("""{"days":[1],"start":"22:00","end":"06:00"}"""));
+
+        Assert.False(policy.IsAlertingAt(Monday.AddHours(3)));
+        Assert.True(policy.IsAlertingAt(Monday.AddHours(23)));
+        Assert.True(policy.IsAlertingAt(Monday.AddDays(1).AddHours(3)));
+        Assert.False(policy.IsAlertingAt(Monday.AddDays(1).AddHours(6)));
+        Assert.False(policy.IsAlertingAt(Monday.AddDays(1).AddHours(23)));
+    }
+
+    [Fact]
+    public void IsAlertingAt_SameStartAndEnd_CoversTheWholeDay()
+    {
+        var policy = CreatePolicy(scheduleJson: Schedule("""{"days":[1],"start":"00:00","end":"00:00"}"""));
+
+        Assert.True(policy.IsAlertingAt(Monday));
+        Assert.True(policy.IsAlertingAt(Monday.AddHours(23).AddMinutes(59)));
+        Assert.False(policy.IsAlertingAt(Monday.AddDays(1)));
+    }
+
+    [Fact]
+    public void IsAlertingAt_UsesTheScheduleTimeZone()
+    {
+        var policy = CreatePolicy(scheduleJson:
+            """{"enabled":true,"windows":[{"days":[1],"start":"09:00","end":"10:00"}],"timeZone":"Etc/GMT-2"}""");
+
+        // Etc/GMT-2 is UTC+2
+        Assert.True(policy.IsAlertingAt(Monday.AddHours(7).AddMinutes(30)));
+        Assert.False(policy.IsAlertingAt(Monday.AddHours(9).AddMinutes(30)));
+    }
+
+    [Theory]
+    [InlineData("""{"enabled":false,"windows":[{"days":[1],"start":"09:00","end":"17:00"}],"timeZone":"UTC"}""")]
+    [InlineData("""{"enabled":true,"windows":[],"timeZone":"UTC"}""")]
+    [InlineData("not json")]
+    [InlineData("")]
+    public void IsAlertingAt_DisabledEmptyOrInvalidSchedule_AlwaysAlerts(string scheduleJson)
+    {
+        var policy = CreatePolicy(scheduleJson: scheduleJson);
+
+        Assert.True(policy.IsAlertingAt(Monday.AddHours(3)));
+    }
+
+    [Fact]
+    public void IsAlertingAt_WindowWithBadTimes_NeverMatches()
+    {
+        var policy = CreatePolicy(scheduleJson: Schedule("""{"days":[1],"start":"9am","end":"17:00"}"""));
+
+        Assert.False(policy.IsAlertingAt(Monday.AddHours(10)));
+    }
+    #endregion
+
+    #region Rules
+    [Theory]
+    [InlineData("")]
+    [InlineData("not json")]
+    [InlineData("""{"enabled":false,"rules":[{"type":"sustained","levelDb":-30,"durationSeconds":3}]}""")]
+    [InlineData("""{"enabled":true,"rules":[{"type":"sustained","levelDb":-30,"durationSeconds":0}]}""")]
+    [InlineData("""{"enabled":true,"rules":[{"type":"spikes","levelDb":-30,"count":3}]}""")]
+    [InlineData("""{"enabled":true,"rules":[{"type":"loud","levelDb":-30,"durationSeconds":3}]}""")]
+    public void HasRules_WithoutAValidEnabledRule_IsFalse(string rulesJson)
+    {
+        var policy = CreatePolicy(rulesJson);
+
+        Assert.False(policy.HasRules);
+        Assert.Null(policy.EvaluateRules(0, Monday));
+    }
+
+    [Fact]
+    public void HasRules_SkipsInvalidRulesButKeepsValidOnes()
+    {
+        var policy = CreatePolicy(
+            """{"enabled":true,"rules":[{"type":"sustained","levelDb":-30},{"type":"sustained","levelDb":-30,"durationSeconds":3}]}""");
+
+        Assert.True(policy.HasRules);
+    }
+
+    [Fact]
+    public void EvaluateRules_Sustained_NotifiesOnceTheLevelHasHeldForTheDuration()
+    {
+        var policy = CreatePolicy(SustainedRules);
+
+        var (description, at) = Feed(policy, -20, Monday, TimeSpan.FromSeconds(5));
+
+        Assert.Equal("above -30 dB for 3s", description);
+        Assert.Equal(Monday.AddSeconds(3), at);
+    }
+
+    [Fact]
+    public void EvaluateRules_Sustained_RestartsWhenTheLevelDrops()
+    {
+        var policy = CreatePolicy(SustainedRules);
+
+        Assert.Null(Feed(policy, -20, Monday, TimeSpan.FromSeconds(2)).Description);
+        Assert.Null(policy.EvaluateRules(-50, Monday.AddSeconds(2)));
+
+        var (description, at) = Feed(policy, -20, Monday.AddSeconds(2) + Sample, TimeSpan.FromSeconds(5));
+
+        Assert.NotNull(description);
+        Assert.Equal(Monday.AddSeconds(5) + Sample, at);
+    }
+
+    [Fact]
+    public void EvaluateRules_Spikes_NotifiesOnTheCountedCrossing()
+    {
+        var policy = CreatePolicy(
+            """{"enabled":true,"rules":[{"type":"spikes","levelDb":-30,"count":3,"windowMinutes":1}]}""");
+
+        var at = Monday;
+        string? description = null;
+        for (int spike = 1; spike <= 3; spike++)
+        {
+            Assert.Null(description);
+            description = policy.EvaluateRules(-20, at);
+            Assert.Null(policy.EvaluateRules(-20, at += Sample));
+            Assert.Null(policy.EvaluateRules(-50, at += Sample));
+            at += TimeSpan.FromSeconds(5);
+        }
+
+        Assert.Equal("3 spikes above -30 dB within 1 min", description);
+    }
+
+    [Fact]
+    public void EvaluateRules_Spikes_ForgetsCrossingsOutsideTheWindow()
+    {
+        var policy = CreatePolicy(
+            """{"enabled":true,"rules":[{"type":"spikes","levelDb":-30,"count":2,"windowMinutes":1}]}""");
+
+        Assert.Null(policy.EvaluateRules(-20, Monday));
+        Assert.Null(policy.EvaluateRules(-50, Monday.AddSeconds(1)));
+
+        Assert.Null(policy.EvaluateRules(-20, Monday.AddMinutes(2)));
+    }
+
+    [Fact]
+    public void EvaluateRules_NotifiesOncePerEpisode()
+    {
+        var policy = CreatePolicy(SustainedRules);
+
+        var (first, at) = Feed(policy, -20, Monday, TimeSpan.FromSeconds(5));
+        Assert.NotNull(first);
+
+        Assert.Null(Feed(policy, -20, at + Sample, TimeSpan.FromSeconds(30)).Description);
+    }
+
+    [Fact]
+    public void EvaluateRules_NewEpisodeAfterQuietReset_NotifiesAgain()
+    {
+        var policy = CreatePolicy(
+            """{"enabled":true,"rules":[{"type":"sustained","levelDb":-30,"durationSeconds":1}],"escalation":{"quietResetSeconds":10}}""");
+
+        var (first, at) = Feed(policy, -20, Monday, TimeSpan.FromSeconds(2));
+        Assert.NotNull(first);
+
+        // Quiet for less than the reset: still the same episode
+        Assert.Null(Feed(policy, -50, at + Sample, TimeSpan.FromSeconds(5)).Description);
+        at += TimeSpan.FromSeconds(5) + Sample;
+        Assert.Null(Feed(policy, -20, at, TimeSpan.FromSeconds(3)).Description);
+        at += TimeSpan.FromSeconds(3);
+
+        // Quiet long enough to end it
+        Assert.Null(Feed(policy, -50, at, TimeSpan.FromSeconds(11)).Description);
+        at += TimeSpan.FromSeconds(11);
+        Assert.NotNull(Feed(policy, -20, at, TimeSpan.FromSeconds(2)).Description);
+    }
+
+    [Fact]
+    public void EvaluateRules_WaitsForNotifyAfter()
+    {
+        var policy = CreatePolicy(
+            """{"enabled":true,"rules":[{"type":"sustained","levelDb":-30,"durationSeconds":1}],"escalation":{"notifyAfterSeconds":5}}""");
+
+        var (description, at) = Feed(policy, -20, Monday, TimeSpan.FromSeconds(10));
+
+        // The rule matches after 1s; the episode starts there and notifies 5s later
+        Assert.NotNull(description);
+        Assert.Equal(Monday.AddSeconds(6), at);
+    }
+
+    [Fact]
+    public void EvaluateRules_IgnoresReadingsFasterThanTheSampleInterval()
+    {
+        var policy = CreatePolicy(
+            """{"enabled":true,"rules":[{"type":"spikes","levelDb":-30,"count":2,"windowMinutes":1}]}""");
+
+        Assert.Null(policy.EvaluateRules(-20, Monday));
+        Assert.Null(policy.EvaluateRules(-50, Monday.AddMilliseconds(10)));
+        Assert.Null(policy.EvaluateRules(-20, Monday.AddMilliseconds(20)));
+
+        Assert.Null(policy.EvaluateRules(-50, Monday.AddMilliseconds(200)));
+        Assert.NotNull(policy.EvaluateRules(-20, Monday.AddMilliseconds(300)));
+    }
+
+    [Theory]
+    [InlineData(double.NaN)]
+    [InlineData(double.PositiveInfinity)]
+    [InlineData(double.NegativeInfinity)]
+    public void EvaluateRules_IgnoresNonFiniteLevels(double level)
+    {
+        var policy = CreatePolicy(SustainedRules);
+
+        Assert.Null(Feed(policy, level, Monday, TimeSpan.FromSeconds(5)).Description);
+    }
+    #endregion
+
+    [Fact]
+    public void Matches_ComparesTheRoomsRulesAndSchedule()
+    {
+        var room = new Room { Name = "Nursery", AlertRulesJson = SustainedRules, AlertScheduleJson = null };
+        var policy = RoomAlertPolicy.FromRoom(room);
+
+        Assert.True(policy.Matches(room));
+
+        room.AlertScheduleJson = Schedule("""{"days":[1],"start":"09:00","end":"17:00"}""");
+        Assert.False(policy.Matches(room));
+    }
+}
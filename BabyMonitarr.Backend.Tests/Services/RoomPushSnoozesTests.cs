@@ -0,0 +1,95 @@
+using BabyMonitarr.Backend.Services;
+
+namespace BabyMonitarr.Backend.Tests.Services;
+
+public class RoomPushSnoozesTests
+{
+    private const int RoomId = 1;
+    private static readonly DateTime Now = new(2024, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+
+    [Fact]
+    public void IsSnoozed_WithoutSnoozeOrMute_IsFalse()
+    {
+        var snoozes = new RoomPushSnoozes();
+
+        Assert.False(snoozes.IsSnoozed(RoomId, Now, out bool muted));
+        Assert.False(muted);
+    }
+
+    [Fact]
+    public void Snooze_HoldsUntilItLapses()
+    {
+        var snoozes = new RoomPushSnoozes();
+        snoozes.Snooze(RoomId, Now.AddMinutes(15));
+
+        Assert.True(snoozes.IsSnoozed(RoomId, Now.AddMinutes(14), out bool muted));
+        Assert.False(muted);
+        Assert.False(snoozes.IsSnoozed(RoomId, Now.AddMinutes(15), out _));
+        Assert.False(snoozes.IsSnoozed(RoomId, Now, out _));
+    }
+
+    [Fact]
+    public void Snooze_OnlyAffectsItsRoom()
+    {
+        var snoozes = new RoomPushSnoozes();
+        snoozes.Snooze(RoomId, Now.AddMinutes(15));
+
+        Assert.False(snoozes.IsSnoozed(RoomId + 1, Now, out _));
+    }
+
+    [Fact]
+    public void Snooze_ReplacesAnEarlierSnooze()
+    {
+        var snoozes = new RoomPushSnoozes();
+        snoozes.Snooze(RoomId, Now.AddMinutes(60));
+        snoozes.Snooze(RoomId, Now.AddMinutes(5));
+
+        Assert.False(snoozes.IsSnoozed(RoomId, Now.AddMinutes(10), out _));
+    }
+
+    [Fact]
+    public void SetMuted_HoldsUntilUnmuted()
+    {
+        var snoozes = new RoomPushSnoozes();
+
+        Assert.True(snoozes.SetMuted(RoomId, true));
+        Assert.True(snoozes.IsSnoozed(RoomId, Now.AddDays(30), out bool muted));
+        Assert.True(muted);
+
+        Assert.True(snoozes.SetMuted(RoomId, false));
+        Assert.False(snoozes.IsSnoozed(RoomId, Now, out _));
+    }
+
+    [Fact]
+    public void Snooze_DoesNotShortenAMute()
+    {
+        var snoozes = new RoomPushSnoozes();
+        snoozes.SetMuted(RoomId, true);
+        snoozes.Snooze(RoomId, Now.AddMinutes(15));
+
+        Assert.True(snoozes.IsSnoozed(RoomId, Now.AddHours(1), out bool muted));
+        Assert.True(muted);
+    }
+
+    [Fact]
+    public void SetMuted_UnmutingLeavesASnoozeInPlace()
+    {
+        var snoozes = new RoomPushSnoozes();
+        snoozes.Snooze(RoomId, Now.AddMinutes(15));
+
+        Assert.False(snoozes.SetMuted(RoomId, false));
+        Assert.True(snoozes.IsSnoozed(RoomId, Now, out bool muted));
+        Assert.False(muted);
+    }
+
+    [Fact]
+    public void SetMuted_OverridesASnooze()
+    {
+        var snoozes = new RoomPushSnoozes();
+        snoozes.Snooze(RoomId, Now.AddMinutes(15));
+        snoozes.SetMuted(RoomId, true);
+
+        Assert.True(snoozes.IsSnoozed(RoomId, Now.AddHours(1), out bool muted));
+        Assert.True(muted);
+    }
+}
@@ -1,5 +1,6 @@
 using System;
 using System.Diagnostics;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using BabyMonitarr.Backend.Models;
@@ -11,11 +12,16 @@ namespace BabyMonitarr.Backend.Controllers
     {
         private readonly ILogger<HomeController> _logger;
         private readonly IRoomService _roomService;
+        private readonly IAssetManifestService _assetManifestService;
 
-        public HomeController(ILogger<HomeController> logger, IRoomService roomService)
+        public HomeController(
+            ILogger<HomeController> logger,
+            IRoomService roomService,
+            IAssetManifestService assetManifestService)
         {
             _logger = logger;
             _roomService = roomService;
+            _assetManifestService = assetManifestService;
         }
 
         public IActionResult Dashboard()
@@ -39,6 +45,15 @@ namespace BabyMonitarr.Backend.Controllers
             return View();
         }
 
+        // Pre-cache list for the service worker; anonymous like the static files it lists
+        [AllowAnonymous]
+        [HttpGet("/asset-manifest.json")]
+        [ResponseCache(Duration = 0, Location = ResponseCacheLocation.None, NoStore = true)]
+        public IActionResult AssetManifest()
+        {
+            return Json(_assetManifestService.GetManifest());
+        }
+
         [ResponseCache(Duration = 0, Location = ResponseCacheLocation.None, NoStore = true)]
         public IActionResult Error()
         {
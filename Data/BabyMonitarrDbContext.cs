@@ -12,6 +12,8 @@ public class BabyMonitarrDbContext : DbContext
     public DbSet<GoogleNestSettings> GoogleNestSettings => Set<GoogleNestSettings>();
     public DbSet<User> Users => Set<User>();
     public DbSet<ApiKey> ApiKeys => Set<ApiKey>();
+    public DbSet<PushDevice> PushDevices => Set<PushDevice>();
+    public DbSet<PushSettings> PushSettings => Set<PushSettings>();
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -37,6 +39,11 @@ public class BabyMonitarrDbContext : DbContext
                 .OnDelete(DeleteBehavior.Cascade);
         });
 
+        modelBuilder.Entity<PushDevice>(entity =>
+        {
+            entity.HasIndex(d => d.Endpoint).IsUnique();
+        });
+
         modelBuilder.Entity<GlobalSettings>().HasData(new GlobalSettings { Id = 1 });
         modelBuilder.Entity<GoogleNestSettings>().HasData(new GoogleNestSettings { Id = 1 });
     }
@@ -19,6 +19,10 @@ public class AudioStreamHub : Hub
     private readonly IGoogleNestAuthService _nestAuthService;
     private readonly IGoogleNestDeviceService _nestDeviceService;
     private readonly IWebRtcConfigService _webRtcConfigService;
+    private readonly IStreamSourceTestService _streamSourceTestService;
+    private readonly IPushNotificationService _pushNotificationService;
+
+    private static readonly TimeSpan SourceTestTimeout = TimeSpan.FromSeconds(20);
 
     public AudioStreamHub(
         ILogger<AudioStreamHub> logger,
@@ -29,7 +33,9 @@ public class AudioStreamHub : Hub
         IVideoStreamingService videoStreamingService,
         IGoogleNestAuthService nestAuthService,
         IGoogleNestDeviceService nestDeviceService,
-        IWebRtcConfigService webRtcConfigService)
+        IWebRtcConfigService webRtcConfigService,
+        IStreamSourceTestService streamSourceTestService,
+        IPushNotificationService pushNotificationService)
     {
         _logger = logger;
         _audioWebRtcService = audioWebRtcService;
@@ -40,6 +46,8 @@ public class AudioStreamHub : Hub
         _nestAuthService = nestAuthService;
         _nestDeviceService = nestDeviceService;
         _webRtcConfigService = webRtcConfigService;
+        _streamSourceTestService = streamSourceTestService;
+        _pushNotificationService = pushNotificationService;
     }
 
     public override async Task OnConnectedAsync()
@@ -100,6 +108,14 @@ public class AudioStreamHub : Hub
         await _audioWebRtcService.AddAudioIceCandidate(Context.ConnectionId, roomId, iceCandidate);
     }
 
+    public async Task<string> RestartAudioIce(int roomId)
+    {
+        _logger.LogInformation("Client {ConnectionId} requested audio ICE restart for room {RoomId}",
+            Context.ConnectionId, roomId);
+
+        return await _audioWebRtcService.RestartAudioIce(Context.ConnectionId, roomId);
+    }
+
     public async Task StopAudioStream(int roomId)
     {
         _logger.LogInformation("Client {ConnectionId} requested to stop audio stream for room {RoomId}",
@@ -147,6 +163,14 @@ public class AudioStreamHub : Hub
         await _videoWebRtcService.AddVideoIceCandidate(Context.ConnectionId, roomId, iceCandidate);
     }
 
+    public async Task<string> RestartVideoIce(int roomId)
+    {
+        _logger.LogInformation("Client {ConnectionId} requested video ICE restart for room {RoomId}",
+            Context.ConnectionId, roomId);
+
+        return await _videoWebRtcService.RestartVideoIce(Context.ConnectionId, roomId);
+    }
+
     public async Task StopVideoStream(int roomId)
     {
         _logger.LogInformation("Client {ConnectionId} requested to stop video stream for room {RoomId}",
@@ -165,7 +189,8 @@ public class AudioStreamHub : Hub
     #region Room Management
     public async Task<List<Room>> GetRooms()
     {
-        return await _roomService.GetAllRoomsAsync();
+        var rooms = await _roomService.GetAllRoomsAsync();
+        return rooms.Select(r => r.ForClient()).ToList();
     }
 
     public async Task<Room> CreateRoom(Room room)
@@ -173,8 +198,9 @@ public class AudioStreamHub : Hub
         var created = await _roomService.CreateRoomAsync(room);
         _videoStreamingService.RefreshRooms();
         _audioStreamingService.RefreshRooms();
+        _pushNotificationService.RequestRoomSync();
         await Clients.Others.SendAsync("RoomsUpdated");
-        return created;
+        return created.ForClient();
     }
 
     public async Task<Room?> UpdateRoom(Room room)
@@ -184,9 +210,10 @@ public class AudioStreamHub : Hub
         {
             _videoStreamingService.RefreshRooms();
             _audioStreamingService.RefreshRooms();
+            _pushNotificationService.RequestRoomSync();
             await Clients.Others.SendAsync("RoomsUpdated");
         }
-        return updated;
+        return updated?.ForClient();
     }
 
     public async Task<bool> DeleteRoom(int id)
@@ -196,14 +223,80 @@ public class AudioStreamHub : Hub
         {
             _videoStreamingService.RefreshRooms();
             _audioStreamingService.RefreshRooms();
+            _pushNotificationService.RequestRoomSync();
             await Clients.Others.SendAsync("RoomsUpdated");
         }
         return result;
     }
 
+    // Probes the source as currently entered in the editor, so it works before the room is saved
+    public async Task<StreamSourceTestResult> TestStreamSource(Room room)
+    {
+        _logger.LogInformation("Client {ConnectionId} testing stream source for room {RoomId} [{SourceType}]",
+            Context.ConnectionId, room.Id, room.StreamSourceType);
+
+        if (room.StreamSourceType == "google_nest")
+        {
+            if (string.IsNullOrEmpty(room.NestDeviceId))
+            {
+                return new StreamSourceTestResult { FailureReason = "Select a Nest camera first." };
+            }
+
+            NestDevice? device;
+            try
+            {
+                device = await _nestDeviceService.GetDeviceAsync(room.NestDeviceId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Nest source test failed for room {RoomId}", room.Id);
+                return new StreamSourceTestResult { FailureReason = ex.Message };
+            }
+
+            if (device == null)
+            {
+                return new StreamSourceTestResult { FailureReason = "The Nest camera could not be reached through the linked Google account." };
+            }
+
+            // A Nest stream is a session generated on demand, so only the device lookup is tested here
+            return new StreamSourceTestResult
+            {
+                Reachable = true,
+                DeviceCheckOnly = true
+            };
+        }
+
+        // A blank password in the editor means the saved one
+        string? cameraPassword = room.CameraPassword;
+        if (string.IsNullOrEmpty(cameraPassword) && !room.ClearCameraPassword)
+        {
+            cameraPassword = (await _roomService.GetRoomAsync(room.Id))?.CameraPassword;
+        }
+
+        using var timeoutCts = CancellationTokenSource.CreateLinkedTokenSource(Context.ConnectionAborted);
+        timeoutCts.CancelAfter(SourceTestTimeout);
+
+        try
+        {
+            return await _streamSourceTestService.TestRtspAsync(
+                room.Id,
+                room.CameraStreamUrl ?? string.Empty,
+                room.CameraUsername,
+                cameraPassword,
+                timeoutCts.Token);
+        }
+        catch (OperationCanceledException)
+        {
+            return new StreamSourceTestResult
+            {
+                FailureReason = $"No response from the camera within {SourceTestTimeout.TotalSeconds:0} seconds."
+            };
+        }
+    }
+
     public async Task<Room?> SelectRoom(int roomId)
     {
-        var room = await _roomService.SetActiveRoomAsync(roomId);
+        var room = (await _roomService.SetActiveRoomAsync(roomId))?.ForClient();
         if (room != null)
         {
             await Clients.All.SendAsync("ActiveRoomChanged", room);
@@ -213,14 +306,16 @@ public class AudioStreamHub : Hub
 
     public async Task<Room?> GetActiveRoom()
     {
-        return await _roomService.GetActiveRoomAsync();
+        return (await _roomService.GetActiveRoomAsync())?.ForClient();
     }
     #endregion
 
     #region Settings
     public async Task<AudioSettings> GetAudioSettings()
     {
-        return await _roomService.GetComposedAudioSettingsAsync();
+        var settings = await _roomService.GetComposedAudioSettingsAsync();
+        settings.CameraPassword = null;
+        return settings;
     }
 
     public async Task<GlobalSettings> GetGlobalSettings()
@@ -238,6 +333,14 @@ public class AudioStreamHub : Hub
 
         await Clients.Others.SendAsync("SettingsUpdated");
     }
+
+    public async Task<GlobalSettings> SetDoNotDisturb(bool enabled)
+    {
+        _logger.LogInformation("Client {ConnectionId} set do-not-disturb to {Enabled}", Context.ConnectionId, enabled);
+        var settings = await _roomService.SetDoNotDisturbAsync(enabled);
+        await Clients.Others.SendAsync("SettingsUpdated");
+        return settings;
+    }
     #endregion
 
     #region Google Nest
@@ -270,6 +373,77 @@ public class AudioStreamHub : Hub
     }
     #endregion
 
+    #region Push Notifications
+    public async Task<string> GetPushPublicKey()
+    {
+        return await _pushNotificationService.GetPublicKeyAsync();
+    }
+
+    public async Task<List<PushDevice>> GetPushDevices()
+    {
+        return await _pushNotificationService.ListDevicesAsync();
+    }
+
+    public async Task<PushDevice?> RegisterPushDevice(PushDeviceRegistration registration)
+    {
+        _logger.LogInformation("Client {ConnectionId} registering a push device", Context.ConnectionId);
+        var device = await _pushNotificationService.RegisterDeviceAsync(registration);
+        if (device != null)
+        {
+            await Clients.Others.SendAsync("PushDevicesUpdated");
+        }
+        return device;
+    }
+
+    public async Task<PushDevice?> UpdatePushDevice(int id, string name, bool notifySoundAlerts, bool notifyConnectionLoss)
+    {
+        var device = await _pushNotificationService.UpdateDeviceAsync(id, name, notifySoundAlerts, notifyConnectionLoss);
+        if (device != null)
+        {
+            await Clients.Others.SendAsync("PushDevicesUpdated");
+        }
+        return device;
+    }
+
+    public async Task<bool> RemovePushDevice(int id)
+    {
+        var removed = await _pushNotificationService.RemoveDeviceAsync(id);
+        if (removed)
+        {
+            await Clients.Others.SendAsync("PushDevicesUpdated");
+        }
+        return removed;
+    }
+
+    // Used by a browser that unsubscribes itself and only knows its endpoint
+    public async Task<bool> UnregisterPushDevice(string endpoint)
+    {
+        var removed = await _pushNotificationService.RemoveDeviceByEndpointAsync(endpoint);
+        if (removed)
+        {
+            await Clients.Others.SendAsync("PushDevicesUpdated");
+        }
+        return removed;
+    }
+
+    public async Task<PushDevice?> SendTestPush(int id)
+    {
+        _logger.LogInformation("Client {ConnectionId} sending a test push to device {DeviceId}", Context.ConnectionId, id);
+        return await _pushNotificationService.SendTestAsync(id);
+    }
+
+    // Notification actions, sent by the service worker so they also apply with no dashboard open
+    public void SnoozeRoomPushes(int roomId, int minutes)
+    {
+        _pushNotificationService.SnoozeRoom(roomId, TimeSpan.FromMinutes(Math.Clamp(minutes, 1, 24 * 60)));
+    }
+
+    public void SetRoomPushesMuted(int roomId, bool muted)
+    {
+        _pushNotificationService.SetRoomMuted(roomId, muted);
+    }
+    #endregion
+
     private string? GetRequestHostHint()
     {
         var host = Context.GetHttpContext()?.Request.Host.Host;
@@ -0,0 +1,14 @@
+namespace BabyMonitarr.Backend.Models;
+
+// Served at /asset-manifest.json; the service worker pre-caches every entry
+public sealed class AssetManifest
+{
+    public string Version { get; set; } = string.Empty;
+    public List<AssetManifestEntry> Assets { get; set; } = new();
+}
+
+public sealed class AssetManifestEntry
+{
+    public string Url { get; set; } = string.Empty;
+    public string Hash { get; set; } = string.Empty;
+}
@@ -17,6 +17,11 @@ public class AudioSettings
     /// </summary>
     public bool FilterEnabled { get; set; } = false;
     
+    /// <summary>
+    /// Determines if steady background noise is attenuated between louder sounds
+    /// </summary>
+    public bool ReduceNoise { get; set; } = false;
+    
     /// <summary>
     /// Filter low-pass cutoff frequency
     /// </summary>
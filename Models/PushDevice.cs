@@ -0,0 +1,31 @@
+using System.Text.Json.Serialization;
+
+namespace BabyMonitarr.Backend.Models;
+
+// A browser or phone that receives Web Push notifications
+public class PushDevice
+{
+    public int Id { get; set; }
+    public string Endpoint { get; set; } = string.Empty;
+
+    // Encryption keys from the browser's PushSubscription; never sent back to clients
+    [JsonIgnore]
+    public string P256dh { get; set; } = string.Empty;
+    [JsonIgnore]
+    public string Auth { get; set; } = string.Empty;
+
+    public string Name { get; set; } = string.Empty;
+    public bool NotifySoundAlerts { get; set; } = true;
+    public bool NotifyConnectionLoss { get; set; } = true;
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime? LastSentAt { get; set; }
+    public string? LastFailureReason { get; set; }
+}
+
+public sealed class PushDeviceRegistration
+{
+    public string Endpoint { get; set; } = string.Empty;
+    public string P256dh { get; set; } = string.Empty;
+    public string Auth { get; set; } = string.Empty;
+    public string? Name { get; set; }
+}
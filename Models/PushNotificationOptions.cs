@@ -0,0 +1,18 @@
+namespace BabyMonitarr.Backend.Models;
+
+public sealed class PushNotificationOptions
+{
+    // Contact sent to push services with every request (mailto: or https: URL)
+    public string Subject { get; set; } = "mailto:admin@babymonitarr.local";
+    public string? VapidPublicKey { get; set; }
+    public string? VapidPrivateKey { get; set; }
+
+    // Alerts older than this are dropped by the push service instead of arriving late
+    public int TimeToLiveSeconds { get; set; } = 300;
+
+    // How long a room may go without audio before devices are told the connection was lost
+    public int ConnectionLossSeconds { get; set; } = 60;
+
+    // Lets plain http:// endpoints register, for testing against a local stand-in push service
+    public bool AllowInsecureEndpoints { get; set; }
+}
@@ -0,0 +1,9 @@
+namespace BabyMonitarr.Backend.Models;
+
+// VAPID key pair generated on first use, unless configured under PushNotifications
+public class PushSettings
+{
+    public int Id { get; set; }
+    public string? VapidPublicKey { get; set; }
+    public string? VapidPrivateKey { get; set; }
+}
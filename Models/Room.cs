@@ -1,3 +1,5 @@
+using System.ComponentModel.DataAnnotations.Schema;
+
 namespace BabyMonitarr.Backend.Models;
 
 public class Room
@@ -17,6 +19,34 @@ public class Room
     public string? VideoPassthroughCodec { get; set; }
     public string? VideoCodecFailureReason { get; set; }
     public DateTime? VideoCodecCheckedAtUtc { get; set; }
+    public string? AlertRulesJson { get; set; }
+    public string? AlertScheduleJson { get; set; }
+
+    // Per-room audio overrides; null inherits the global setting
+    public double? SoundThreshold { get; set; }
+    public bool? FilterEnabled { get; set; }
+    public int? LowPassFrequency { get; set; }
+    public int? HighPassFrequency { get; set; }
+    public int? ThresholdPauseDuration { get; set; }
+    public double? VolumeAdjustmentDb { get; set; }
     public bool IsActive { get; set; }
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // Sent to clients in place of CameraPassword, which never leaves the server
+    [NotMapped]
+    public bool HasCameraPassword { get; set; }
+
+    // Set by the editor to remove the saved password; a blank CameraPassword keeps it
+    [NotMapped]
+    public bool ClearCameraPassword { get; set; }
+
+    // A copy that is safe to send to browsers
+    public Room ForClient()
+    {
+        var copy = (Room)MemberwiseClone();
+        copy.HasCameraPassword = !string.IsNullOrEmpty(CameraPassword);
+        copy.CameraPassword = null;
+        copy.ClearCameraPassword = false;
+        return copy;
+    }
 }
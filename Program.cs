@@ -38,6 +38,8 @@ builder.Services.Configure<FfmpegDiagnosticsOptions>(
     builder.Configuration.GetSection("FFmpegDiagnostics"));
 builder.Services.Configure<WebRtcOptions>(
     builder.Configuration.GetSection("WebRtc"));
+builder.Services.Configure<PushNotificationOptions>(
+    builder.Configuration.GetSection("PushNotifications"));
 
 // Register services
 builder.Services.AddHttpClient();
@@ -45,16 +47,21 @@ builder.Services.AddScoped<IRoomService, RoomService>();
 builder.Services.AddScoped<IGoogleNestAuthService, GoogleNestAuthService>();
 builder.Services.AddScoped<IGoogleNestDeviceService, GoogleNestDeviceService>();
 builder.Services.AddSingleton<IVideoCodecProbeService, VideoCodecProbeService>();
+builder.Services.AddSingleton<IStreamSourceTestService, StreamSourceTestService>();
 builder.Services.AddSingleton<FfprobeSnapshotService>();
 builder.Services.AddSingleton<NestStreamReaderManager>();
 builder.Services.AddSingleton<IAppVersionProvider, AppVersionProvider>();
+builder.Services.AddSingleton<IAssetManifestService, AssetManifestService>();
 builder.Services.AddSingleton<IWebRtcConfigService, WebRtcConfigService>();
 builder.Services.AddSingleton<IAudioStreamingService, AudioStreamingService>();
 builder.Services.AddHostedService(sp => (AudioStreamingService)sp.GetRequiredService<IAudioStreamingService>());
+builder.Services.AddSingleton<ITalkbackService, TalkbackService>();
 builder.Services.AddSingleton<IAudioWebRtcService, AudioWebRtcService>();
 builder.Services.AddSingleton<IVideoStreamingService, VideoStreamingService>();
 builder.Services.AddSingleton<IVideoWebRtcService, VideoWebRtcService>();
 builder.Services.AddHostedService(sp => (VideoStreamingService)sp.GetRequiredService<IVideoStreamingService>());
+builder.Services.AddSingleton<IPushNotificationService, PushNotificationService>();
+builder.Services.AddHostedService(sp => (PushNotificationService)sp.GetRequiredService<IPushNotificationService>());
 
 // Add authentication
 builder.Services.AddBabyMonitarrAuth(builder.Configuration);
@@ -82,8 +89,10 @@ using (var scope = app.Services.CreateScope())
 {
     var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
     db.Database.EnsureCreated();
-    EnsureRoomVideoCodecColumns(db);
+    EnsureRoomColumns(db);
+    EnsureGlobalSettingsColumns(db);
     EnsureAuthTables(db);
+    EnsurePushTables(db);
 
     // Seed from appsettings.json if DB has no rooms yet
     if (!db.Rooms.Any())
@@ -160,7 +169,7 @@ app.MapControllerRoute(
 
 app.Run();
 
-static void EnsureRoomVideoCodecColumns(BabyMonitarrDbContext db)
+static HashSet<string> ReadTableColumns(BabyMonitarrDbContext db, string tableName)
 {
     var existingColumns = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
     var connection = db.Database.GetDbConnection();
@@ -174,7 +183,7 @@ static void EnsureRoomVideoCodecColumns(BabyMonitarrDbContext db)
     try
     {
         using var command = connection.CreateCommand();
-        command.CommandText = "PRAGMA table_info('Rooms');";
+        command.CommandText = $"PRAGMA table_info('{tableName}');";
 
         using var reader = command.ExecuteReader();
         while (reader.Read())
@@ -194,10 +203,25 @@ static void EnsureRoomVideoCodecColumns(BabyMonitarrDbContext db)
         }
     }
 
+    return existingColumns;
+}
+
+static void EnsureRoomColumns(BabyMonitarrDbContext db)
+{
+    var existingColumns = ReadTableColumns(db, "Rooms");
+
     AddRoomColumnIfMissing("VideoSourceCodecName");
     AddRoomColumnIfMissing("VideoPassthroughCodec");
     AddRoomColumnIfMissing("VideoCodecFailureReason");
     AddRoomColumnIfMissing("VideoCodecCheckedAtUtc");
+    AddRoomColumnIfMissing("AlertRulesJson");
+    AddRoomColumnIfMissing("AlertScheduleJson");
+    AddRoomColumnIfMissing("SoundThreshold");
+    AddRoomColumnIfMissing("FilterEnabled");
+    AddRoomColumnIfMissing("LowPassFrequency");
+    AddRoomColumnIfMissing("HighPassFrequency");
+    AddRoomColumnIfMissing("ThresholdPauseDuration");
+    AddRoomColumnIfMissing("VolumeAdjustmentDb");
 
     void AddRoomColumnIfMissing(string columnName)
     {
@@ -212,6 +236,14 @@ static void EnsureRoomVideoCodecColumns(BabyMonitarrDbContext db)
             "VideoPassthroughCodec" => "ALTER TABLE Rooms ADD COLUMN VideoPassthroughCodec TEXT NULL;",
             "VideoCodecFailureReason" => "ALTER TABLE Rooms ADD COLUMN VideoCodecFailureReason TEXT NULL;",
             "VideoCodecCheckedAtUtc" => "ALTER TABLE Rooms ADD COLUMN VideoCodecCheckedAtUtc TEXT NULL;",
+            "AlertRulesJson" => "ALTER TABLE Rooms ADD COLUMN AlertRulesJson TEXT NULL;",
+            "AlertScheduleJson" => "ALTER TABLE Rooms ADD COLUMN AlertScheduleJson TEXT NULL;",
+            "SoundThreshold" => "ALTER TABLE Rooms ADD COLUMN SoundThreshold REAL NULL;",
+            "FilterEnabled" => "ALTER TABLE Rooms ADD COLUMN FilterEnabled INTEGER NULL;",
+            "LowPassFrequency" => "ALTER TABLE Rooms ADD COLUMN LowPassFrequency INTEGER NULL;",
+            "HighPassFrequency" => "ALTER TABLE Rooms ADD COLUMN HighPassFrequency INTEGER NULL;",
+            "ThresholdPauseDuration" => "ALTER TABLE Rooms ADD COLUMN ThresholdPauseDuration INTEGER NULL;",
+            "VolumeAdjustmentDb" => "ALTER TABLE Rooms ADD COLUMN VolumeAdjustmentDb REAL NULL;",
             _ => throw new InvalidOperationException($"Unsupported Room column '{columnName}'.")
         };
 
@@ -220,6 +252,32 @@ static void EnsureRoomVideoCodecColumns(BabyMonitarrDbContext db)
     }
 }
 
+static void EnsureGlobalSettingsColumns(BabyMonitarrDbContext db)
+{
+    var existingColumns = ReadTableColumns(db, "GlobalSettings");
+
+    AddGlobalSettingsColumnIfMissing("DoNotDisturb");
+    AddGlobalSettingsColumnIfMissing("ReduceNoise");
+
+    void AddGlobalSettingsColumnIfMissing(string columnName)
+    {
+        if (existingColumns.Contains(columnName))
+        {
+            return;
+        }
+
+        string alterSql = columnName switch
+        {
+            "DoNotDisturb" => "ALTER TABLE GlobalSettings ADD COLUMN DoNotDisturb INTEGER NOT NULL DEFAULT 0;",
+            "ReduceNoise" => "ALTER TABLE GlobalSettings ADD COLUMN ReduceNoise INTEGER NOT NULL DEFAULT 0;",
+            _ => throw new InvalidOperationException($"Unsupported GlobalSettings column '{columnName}'.")
+        };
+
+        db.Database.ExecuteSqlRaw(alterSql);
+        existingColumns.Add(columnName);
+    }
+}
+
 static void EnsureAuthTables(BabyMonitarrDbContext db)
 {
     db.Database.ExecuteSqlRaw("""
@@ -253,3 +311,31 @@ static void EnsureAuthTables(BabyMonitarrDbContext db)
     db.Database.ExecuteSqlRaw(
         "CREATE INDEX IF NOT EXISTS IX_ApiKeys_KeyPrefix ON ApiKeys (KeyPrefix);");
 }
+
+static void EnsurePushTables(BabyMonitarrDbContext db)
+{
+    db.Database.ExecuteSqlRaw("""
+        CREATE TABLE IF NOT EXISTS PushDevices (
+            Id INTEGER PRIMARY KEY AUTOINCREMENT,
+            Endpoint TEXT NOT NULL,
+            P256dh TEXT NOT NULL,
+            Auth TEXT NOT NULL,
+            Name TEXT NOT NULL,
+            NotifySoundAlerts INTEGER NOT NULL DEFAULT 1,
+            NotifyConnectionLoss INTEGER NOT NULL DEFAULT 1,
+            CreatedAt TEXT NOT NULL DEFAULT '0001-01-01T00:00:00',
+            LastSentAt TEXT,
+            LastFailureReason TEXT
+        );
+        """);
+    db.Database.ExecuteSqlRaw(
+        "CREATE UNIQUE INDEX IF NOT EXISTS IX_PushDevices_Endpoint ON PushDevices (Endpoint);");
+
+    db.Database.ExecuteSqlRaw("""
+        CREATE TABLE IF NOT EXISTS PushSettings (
+            Id INTEGER PRIMARY KEY AUTOINCREMENT,
+            VapidPublicKey TEXT,
+            VapidPrivateKey TEXT
+        );
+        """);
+}
@@ -0,0 +1,130 @@
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
+using BabyMonitarr.Backend.Models;
+using Microsoft.Extensions.FileProviders;
+
+namespace BabyMonitarr.Backend.Services;
+
+public interface IAssetManifestService
+{
+    AssetManifest GetManifest();
+}
+
+// Lists what the service worker pre-caches, each with a content hash so an update only
+// downloads the files that changed. Built from wwwroot itself, so new scripts and the
+// LibMan-restored libraries are picked up without editing sw.js.
+public sealed class AssetManifestService : IAssetManifestService
+{
+    private const int HashLength = 16;
+
+    // The worker itself, and the file the offline page probes to see whether the server is back
+    private static readonly HashSet<string> ExcludedUrls = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "/sw.js",
+        "/manifest.json"
+    };
+
+    private static readonly HashSet<string> ExcludedExtensions = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ".map"
+    };
+
+    // Fonts and icons that _Layout and _AuthLayout load from CDNs. The URLs are versioned, so they
+    // are hashed as-is. Google Fonts picks font files per browser; the worker caches those as they load.
+    private static readonly string[] ExternalAssets =
+    {
+        "https://fonts.googleapis.com/css2?family=Nunito:wght@400;500;600;700&display=swap",
+        "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css",
+        "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/webfonts/fa-solid-900.woff2",
+        "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/webfonts/fa-regular-400.woff2",
+        "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/webfonts/fa-brands-400.woff2"
+    };
+
+    private readonly ILogger<AssetManifestService> _logger;
+    private readonly IFileProvider _webRoot;
+    private readonly IAppVersionProvider _appVersionProvider;
+    private readonly ConcurrentDictionary<string, FileHash> _fileHashes = new(StringComparer.OrdinalIgnoreCase);
+
+    private sealed record FileHash(DateTimeOffset LastModified, long Length, string Hash);
+
+    public AssetManifestService(
+        ILogger<AssetManifestService> logger,
+        IWebHostEnvironment environment,
+        IAppVersionProvider appVersionProvider)
+    {
+        _logger = logger;
+        _webRoot = environment.WebRootFileProvider;
+        _appVersionProvider = appVersionProvider;
+    }
+
+    public AssetManifest GetManifest()
+    {
+        var manifest = new AssetManifest { Version = _appVersionProvider.DisplayVersion };
+
+        foreach (var (url, file) in EnumerateFiles(string.Empty))
+        {
+            string? hash = GetFileHash(url, file);
+            if (hash != null)
+            {
+                manifest.Assets.Add(new AssetManifestEntry { Url = url, Hash = hash });
+            }
+        }
+
+        foreach (var url in ExternalAssets)
+        {
+            manifest.Assets.Add(new AssetManifestEntry { Url = url, Hash = ToShortHash(SHA256.HashData(Encoding.UTF8.GetBytes(url))) });
+        }
+
+        return manifest;
+    }
+
+    private IEnumerable<(string Url, IFileInfo File)> EnumerateFiles(string directory)
+    {
+        foreach (var item in _webRoot.GetDirectoryContents(directory).OrderBy(i => i.Name, StringComparer.Ordinal))
+        {
+            string url = $"{directory}/{item.Name}";
+
+            if (item.IsDirectory)
+            {
+                foreach (var nested in EnumerateFiles(url))
+                {
+                    yield return nested;
+                }
+            }
+            else if (!ExcludedUrls.Contains(url) && !ExcludedExtensions.Contains(Path.GetExtension(item.Name)))
+            {
+                yield return (url, item);
+            }
+        }
+    }
+
+    // Files are only re-read when they change on disk (e.g. while developing)
+    private string? GetFileHash(string url, IFileInfo file)
+    {
+        if (_fileHashes.TryGetValue(url, out var cached) &&
+            cached.LastModified == file.LastModified &&
+            cached.Length == file.Length)
+        {
+            return cached.Hash;
+        }
+
+        try
+        {
+            using var stream = file.CreateReadStream();
+            string hash = ToShortHash(SHA256.HashData(stream));
+            _fileHashes[url] = new FileHash(file.LastModified, file.Length, hash);
+            return hash;
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "Could not hash {Url} for the asset manifest; leaving it out", url);
+            return null;
+        }
+    }
+
+    private static string ToShortHash(byte[] sha256)
+    {
+        return Convert.ToHexString(sha256)[..HashLength].ToLowerInvariant();
+    }
+}
@@ -34,10 +34,18 @@ public class AudioProcessingService : IDisposable
     private BiQuadFilter? _highPassFilter;
     private int _sampleRate;
     private DateTime _lastThresholdExceededTime = DateTime.MinValue;
+    private double _noiseFloorDb = 0; // starts at full scale so the first block sets it
+    private float _noiseGateGain = 1.0f;
 
     private const float REFERENCE_LEVEL = 1.0f;
     private const float DB_FLOOR = -90.0f;
 
+    // Noise reduction: blocks within NOISE_GATE_MARGIN_DB of the tracked noise floor are attenuated.
+    // The floor follows quieter blocks immediately and creeps up slowly, so sustained sounds are not learned as noise.
+    private const double NOISE_GATE_MARGIN_DB = 6.0;
+    private const double NOISE_GATE_ATTENUATION_DB = -20.0;
+    private const double NOISE_FLOOR_RISE_DB_PER_BLOCK = 0.05;
+
     public int RoomId { get; }
 
     public event EventHandler<AudioSampleEventArgs>? AudioSampleProcessed;
@@ -118,6 +126,12 @@ public class AudioProcessingService : IDisposable
             dbLevel = DB_FLOOR;
         }
 
+        // Levels and alerts still use the un-gated signal; only what the listener hears is quietened
+        if (rawOpusData == null && _settings.ReduceNoise)
+        {
+            ApplyNoiseGate(samples, dbLevel);
+        }
+
         _audioLevelQueue.Enqueue((float)dbLevel);
         while (_audioLevelQueue.Count > _settings.AverageSampleCount)
         {
@@ -172,6 +186,26 @@ public class AudioProcessingService : IDisposable
         });
     }
 
+    private void ApplyNoiseGate(float[] samples, double dbLevel)
+    {
+        _noiseFloorDb = dbLevel < _noiseFloorDb
+            ? dbLevel
+            : _noiseFloorDb + NOISE_FLOOR_RISE_DB_PER_BLOCK;
+
+        float targetGain = dbLevel < _noiseFloorDb + NOISE_GATE_MARGIN_DB
+            ? (float)Math.Pow(10, NOISE_GATE_ATTENUATION_DB / 20)
+            : 1.0f;
+
+        // Ramp the gain across the block to avoid clicks when the gate opens or closes
+        float startGain = _noiseGateGain;
+        for (int i = 0; i < samples.Length; i++)
+        {
+            float t = (i + 1) / (float)samples.Length;
+            samples[i] *= startGain + (targetGain - startGain) * t;
+        }
+        _noiseGateGain = targetGain;
+    }
+
     private float[] ConvertBytesToSamples(byte[] buffer, int bytesRecorded, int bytesPerSample, AVSampleFormat sampleFormat)
     {
         int sampleCount = bytesRecorded / bytesPerSample;
@@ -179,6 +179,11 @@ namespace BabyMonitarr.Backend.Services
                 {
                     var roomSettings = CreateAudioSettingsForRoom(room, globalSettings);
                     existingProcessor.UpdateSettings(roomSettings);
+
+                    if (_readers.TryGetValue(room.Id, out var existingReader) && existingReader is RtspAudioReader rtspReader)
+                    {
+                        rtspReader.UpdateVolumeAdjustment(roomSettings.VolumeAdjustmentDb);
+                    }
                 }
 
                 if (!_readers.ContainsKey(room.Id))
@@ -189,10 +194,13 @@ namespace BabyMonitarr.Backend.Services
                         StartReader(room, globalSettings);
                     }
                 }
-                else if (oldRoom != null && oldRoom.CameraStreamUrl != room.CameraStreamUrl)
+                else if (oldRoom != null &&
+                    (oldRoom.CameraStreamUrl != room.CameraStreamUrl ||
+                     oldRoom.CameraUsername != room.CameraUsername ||
+                     oldRoom.CameraPassword != room.CameraPassword))
                 {
-                    // URL changed - restart the reader
-                    _logger.LogInformation("Camera URL changed for room {RoomId}, restarting audio reader", room.Id);
+                    // URL or credentials changed - restart the reader
+                    _logger.LogInformation("Camera URL or credentials changed for room {RoomId}, restarting audio reader", room.Id);
                     StopReader(room.Id);
                     _readers.TryRemove(room.Id, out _);
                     if (_processors.TryRemove(room.Id, out var proc))
@@ -387,13 +395,14 @@ namespace BabyMonitarr.Backend.Services
         {
             return new AudioSettings
             {
-                SoundThreshold = globalSettings.SoundThreshold,
+                SoundThreshold = room.SoundThreshold ?? globalSettings.SoundThreshold,
                 AverageSampleCount = globalSettings.AverageSampleCount,
-                FilterEnabled = globalSettings.FilterEnabled,
-                LowPassFrequency = globalSettings.LowPassFrequency,
-                HighPassFrequency = globalSettings.HighPassFrequency,
-                ThresholdPauseDuration = globalSettings.ThresholdPauseDuration,
-                VolumeAdjustmentDb = globalSettings.VolumeAdjustmentDb,
+                FilterEnabled = room.FilterEnabled ?? globalSettings.FilterEnabled,
+                ReduceNoise = globalSettings.ReduceNoise,
+                LowPassFrequency = room.LowPassFrequency ?? globalSettings.LowPassFrequency,
+                HighPassFrequency = room.HighPassFrequency ?? globalSettings.HighPassFrequency,
+                ThresholdPauseDuration = room.ThresholdPauseDuration ?? globalSettings.ThresholdPauseDuration,
+                VolumeAdjustmentDb = room.VolumeAdjustmentDb ?? globalSettings.VolumeAdjustmentDb,
                 CameraStreamUrl = room.CameraStreamUrl,
                 CameraUsername = room.CameraUsername,
                 CameraPassword = room.CameraPassword
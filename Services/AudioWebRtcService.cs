@@ -16,6 +16,7 @@ namespace BabyMonitarr.Backend.Services
         Task<string> CreateAudioPeerConnection(string peerId, int roomId, string? hostHint);
         Task SetAudioRemoteDescription(string peerId, int roomId, RTCSessionDescriptionInit desc);
         Task AddAudioIceCandidate(string peerId, int roomId, RTCIceCandidateInit candidate);
+        Task<string> RestartAudioIce(string peerId, int roomId);
         Task CloseAudioPeerConnection(string peerId, int roomId);
         Task CloseAllAudioPeerConnections(string peerId);
     }
@@ -26,6 +27,7 @@ namespace BabyMonitarr.Backend.Services
         private readonly IAudioStreamingService _audioStreamingService;
         private readonly IHubContext<AudioStreamHub> _hubContext;
         private readonly IWebRtcConfigService _webRtcConfigService;
+        private readonly ITalkbackService _talkbackService;
 
         // Peer connections keyed by "{peerId}_a_{roomId}"
         private readonly ConcurrentDictionary<string, RTCPeerConnection> _peerConnections = new();
@@ -42,19 +44,25 @@ namespace BabyMonitarr.Backend.Services
         private readonly ConcurrentDictionary<string, DateTime> _lastLevelSent = new();
         private static readonly TimeSpan LevelSendInterval = TimeSpan.FromMilliseconds(100);
 
+        // Talkback audio from the dashboard is decoded apart from the outgoing encoder's state
+        private readonly ConcurrentDictionary<string, AudioEncoder> _talkbackDecoders = new();
+
         public AudioWebRtcService(
             ILogger<AudioWebRtcService> logger,
             IAudioStreamingService audioStreamingService,
             IHubContext<AudioStreamHub> hubContext,
-            IWebRtcConfigService webRtcConfigService)
+            IWebRtcConfigService webRtcConfigService,
+            ITalkbackService talkbackService)
         {
             _logger = logger;
             _audioStreamingService = audioStreamingService;
             _hubContext = hubContext;
             _webRtcConfigService = webRtcConfigService;
+            _talkbackService = talkbackService;
 
             // Subscribe to sound threshold events
             _audioStreamingService.SoundThresholdExceeded += OnSoundThresholdExceeded;
+            _talkbackService.TalkbackFailed += OnTalkbackFailed;
         }
 
         private static string GetConnectionKey(string peerId, int roomId) => $"{peerId}_a_{roomId}";
@@ -133,6 +141,7 @@ namespace BabyMonitarr.Backend.Services
                     // matching the raw Opus data we pass through from the Nest camera.
                     var opusFormat = new AudioFormat(AudioCodecsEnum.OPUS, 111, 48000, 2,
                         "minptime=10;useinbandfec=1");
+                    // Send-only: the Nest API has no talkback to play a microphone into
                     var audioTrack = new MediaStreamTrack(
                         new List<AudioFormat> { opusFormat }, MediaStreamStatusEnum.SendOnly);
                     pc.addTrack(audioTrack);
@@ -154,10 +163,20 @@ namespace BabyMonitarr.Backend.Services
                     var audioEncoder = new AudioEncoder(includeOpus: true);
                     var audioSource = new AudioExtrasSource(audioEncoder,
                         new AudioSourceOptions { AudioSource = AudioSourcesEnum.None });
+                    // Send-receive so clients can push-to-talk without renegotiating; talkback
+                    // is played through the camera's ONVIF audio backchannel
                     var audioTrack = new MediaStreamTrack(
-                        audioSource.GetAudioSourceFormats(), MediaStreamStatusEnum.SendOnly);
+                        audioSource.GetAudioSourceFormats(), MediaStreamStatusEnum.SendRecv);
                     pc.addTrack(audioTrack);
 
+                    pc.OnRtpPacketReceived += (remoteEndPoint, mediaType, rtpPacket) =>
+                    {
+                        if (mediaType == SDPMediaTypesEnum.audio)
+                        {
+                            OnTalkbackPacketReceived(key, roomId, rtpPacket);
+                        }
+                    };
+
                     pc.OnAudioFormatsNegotiated += (audioFormats) =>
                     {
                         var selectedFormat = audioFormats.First();
@@ -275,6 +294,42 @@ namespace BabyMonitarr.Backend.Services
             return Task.CompletedTask;
         }
 
+        public async Task<string> RestartAudioIce(string peerId, int roomId)
+        {
+            string key = GetConnectionKey(peerId, roomId);
+
+            if (!_peerConnections.TryGetValue(key, out var pc))
+            {
+                throw new KeyNotFoundException($"No audio peer connection found for {key}");
+            }
+
+            // A closed or failed peer can't renegotiate; the client rebuilds it instead
+            if (pc.connectionState == RTCPeerConnectionState.closed ||
+                pc.connectionState == RTCPeerConnectionState.failed)
+            {
+                _logger.LogWarning("Not restarting ICE for audio peer connection {Key} in state {State}",
+                    key, pc.connectionState);
+                return string.Empty;
+            }
+
+            _logger.LogInformation("Restarting ICE for audio peer connection {Key}", key);
+
+            // Candidates queued for the previous ICE generation are useless after a restart
+            _pendingIceCandidates.TryRemove(key, out _);
+
+            pc.restartIce();
+            var offerInit = pc.createOffer(null);
+            await pc.setLocalDescription(offerInit);
+
+            string sdp = pc.localDescription?.sdp?.ToString() ?? string.Empty;
+            if (string.IsNullOrEmpty(sdp))
+            {
+                _logger.LogError("Failed to create audio ICE restart offer for {Key}", key);
+            }
+
+            return sdp;
+        }
+
         public Task CloseAudioPeerConnection(string peerId, int roomId)
         {
             string key = GetConnectionKey(peerId, roomId);
@@ -307,6 +362,7 @@ namespace BabyMonitarr.Backend.Services
 
             _pendingIceCandidates.TryRemove(key, out _);
             _lastLevelSent.TryRemove(key, out _);
+            _talkbackDecoders.TryRemove(key, out _);
             _negotiatedFormats.TryRemove(key, out _);
 
             if (_audioEncoders.TryRemove(key, out _))
@@ -367,6 +423,54 @@ namespace BabyMonitarr.Backend.Services
             }
         }
 
+        private void OnTalkbackPacketReceived(string key, int roomId, RTPPacket rtpPacket)
+        {
+            if (!_negotiatedFormats.TryGetValue(key, out var format)) return;
+
+            // Comfort noise and other side payloads carry no speech
+            if (rtpPacket.Header.PayloadType != format.FormatID || rtpPacket.Payload.Length == 0) return;
+
+            try
+            {
+                var decoder = _talkbackDecoders.GetOrAdd(key, _ => new AudioEncoder(includeOpus: true));
+                short[] samples = decoder.DecodeAudio(rtpPacket.Payload, format);
+
+                if (format.ChannelCount > 1)
+                {
+                    samples = DownmixToMono(samples, format.ChannelCount);
+                }
+
+                _talkbackService.SendAudio(
+                    roomId,
+                    key,
+                    ResampleAudio(samples, format.ClockRate, _talkbackService.SampleRate));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug("Error decoding talkback audio from peer {Key}: {Error}", key, ex.Message);
+            }
+        }
+
+        private void OnTalkbackFailed(object? sender, TalkbackFailedEventArgs e)
+        {
+            if (!_dataChannels.TryGetValue(e.SpeakerKey, out var dataChannel)) return;
+            if (dataChannel.readyState != RTCDataChannelState.open) return;
+
+            try
+            {
+                dataChannel.send(JsonSerializer.Serialize(new
+                {
+                    type = "talkbackError",
+                    roomId = e.RoomId,
+                    message = e.Message
+                }));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug("Error sending talkback failure via data channel for {Key}: {Error}", e.SpeakerKey, ex.Message);
+            }
+        }
+
         private Task SendAudioIceCandidate(string peerId, int roomId, RTCIceCandidate candidate)
         {
             return _hubContext.Clients.Client(peerId).SendAsync(
@@ -496,6 +600,21 @@ namespace BabyMonitarr.Backend.Services
             }
         }
 
+        private static short[] DownmixToMono(short[] interleaved, int channels)
+        {
+            short[] mono = new short[interleaved.Length / channels];
+            for (int i = 0; i < mono.Length; i++)
+            {
+                int sum = 0;
+                for (int c = 0; c < channels; c++)
+                {
+                    sum += interleaved[i * channels + c];
+                }
+                mono[i] = (short)(sum / channels);
+            }
+            return mono;
+        }
+
         private short[] ResampleAudio(short[] input, int inputRate, int outputRate)
         {
             if (inputRate == outputRate)
@@ -527,6 +646,7 @@ namespace BabyMonitarr.Backend.Services
         public void Dispose()
         {
             _audioStreamingService.SoundThresholdExceeded -= OnSoundThresholdExceeded;
+            _talkbackService.TalkbackFailed -= OnTalkbackFailed;
 
             foreach (var key in _peerConnections.Keys.ToList())
             {
@@ -545,6 +665,7 @@ namespace BabyMonitarr.Backend.Services
             _frameHandlers.Clear();
             _pendingIceCandidates.Clear();
             _lastLevelSent.Clear();
+            _talkbackDecoders.Clear();
         }
     }
 }
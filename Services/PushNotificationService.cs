@@ -0,0 +1,615 @@
+using System.Collections.Concurrent;
+using System.Net;
+using System.Text.Json;
+using BabyMonitarr.Backend.Data;
+using BabyMonitarr.Backend.Models;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using WebPush;
+
+namespace BabyMonitarr.Backend.Services;
+
+public interface IPushNotificationService
+{
+    Task<string> GetPublicKeyAsync();
+    Task<List<PushDevice>> ListDevicesAsync();
+    Task<PushDevice?> RegisterDeviceAsync(PushDeviceRegistration registration);
+    Task<PushDevice?> UpdateDeviceAsync(int id, string name, bool notifySoundAlerts, bool notifyConnectionLoss);
+    Task<bool> RemoveDeviceAsync(int id);
+    Task<bool> RemoveDeviceByEndpointAsync(string endpoint);
+    Task<PushDevice?> SendTestAsync(int id);
+    void RequestRoomSync();
+    void SnoozeRoom(int roomId, TimeSpan duration);
+    void SetRoomMuted(int roomId, bool muted);
+}
+
+// Sends Web Push notifications for sound alerts and lost camera connections.
+// While any device is registered, it keeps every audio room's reader running so
+// alerts still go out when no dashboard is open. Sound alerts follow each room's
+// quiet hours and alert rules (see RoomAlertPolicy).
+public class PushNotificationService : IPushNotificationService, IHostedService, IDisposable
+{
+    private const int MaxDeviceNameLength = 60;
+    private static readonly TimeSpan MonitorInterval = TimeSpan.FromSeconds(10);
+    private static readonly TimeSpan RoomSyncInterval = TimeSpan.FromMinutes(1);
+
+    private readonly ILogger<PushNotificationService> _logger;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly IAudioStreamingService _audioStreamingService;
+    private readonly IHttpClientFactory _httpClientFactory;
+    private readonly PushNotificationOptions _options;
+    private readonly ConcurrentDictionary<int, RoomWatch> _watchedRooms = new();
+    private readonly RoomPushSnoozes _roomSnoozes = new();
+    private readonly SemaphoreSlim _vapidLock = new(1, 1);
+    private VapidDetails? _vapidDetails;
+    private CancellationTokenSource? _cts;
+    private Task? _monitorTask;
+    private volatile bool _syncRequested = true;
+    private bool _isDisposed;
+
+    private sealed class RoomWatch
+    {
+        public Action<AudioFrameEventArgs> Handler { get; set; } = _ => { };
+        public required string RoomName { get; set; }
+        public required RoomAlertPolicy Policy { get; set; }
+        public long LastFrameTicks;
+        public volatile bool LossNotified;
+    }
+
+    private sealed record PushMessage(string Type, string Title, string Body, string Tag, int? RoomId);
+
+    public PushNotificationService(
+        ILogger<PushNotificationService> logger,
+        IServiceScopeFactory scopeFactory,
+        IAudioStreamingService audioStreamingService,
+        IHttpClientFactory httpClientFactory,
+        IOptions<PushNotificationOptions> options)
+    {
+        _logger = logger;
+        _scopeFactory = scopeFactory;
+        _audioStreamingService = audioStreamingService;
+        _httpClientFactory = httpClientFactory;
+        _options = options.Value ?? new PushNotificationOptions();
+    }
+
+    public Task StartAsync(CancellationToken cancellationToken)
+    {
+        _cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        _audioStreamingService.SoundThresholdExceeded += OnSoundThresholdExceeded;
+        _monitorTask = Task.Run(() => MonitorLoopAsync(_cts.Token));
+        return Task.CompletedTask;
+    }
+
+    public async Task StopAsync(CancellationToken cancellationToken)
+    {
+        _audioStreamingService.SoundThresholdExceeded -= OnSoundThresholdExceeded;
+        _cts?.Cancel();
+
+        if (_monitorTask != null)
+        {
+            try
+            {
+                await _monitorTask.WaitAsync(cancellationToken);
+            }
+            catch (OperationCanceledException)
+            {
+            }
+        }
+
+        foreach (var roomId in _watchedRooms.Keys.ToList())
+        {
+            UnwatchRoom(roomId);
+        }
+    }
+
+    #region Devices
+    public async Task<string> GetPublicKeyAsync()
+    {
+        var vapid = await GetVapidDetailsAsync();
+        return vapid.PublicKey;
+    }
+
+    public async Task<List<PushDevice>> ListDevicesAsync()
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+        return await db.PushDevices.OrderBy(d => d.CreatedAt).ToListAsync();
+    }
+
+    public async Task<PushDevice?> RegisterDeviceAsync(PushDeviceRegistration registration)
+    {
+        if (!IsAllowedEndpoint(registration.Endpoint) ||
+            string.IsNullOrWhiteSpace(registration.P256dh) ||
+            string.IsNullOrWhiteSpace(registration.Auth))
+        {
+            _logger.LogWarning("Rejected push registration with an invalid subscription");
+            return null;
+        }
+
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+
+        // Browsers reuse the endpoint when re-subscribing, so this also refreshes the keys
+        var device = await db.PushDevices.FirstOrDefaultAsync(d => d.Endpoint == registration.Endpoint);
+        if (device == null)
+        {
+            device = new PushDevice { Endpoint = registration.Endpoint, CreatedAt = DateTime.UtcNow };
+            db.PushDevices.Add(device);
+        }
+
+        device.P256dh = registration.P256dh;
+        device.Auth = registration.Auth;
+        device.Name = NormalizeDeviceName(registration.Name) ?? (device.Name.Length > 0 ? device.Name : "This device");
+        device.LastFailureReason = null;
+
+        await db.SaveChangesAsync();
+        _syncRequested = true;
+
+        _logger.LogInformation("Registered push device {DeviceId} ({Name})", device.Id, device.Name);
+        return device;
+    }
+
+    public async Task<PushDevice?> UpdateDeviceAsync(int id, string name, bool notifySoundAlerts, bool notifyConnectionLoss)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+
+        var device = await db.PushDevices.FindAsync(id);
+        if (device == null)
+            return null;
+
+        device.Name = NormalizeDeviceName(name) ?? device.Name;
+        device.NotifySoundAlerts = notifySoundAlerts;
+        device.NotifyConnectionLoss = notifyConnectionLoss;
+
+        await db.SaveChangesAsync();
+        _syncRequested = true;
+        return device;
+    }
+
+    public async Task<bool> RemoveDeviceAsync(int id)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+
+        var device = await db.PushDevices.FindAsync(id);
+        if (device == null)
+            return false;
+
+        db.PushDevices.Remove(device);
+        await db.SaveChangesAsync();
+        _syncRequested = true;
+
+        _logger.LogInformation("Removed push device {DeviceId} ({Name})", device.Id, device.Name);
+        return true;
+    }
+
+    public async Task<bool> RemoveDeviceByEndpointAsync(string endpoint)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+
+        var device = await db.PushDevices.FirstOrDefaultAsync(d => d.Endpoint == endpoint);
+        if (device == null)
+            return false;
+
+        return await RemoveDeviceAsync(device.Id);
+    }
+
+    public async Task<PushDevice?> SendTestAsync(int id)
+    {
+        var message = new PushMessage(
+            "test",
+            "BabyMonitarr test notification",
+            "Push notifications are working on this device.",
+            "push-test",
+            null);
+
+        await SendAsync(message, d => d.Id == id);
+
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+        return await db.PushDevices.FindAsync(id);
+    }
+
+    private bool IsAllowedEndpoint(string? endpoint)
+    {
+        if (!Uri.TryCreate(endpoint, UriKind.Absolute, out var uri))
+            return false;
+
+        return uri.Scheme == Uri.UriSchemeHttps ||
+            (_options.AllowInsecureEndpoints && uri.Scheme == Uri.UriSchemeHttp);
+    }
+
+    private static string? NormalizeDeviceName(string? name)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+            return null;
+
+        string trimmed = name.Trim();
+        return trimmed.Length > MaxDeviceNameLength ? trimmed[..MaxDeviceNameLength] : trimmed;
+    }
+    #endregion
+
+    #region Snooze
+    // Set by notification actions ("Snooze", "Stop monitoring"), so they hold with no dashboard open.
+    // Kept in memory only; a restart clears them.
+    public void SnoozeRoom(int roomId, TimeSpan duration)
+    {
+        var until = DateTime.UtcNow + duration;
+        _roomSnoozes.Snooze(roomId, until);
+        _logger.LogInformation("Sound alert pushes for room {RoomId} snoozed until {Until:O}", roomId, until);
+    }
+
+    // A muted room sends no pushes at all until monitoring is started again
+    public void SetRoomMuted(int roomId, bool muted)
+    {
+        if (!_roomSnoozes.SetMuted(roomId, muted))
+            return;
+
+        if (muted)
+        {
+            _logger.LogInformation("Pushes for room {RoomId} muted", roomId);
+        }
+        else
+        {
+            _logger.LogInformation("Pushes for room {RoomId} unmuted", roomId);
+        }
+    }
+
+    private bool IsRoomSnoozed(int roomId, out bool muted)
+    {
+        return _roomSnoozes.IsSnoozed(roomId, DateTime.UtcNow, out muted);
+    }
+    #endregion
+
+    #region Room Monitoring
+    // Picks up edited names, schedules and alert rules without waiting for the periodic sync
+    public void RequestRoomSync()
+    {
+        _syncRequested = true;
+    }
+
+    private async Task MonitorLoopAsync(CancellationToken cancellationToken)
+    {
+        using var timer = new PeriodicTimer(MonitorInterval);
+        DateTime lastSync = DateTime.MinValue;
+
+        do
+        {
+            try
+            {
+                if (_syncRequested || DateTime.UtcNow - lastSync >= RoomSyncInterval)
+                {
+                    _syncRequested = false;
+                    lastSync = DateTime.UtcNow;
+                    await SyncWatchedRoomsAsync();
+                }
+
+                await CheckConnectionLossAsync();
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogError(ex, "Error monitoring rooms for push notifications");
+            }
+        }
+        while (await WaitForNextTickAsync(timer, cancellationToken));
+    }
+
+    private static async Task<bool> WaitForNextTickAsync(PeriodicTimer timer, CancellationToken cancellationToken)
+    {
+        try
+        {
+            return await timer.WaitForNextTickAsync(cancellationToken);
+        }
+        catch (OperationCanceledException)
+        {
+            return false;
+        }
+    }
+
+    private async Task SyncWatchedRoomsAsync()
+    {
+        List<Room> rooms;
+        bool hasDevices;
+        using (var scope = _scopeFactory.CreateScope())
+        {
+            var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+            hasDevices = await db.PushDevices.AnyAsync(d => d.NotifySoundAlerts || d.NotifyConnectionLoss);
+
+            var roomService = scope.ServiceProvider.GetRequiredService<IRoomService>();
+            rooms = hasDevices ? await roomService.GetAllRoomsAsync() : new List<Room>();
+        }
+
+        // Same rule the audio service uses for rooms it can open a reader for
+        var audioRooms = rooms
+            .Where(r => r.EnableAudioStream &&
+                (r.StreamSourceType == "google_nest" ? !string.IsNullOrEmpty(r.NestDeviceId) : !string.IsNullOrEmpty(r.CameraStreamUrl)))
+            .ToDictionary(r => r.Id);
+
+        foreach (var roomId in _watchedRooms.Keys.ToList())
+        {
+            if (!audioRooms.ContainsKey(roomId))
+            {
+                UnwatchRoom(roomId);
+            }
+        }
+
+        foreach (var room in audioRooms.Values)
+        {
+            if (_watchedRooms.TryGetValue(room.Id, out var existing))
+            {
+                existing.RoomName = room.Name;
+                if (!existing.Policy.Matches(room))
+                {
+                    existing.Policy = RoomAlertPolicy.FromRoom(room);
+                }
+                continue;
+            }
+
+            WatchRoom(room);
+        }
+    }
+
+    private void WatchRoom(Room room)
+    {
+        int roomId = room.Id;
+        var watch = new RoomWatch
+        {
+            RoomName = room.Name,
+            Policy = RoomAlertPolicy.FromRoom(room),
+            // A room that never connects counts as lost once the grace period runs out
+            LastFrameTicks = DateTime.UtcNow.Ticks
+        };
+        watch.Handler = frame =>
+        {
+            var now = DateTime.UtcNow;
+            Interlocked.Exchange(ref watch.LastFrameTicks, now.Ticks);
+            watch.LossNotified = false;
+
+            // Rooms with alert rules are alerted by them instead of the plain threshold
+            string? rule = watch.Policy.EvaluateRules(frame.AudioLevel, now);
+            if (rule != null)
+            {
+                QueueSoundAlert(roomId, $"Noise {rule} (now {frame.AudioLevel:F1} dB)");
+            }
+        };
+
+        if (_watchedRooms.TryAdd(room.Id, watch))
+        {
+            // Subscribing is what keeps the room's reader running without a dashboard open
+            _audioStreamingService.SubscribeToRoom(room.Id, watch.Handler);
+            _logger.LogInformation("Watching room {RoomId} ({RoomName}) for push notifications", room.Id, room.Name);
+        }
+    }
+
+    private void UnwatchRoom(int roomId)
+    {
+        if (_watchedRooms.TryRemove(roomId, out var watch))
+        {
+            _audioStreamingService.UnsubscribeFromRoom(roomId, watch.Handler);
+            _logger.LogInformation("Stopped watching room {RoomId} for push notifications", roomId);
+        }
+    }
+
+    private async Task CheckConnectionLossAsync()
+    {
+        var lossThreshold = TimeSpan.FromSeconds(Math.Max(10, _options.ConnectionLossSeconds));
+
+        foreach (var (roomId, watch) in _watchedRooms)
+        {
+            var silentFor = DateTime.UtcNow - new DateTime(Interlocked.Read(ref watch.LastFrameTicks), DateTimeKind.Utc);
+            if (silentFor < lossThreshold || watch.LossNotified)
+                continue;
+            if (IsRoomSnoozed(roomId, out bool muted) && muted)
+                continue;
+
+            watch.LossNotified = true;
+            _logger.LogWarning("No audio from room {RoomId} for {Seconds:F0}s, sending connection-loss push", roomId, silentFor.TotalSeconds);
+
+            var message = new PushMessage(
+                "connection-lost",
+                $"Connection lost — {watch.RoomName}",
+                $"No audio from the camera for {silentFor.TotalSeconds:F0} seconds.",
+                $"disconnect-{roomId}",
+                roomId);
+
+            await SendAsync(message, d => d.NotifyConnectionLoss);
+        }
+    }
+
+    private void OnSoundThresholdExceeded(object? sender, SoundThresholdEventArgs e)
+    {
+        if (_watchedRooms.TryGetValue(e.RoomId, out var watch) && watch.Policy.HasRules)
+            return;
+
+        QueueSoundAlert(e.RoomId, $"Sound level at {e.AudioLevel:F1} dB exceeds threshold ({e.Threshold:F1} dB)");
+    }
+
+    private void QueueSoundAlert(int roomId, string body)
+    {
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                await SendSoundAlertAsync(roomId, body);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error sending sound alert push for room {RoomId}", roomId);
+            }
+        });
+    }
+
+    private async Task SendSoundAlertAsync(int roomId, string body)
+    {
+        if (IsRoomSnoozed(roomId, out _))
+        {
+            _logger.LogDebug("Room {RoomId} is snoozed, skipping sound alert push", roomId);
+            return;
+        }
+
+        string roomName;
+        RoomAlertPolicy policy;
+        using (var scope = _scopeFactory.CreateScope())
+        {
+            var roomService = scope.ServiceProvider.GetRequiredService<IRoomService>();
+            var settings = await roomService.GetGlobalSettingsAsync();
+            if (settings.DoNotDisturb)
+            {
+                _logger.LogDebug("Do not disturb is on, skipping sound alert push for room {RoomId}", roomId);
+                return;
+            }
+
+            if (_watchedRooms.TryGetValue(roomId, out var watch))
+            {
+                roomName = watch.RoomName;
+                policy = watch.Policy;
+            }
+            else
+            {
+                var room = await roomService.GetRoomAsync(roomId);
+                if (room == null)
+                    return;
+                roomName = room.Name;
+                policy = RoomAlertPolicy.FromRoom(room);
+            }
+        }
+
+        if (!policy.IsAlertingAt(DateTime.UtcNow))
+        {
+            _logger.LogDebug("Room {RoomId} is in quiet hours, skipping sound alert push", roomId);
+            return;
+        }
+
+        var message = new PushMessage(
+            "sound-alert",
+            $"Sound Alert — {roomName}",
+            body,
+            $"sound-alert-{roomId}",
+            roomId);
+
+        await SendAsync(message, d => d.NotifySoundAlerts);
+    }
+    #endregion
+
+    #region Sending
+    private async Task SendAsync(PushMessage message, Func<PushDevice, bool> filter)
+    {
+        var vapid = await GetVapidDetailsAsync();
+
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+        var devices = (await db.PushDevices.ToListAsync()).Where(filter).ToList();
+        if (devices.Count == 0)
+            return;
+
+        string payload = JsonSerializer.Serialize(new
+        {
+            type = message.Type,
+            title = message.Title,
+            body = message.Body,
+            tag = message.Tag,
+            roomId = message.RoomId,
+            timestamp = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+        });
+
+        var client = new WebPushClient(_httpClientFactory.CreateClient(nameof(PushNotificationService)));
+        var options = new Dictionary<string, object>
+        {
+            ["vapidDetails"] = vapid,
+            ["TTL"] = Math.Max(0, _options.TimeToLiveSeconds)
+        };
+
+        foreach (var device in devices)
+        {
+            try
+            {
+                await client.SendNotificationAsync(
+                    new PushSubscription(device.Endpoint, device.P256dh, device.Auth),
+                    payload,
+                    options,
+                    _cts?.Token ?? CancellationToken.None);
+
+                device.LastSentAt = DateTime.UtcNow;
+                device.LastFailureReason = null;
+            }
+            catch (WebPushException ex) when (ex.StatusCode is HttpStatusCode.Gone or HttpStatusCode.NotFound)
+            {
+                // The browser dropped the subscription (uninstalled, permission revoked, expired)
+                _logger.LogInformation("Push subscription for device {DeviceId} ({Name}) has expired, removing it", device.Id, device.Name);
+                db.PushDevices.Remove(device);
+                _syncRequested = true;
+            }
+            catch (WebPushException ex)
+            {
+                _logger.LogWarning("Push to device {DeviceId} ({Name}) failed with {StatusCode}: {Message}",
+                    device.Id, device.Name, (int)ex.StatusCode, ex.Message);
+                device.LastFailureReason = $"Push service answered {(int)ex.StatusCode} {ex.StatusCode}";
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogWarning(ex, "Push to device {DeviceId} ({Name}) failed", device.Id, device.Name);
+                device.LastFailureReason = ex.Message;
+            }
+        }
+
+        await db.SaveChangesAsync();
+    }
+
+    private async Task<VapidDetails> GetVapidDetailsAsync()
+    {
+        if (_vapidDetails != null)
+            return _vapidDetails;
+
+        await _vapidLock.WaitAsync();
+        try
+        {
+            if (_vapidDetails != null)
+                return _vapidDetails;
+
+            if (!string.IsNullOrWhiteSpace(_options.VapidPublicKey) && !string.IsNullOrWhiteSpace(_options.VapidPrivateKey))
+            {
+                _vapidDetails = new VapidDetails(_options.Subject, _options.VapidPublicKey, _options.VapidPrivateKey);
+                return _vapidDetails;
+            }
+
+            using var scope = _scopeFactory.CreateScope();
+            var db = scope.ServiceProvider.GetRequiredService<BabyMonitarrDbContext>();
+
+            var settings = await db.PushSettings.FirstOrDefaultAsync();
+            if (settings == null)
+            {
+                settings = new PushSettings();
+                db.PushSettings.Add(settings);
+            }
+
+            if (string.IsNullOrEmpty(settings.VapidPublicKey) || string.IsNullOrEmpty(settings.VapidPrivateKey))
+            {
+                var generated = VapidHelper.GenerateVapidKeys();
+                settings.VapidPublicKey = generated.PublicKey;
+                settings.VapidPrivateKey = generated.PrivateKey;
+                await db.SaveChangesAsync();
+                _logger.LogInformation("Generated a new VAPID key pair for push notifications");
+            }
+
+            _vapidDetails = new VapidDetails(_options.Subject, settings.VapidPublicKey, settings.VapidPrivateKey);
+            return _vapidDetails;
+        }
+        finally
+        {
+            _vapidLock.Release();
+        }
+    }
+    #endregion
+
+    public void Dispose()
+    {
+        if (_isDisposed) return;
+        _isDisposed = true;
+
+        _cts?.Cancel();
+        _cts?.Dispose();
+        _vapidLock.Dispose();
+    }
+}
@@ -0,0 +1,269 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using BabyMonitarr.Backend.Models;
+
+namespace BabyMonitarr.Backend.Services;
+
+// A room's quiet-hours schedule (AlertScheduleJson) and alert rules (AlertRulesJson), read the
+// same way dashboard.js reads them, so server-sent pushes follow the settings the dashboard uses.
+// The cry-only filter is a per-browser setting and is not applied here.
+public sealed class RoomAlertPolicy
+{
+    // The dashboard sees levels over the data channel at this rate; spikes are counted the same way
+    private static readonly TimeSpan RuleSampleInterval = TimeSpan.FromMilliseconds(100);
+    private static readonly JsonSerializerOptions JsonOptions = new() { PropertyNameCaseInsensitive = true };
+    private static readonly Regex TimePattern = new(@"^(\d{1,2}):(\d{2})$", RegexOptions.Compiled);
+
+    private readonly List<ScheduleWindow>? _windows;
+    private readonly TimeZoneInfo _timeZone;
+    private readonly List<AlertRule>? _rules;
+    private readonly RuleTracker[] _trackers;
+    private readonly TimeSpan _notifyAfter;
+    private readonly TimeSpan _quietReset;
+    private readonly object _lock = new();
+    private DateTime _lastSampleAt = DateTime.MinValue;
+    private Episode? _episode;
+
+    public string? RulesJson { get; }
+    public string? ScheduleJson { get; }
+    public bool HasRules => _rules != null;
+
+    private sealed class ScheduleConfig
+    {
+        public bool Enabled { get; set; } = true;
+        public List<ScheduleWindow>? Windows { get; set; }
+        public string? TimeZone { get; set; }
+    }
+
+    private sealed class ScheduleWindow
+    {
+        public List<int>? Days { get; set; }
+        public string? Start { get; set; }
+        public string? End { get; set; }
+    }
+
+    private sealed class RulesConfig
+    {
+        public bool Enabled { get; set; } = true;
+        public List<AlertRule>? Rules { get; set; }
+        public RuleEscalation? Escalation { get; set; }
+    }
+
+    private sealed class AlertRule
+    {
+        public string? Type { get; set; }
+        public double? LevelDb { get; set; }
+        public double? DurationSeconds { get; set; }
+        public double? Count { get; set; }
+        public double? WindowMinutes { get; set; }
+    }
+
+    // Only the stages a push cares about; the siren is the dashboard's own
+    private sealed class RuleEscalation
+    {
+        public double NotifyAfterSeconds { get; set; }
+        public double QuietResetSeconds { get; set; } = 60;
+    }
+
+    private sealed class RuleTracker
+    {
+        public DateTime? Since;
+        public bool Above;
+        public readonly Queue<DateTime> Times = new();
+    }
+
+    private sealed class Episode
+    {
+        public DateTime StartedAt;
+        public DateTime LastMatchAt;
+        public bool Notified;
+    }
+
+    private RoomAlertPolicy(string? rulesJson, string? scheduleJson)
+    {
+        RulesJson = rulesJson;
+        ScheduleJson = scheduleJson;
+
+        var schedule = Parse<ScheduleConfig>(scheduleJson);
+        if (schedule is { Enabled: true, Windows.Count: > 0 })
+        {
+            _windows = schedule.Windows;
+        }
+        _timeZone = ResolveTimeZone(schedule?.TimeZone);
+
+        var rules = Parse<RulesConfig>(rulesJson);
+        var validRules = rules?.Enabled == true && rules.Rules != null
+            ? rules.Rules.Where(IsValidRule).ToList()
+            : new List<AlertRule>();
+        if (validRules.Count > 0)
+        {
+            _rules = validRules;
+        }
+        _trackers = validRules.Select(_ => new RuleTracker()).ToArray();
+
+        var escalation = rules?.Escalation ?? new RuleEscalation();
+        _notifyAfter = TimeSpan.FromSeconds(Math.Max(0, escalation.NotifyAfterSeconds));
+        _quietReset = TimeSpan.FromSeconds(Math.Max(0, escalation.QuietResetSeconds));
+    }
+
+    public static RoomAlertPolicy FromRoom(Room room)
+    {
+        return new RoomAlertPolicy(room.AlertRulesJson, room.AlertScheduleJson);
+    }
+
+    public bool Matches(Room room)
+    {
+        return RulesJson == room.AlertRulesJson && ScheduleJson == room.AlertScheduleJson;
+    }
+
+    // False during quiet hours: outside every window of an enabled schedule
+    public bool IsAlertingAt(DateTime utcNow)
+    {
+        if (_windows == null)
+            return true;
+
+        var local = TimeZoneInfo.ConvertTimeFromUtc(utcNow, _timeZone);
+        return _windows.Any(w => IsWithinWindow(w, local));
+    }
+
+    // Feeds one level reading to the rules. Returns the matched rule's description when this
+    // reading reaches the notification stage of an episode (once per episode), otherwise null.
+    public string? EvaluateRules(double level, DateTime utcNow)
+    {
+        if (_rules == null || !double.IsFinite(level))
+            return null;
+
+        lock (_lock)
+        {
+            if (utcNow - _lastSampleAt < RuleSampleInterval)
+                return null;
+            _lastSampleAt = utcNow;
+
+            AlertRule? matched = null;
+            for (int i = 0; i < _rules.Count; i++)
+            {
+                if (Track(_rules[i], _trackers[i], level, utcNow))
+                {
+                    matched ??= _rules[i];
+                }
+            }
+
+            if (matched == null)
+            {
+                if (_episode != null && utcNow - _episode.LastMatchAt >= _quietReset)
+                {
+                    _episode = null;
+                }
+                return null;
+            }
+
+            _episode ??= new Episode { StartedAt = utcNow };
+            _episode.LastMatchAt = utcNow;
+            if (_episode.Notified || utcNow - _episode.StartedAt < _notifyAfter)
+                return null;
+
+            _episode.Notified = true;
+            return Describe(matched);
+        }
+    }
+
+    private static bool Track(AlertRule rule, RuleTracker tracker, double level, DateTime utcNow)
+    {
+        bool above = level >= rule.LevelDb!.Value;
+
+        if (rule.Type == "sustained")
+        {
+            if (!above)
+            {
+                tracker.Since = null;
+                return false;
+            }
+            tracker.Since ??= utcNow;
+            return utcNow - tracker.Since.Value >= TimeSpan.FromSeconds(rule.DurationSeconds!.Value);
+        }
+
+        // A spike is a crossing from below to above the level
+        if (above && !tracker.Above)
+        {
+            tracker.Times.Enqueue(utcNow);
+        }
+        tracker.Above = above;
+
+        var cutoff = utcNow - TimeSpan.FromMinutes(rule.WindowMinutes!.Value);
+        while (tracker.Times.Count > 0 && tracker.Times.Peek() < cutoff)
+        {
+            tracker.Times.Dequeue();
+        }
+        return tracker.Times.Count >= rule.Count!.Value;
+    }
+
+    private static bool IsValidRule(AlertRule? rule)
+    {
+        if (rule?.LevelDb is not double levelDb || !double.IsFinite(levelDb))
+            return false;
+
+        return rule.Type switch
+        {
+            "sustained" => rule.DurationSeconds > 0,
+            "spikes" => rule.Count > 0 && rule.WindowMinutes > 0,
+            _ => false
+        };
+    }
+
+    private static string Describe(AlertRule rule)
+    {
+        return rule.Type == "sustained"
+            ? $"above {rule.LevelDb} dB for {rule.DurationSeconds}s"
+            : $"{rule.Count} spikes above {rule.LevelDb} dB within {rule.WindowMinutes} min";
+    }
+
+    private static bool IsWithinWindow(ScheduleWindow window, DateTime local)
+    {
+        int? start = ParseTime(window.Start);
+        int? end = ParseTime(window.End);
+        var days = window.Days ?? new List<int>();
+        if (start == null || end == null)
+            return false;
+
+        int minutes = local.Hour * 60 + local.Minute;
+        int today = (int)local.DayOfWeek;
+        int yesterday = (today + 6) % 7;
+
+        if (start == end)
+            return days.Contains(today);
+        if (start < end)
+            return days.Contains(today) && minutes >= start && minutes < end;
+
+        // Overnight window belongs to the day it starts on
+        return (days.Contains(today) && minutes >= start) || (days.Contains(yesterday) && minutes < end);
+    }
+
+    private static int? ParseTime(string? value)
+    {
+        var match = TimePattern.Match(value ?? string.Empty);
+        return match.Success ? int.Parse(match.Groups[1].Value) * 60 + int.Parse(match.Groups[2].Value) : null;
+    }
+
+    // Schedules saved before the time zone was recorded use the server's own
+    private static TimeZoneInfo ResolveTimeZone(string? id)
+    {
+        return !string.IsNullOrWhiteSpace(id) && TimeZoneInfo.TryFindSystemTimeZoneById(id, out var timeZone)
+            ? timeZone
+            : TimeZoneInfo.Local;
+    }
+
+    private static T? Parse<T>(string? json) where T : class
+    {
+        if (string.IsNullOrWhiteSpace(json))
+            return null;
+
+        try
+        {
+            return JsonSerializer.Deserialize<T>(json, JsonOptions);
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+}
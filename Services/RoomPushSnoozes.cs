@@ -0,0 +1,43 @@
+using System.Collections.Concurrent;
+
+namespace BabyMonitarr.Backend.Services;
+
+// Per-room push snoozes and mutes. A snooze lapses on its own; a mute holds until it is lifted,
+// and a snooze never shortens it.
+public sealed class RoomPushSnoozes
+{
+    private readonly ConcurrentDictionary<int, DateTime> _until = new();   // UTC; MaxValue while muted
+
+    public void Snooze(int roomId, DateTime untilUtc)
+    {
+        _until.AddOrUpdate(roomId, untilUtc, (_, current) => current == DateTime.MaxValue ? current : untilUtc);
+    }
+
+    // False when unmuting a room that was not muted. Unmuting leaves a snooze in place.
+    public bool SetMuted(int roomId, bool muted)
+    {
+        if (muted)
+        {
+            _until[roomId] = DateTime.MaxValue;
+            return true;
+        }
+
+        return _until.TryRemove(KeyValuePair.Create(roomId, DateTime.MaxValue));
+    }
+
+    public bool IsSnoozed(int roomId, DateTime utcNow, out bool muted)
+    {
+        muted = false;
+        if (!_until.TryGetValue(roomId, out var until))
+            return false;
+
+        if (until <= utcNow)
+        {
+            _until.TryRemove(KeyValuePair.Create(roomId, until));
+            return false;
+        }
+
+        muted = until == DateTime.MaxValue;
+        return true;
+    }
+}
@@ -21,6 +21,7 @@ public interface IRoomService
         DateTime checkedAtUtc);
     Task<GlobalSettings> GetGlobalSettingsAsync();
     Task<GlobalSettings> UpdateGlobalSettingsAsync(GlobalSettings settings);
+    Task<GlobalSettings> SetDoNotDisturbAsync(bool enabled);
     Task<AudioSettings> GetComposedAudioSettingsAsync();
     Task<AudioSettings> GetAudioSettingsForRoomAsync(int roomId);
 }
@@ -77,13 +78,18 @@ public class RoomService : IRoomService
         var existing = await _db.Rooms.FindAsync(room.Id);
         if (existing == null) return null;
 
+        // Clients never receive the password, so a blank one means "unchanged"
+        string? cameraPassword = room.ClearCameraPassword
+            ? null
+            : string.IsNullOrEmpty(room.CameraPassword) ? existing.CameraPassword : room.CameraPassword;
+
         bool shouldRefreshCodecMetadata =
             existing.VideoCodecCheckedAtUtc == null ||
             existing.EnableVideoStream != room.EnableVideoStream ||
             !string.Equals(existing.StreamSourceType, room.StreamSourceType, StringComparison.OrdinalIgnoreCase) ||
             !string.Equals(existing.CameraStreamUrl, room.CameraStreamUrl, StringComparison.Ordinal) ||
             !string.Equals(existing.CameraUsername, room.CameraUsername, StringComparison.Ordinal) ||
-            !string.Equals(existing.CameraPassword, room.CameraPassword, StringComparison.Ordinal) ||
+            !string.Equals(existing.CameraPassword, cameraPassword, StringComparison.Ordinal) ||
             !string.Equals(existing.NestDeviceId, room.NestDeviceId, StringComparison.Ordinal);
 
         existing.Name = room.Name;
@@ -93,9 +99,17 @@ public class RoomService : IRoomService
         existing.EnableAudioStream = room.EnableAudioStream;
         existing.CameraStreamUrl = room.CameraStreamUrl;
         existing.CameraUsername = room.CameraUsername;
-        existing.CameraPassword = room.CameraPassword;
+        existing.CameraPassword = cameraPassword;
         existing.StreamSourceType = room.StreamSourceType;
         existing.NestDeviceId = room.NestDeviceId;
+        existing.AlertRulesJson = string.IsNullOrWhiteSpace(room.AlertRulesJson) ? null : room.AlertRulesJson;
+        existing.AlertScheduleJson = string.IsNullOrWhiteSpace(room.AlertScheduleJson) ? null : room.AlertScheduleJson;
+        existing.SoundThreshold = room.SoundThreshold;
+        existing.FilterEnabled = room.FilterEnabled;
+        existing.LowPassFrequency = room.LowPassFrequency;
+        existing.HighPassFrequency = room.HighPassFrequency;
+        existing.ThresholdPauseDuration = room.ThresholdPauseDuration;
+        existing.VolumeAdjustmentDb = room.VolumeAdjustmentDb;
 
         if (shouldRefreshCodecMetadata)
         {
@@ -179,6 +193,7 @@ public class RoomService : IRoomService
             existing.SoundThreshold = settings.SoundThreshold;
             existing.AverageSampleCount = settings.AverageSampleCount;
             existing.FilterEnabled = settings.FilterEnabled;
+            existing.ReduceNoise = settings.ReduceNoise;
             existing.LowPassFrequency = settings.LowPassFrequency;
             existing.HighPassFrequency = settings.HighPassFrequency;
             existing.ThresholdPauseDuration = settings.ThresholdPauseDuration;
@@ -189,6 +204,21 @@ public class RoomService : IRoomService
         return await GetGlobalSettingsAsync();
     }
 
+    // Kept out of UpdateGlobalSettingsAsync so saving audio settings never flips do-not-disturb
+    public async Task<GlobalSettings> SetDoNotDisturbAsync(bool enabled)
+    {
+        var existing = await _db.GlobalSettings.FindAsync(1);
+        if (existing == null)
+        {
+            existing = new GlobalSettings { Id = 1 };
+            _db.GlobalSettings.Add(existing);
+        }
+
+        existing.DoNotDisturb = enabled;
+        await _db.SaveChangesAsync();
+        return existing;
+    }
+
     public async Task<AudioSettings> GetComposedAudioSettingsAsync()
     {
         var global = await GetGlobalSettingsAsync();
@@ -199,6 +229,7 @@ public class RoomService : IRoomService
             SoundThreshold = global.SoundThreshold,
             AverageSampleCount = global.AverageSampleCount,
             FilterEnabled = global.FilterEnabled,
+            ReduceNoise = global.ReduceNoise,
             LowPassFrequency = global.LowPassFrequency,
             HighPassFrequency = global.HighPassFrequency,
             ThresholdPauseDuration = global.ThresholdPauseDuration,
@@ -216,13 +247,14 @@ public class RoomService : IRoomService
 
         return new AudioSettings
         {
-            SoundThreshold = global.SoundThreshold,
+            SoundThreshold = room?.SoundThreshold ?? global.SoundThreshold,
             AverageSampleCount = global.AverageSampleCount,
-            FilterEnabled = global.FilterEnabled,
-            LowPassFrequency = global.LowPassFrequency,
-            HighPassFrequency = global.HighPassFrequency,
-            ThresholdPauseDuration = global.ThresholdPauseDuration,
-            VolumeAdjustmentDb = global.VolumeAdjustmentDb,
+            FilterEnabled = room?.FilterEnabled ?? global.FilterEnabled,
+            ReduceNoise = global.ReduceNoise,
+            LowPassFrequency = room?.LowPassFrequency ?? global.LowPassFrequency,
+            HighPassFrequency = room?.HighPassFrequency ?? global.HighPassFrequency,
+            ThresholdPauseDuration = room?.ThresholdPauseDuration ?? global.ThresholdPauseDuration,
+            VolumeAdjustmentDb = room?.VolumeAdjustmentDb ?? global.VolumeAdjustmentDb,
             CameraStreamUrl = room?.CameraStreamUrl,
             CameraUsername = room?.CameraUsername,
             CameraPassword = room?.CameraPassword
@@ -33,6 +33,7 @@ namespace BabyMonitarr.Backend.Services
         private readonly string _redactedRtspUrl;
         private readonly string _username;
         private readonly string _password;
+        private volatile float _volumeAdjustmentDb;
         private bool _isDisposed;
         private Task? _processingTask;
         private CancellationTokenSource? _cts;
@@ -59,10 +60,17 @@ namespace BabyMonitarr.Backend.Services
             _redactedRtspUrl = RtspDiagnostics.RedactRtspUrl(_rtspUrl);
             _username = _settings.CameraUsername ?? string.Empty;
             _password = _settings.CameraPassword ?? string.Empty;
+            _volumeAdjustmentDb = (float)_settings.VolumeAdjustmentDb;
 
             FFmpegLibraryLoader.EnsureInitialized(_logger, _diagnosticsOptions.CurrentValue);
         }
 
+        // Applied to the next decoded frame, so volume changes don't need a reconnect
+        public void UpdateVolumeAdjustment(double volumeAdjustmentDb)
+        {
+            _volumeAdjustmentDb = (float)volumeAdjustmentDb;
+        }
+
         public Task StartAsync(CancellationToken cancellationToken)
         {
             _logger.LogInformation(
@@ -466,7 +474,7 @@ namespace BabyMonitarr.Backend.Services
                     Marshal.Copy(sourcePtr, audioData, 0, dataSize);
                 }
                 
-                audioData = AdjustVolume(audioData, bytesPerSample, _settings.VolumeAdjustmentDb);
+                audioData = AdjustVolume(audioData, bytesPerSample, _volumeAdjustmentDb);
                 
                 var eventArgs = new AudioFormatEventArgs
                 {
@@ -0,0 +1,490 @@
+using System.Buffers.Binary;
+using System.Net.Sockets;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.RegularExpressions;
+using SIPSorcery.Media;
+using SIPSorcery.Net;
+using SIPSorceryMedia.Abstractions;
+
+namespace BabyMonitarr.Backend.Services;
+
+// Talks to a camera's ONVIF audio backchannel (ONVIF Streaming Specification, "Back channel
+// connection"). DESCRIBE with the backchannel Require tag lists an extra a=sendonly audio track;
+// after SETUP and PLAY the client sends G.711 RTP for it interleaved on the RTSP TCP connection.
+internal sealed class RtspBackchannelClient : IDisposable
+{
+    public const int SampleRate = 8000;
+
+    private const string BackchannelRequireTag = "www.onvif.org/ver20/backchannel";
+    private const int SamplesPerPacket = SampleRate / 50;
+    private const int DefaultRtspPort = 554;
+    private static readonly TimeSpan DefaultSessionTimeout = TimeSpan.FromSeconds(60);
+    private static readonly Regex AuthParamPattern = new(
+        @"(?<key>\w+)=(?:""(?<value>[^""]*)""|(?<value>[^,\s]+))",
+        RegexOptions.Compiled | RegexOptions.CultureInvariant);
+
+    private readonly string _url;
+    private readonly string _redactedUrl;
+    private readonly string _username;
+    private readonly string _password;
+    private readonly ILogger _logger;
+    private readonly AudioEncoder _encoder = new();
+    private readonly object _sendLock = new();
+    private readonly List<short> _pendingSamples = new();
+    private readonly uint _ssrc = (uint)Random.Shared.Next();
+
+    private TcpClient? _tcpClient;
+    private NetworkStream? _stream;
+    private BufferedStream? _reader;
+    private CancellationTokenSource? _readCts;
+    private int _cseq;
+    private string? _session;
+    private TimeSpan _sessionTimeout = DefaultSessionTimeout;
+    private Dictionary<string, string>? _digestChallenge;
+    private bool _useBasicAuth;
+    private int _digestNonceCount;
+
+    private AudioFormat _format;
+    private int _payloadType;
+    private byte _rtpChannel;
+    private ushort _sequenceNumber = (ushort)Random.Shared.Next(ushort.MaxValue);
+    private uint _timestamp = (uint)Random.Shared.Next();
+    private bool _markNextPacket = true;
+    private DateTime _lastKeepAliveAt;
+
+    public RtspBackchannelClient(string url, string? username, string? password, ILogger logger)
+    {
+        var uri = new Uri(url);
+        var (urlUsername, urlPassword) = ParseUserInfo(uri.UserInfo);
+
+        // RTSP requests carry the credentials in Authorization, never in the URL
+        _url = new UriBuilder(uri) { UserName = string.Empty, Password = string.Empty }.Uri.AbsoluteUri;
+        _redactedUrl = RtspDiagnostics.RedactRtspUrl(url);
+        _username = !string.IsNullOrEmpty(username) ? username : urlUsername;
+        _password = !string.IsNullOrEmpty(password) ? password : urlPassword;
+        _logger = logger;
+    }
+
+    public async Task ConnectAsync(CancellationToken cancellationToken)
+    {
+        var uri = new Uri(_url);
+        _tcpClient = new TcpClient { NoDelay = true };
+        await _tcpClient.ConnectAsync(uri.Host, uri.Port > 0 ? uri.Port : DefaultRtspPort, cancellationToken);
+        _stream = _tcpClient.GetStream();
+        _reader = new BufferedStream(_stream);
+
+        var describe = await SendRequestAsync("DESCRIBE", _url, new Dictionary<string, string>
+        {
+            ["Accept"] = "application/sdp"
+        }, cancellationToken);
+
+        string baseUrl = describe.Headers.GetValueOrDefault("Content-Base")
+            ?? describe.Headers.GetValueOrDefault("Content-Location")
+            ?? _url;
+        var track = FindBackchannelTrack(describe.Body)
+            ?? throw new InvalidOperationException("The camera does not offer an ONVIF audio backchannel.");
+
+        _format = track.Format;
+        _payloadType = track.PayloadType;
+
+        var setup = await SendRequestAsync("SETUP", ResolveControlUrl(baseUrl, track.Control), new Dictionary<string, string>
+        {
+            ["Transport"] = "RTP/AVP/TCP;unicast;interleaved=0-1"
+        }, cancellationToken);
+
+        ParseSession(setup.Headers.GetValueOrDefault("Session"));
+        var interleaved = Regex.Match(setup.Headers.GetValueOrDefault("Transport") ?? string.Empty, @"interleaved=(\d+)");
+        _rtpChannel = interleaved.Success ? byte.Parse(interleaved.Groups[1].Value) : (byte)0;
+
+        await SendRequestAsync("PLAY", baseUrl, new Dictionary<string, string>
+        {
+            ["Range"] = "npt=0.000-"
+        }, cancellationToken);
+        _lastKeepAliveAt = DateTime.UtcNow;
+
+        // The camera may send RTCP and keep-alive replies; nothing here needs them
+        _readCts = new CancellationTokenSource();
+        _ = Task.Run(() => DrainAsync(_readCts.Token));
+
+        _logger.LogInformation(
+            "Opened ONVIF audio backchannel to {Url} ({Codec})",
+            _redactedUrl,
+            _format.FormatName);
+    }
+
+    // Takes 8 kHz mono PCM and sends it in 20 ms RTP packets
+    public void SendSamples(short[] samples)
+    {
+        if (_stream == null)
+            throw new InvalidOperationException("The backchannel is not connected.");
+
+        lock (_sendLock)
+        {
+            _pendingSamples.AddRange(samples);
+
+            int offset = 0;
+            while (_pendingSamples.Count - offset >= SamplesPerPacket)
+            {
+                var frame = _pendingSamples.GetRange(offset, SamplesPerPacket).ToArray();
+                offset += SamplesPerPacket;
+                WriteRtpPacket(_encoder.EncodeAudio(frame, _format));
+            }
+            _pendingSamples.RemoveRange(0, offset);
+
+            if (DateTime.UtcNow - _lastKeepAliveAt >= _sessionTimeout / 2)
+            {
+                _lastKeepAliveAt = DateTime.UtcNow;
+                WriteRequest("GET_PARAMETER", _url, null);
+            }
+        }
+    }
+
+    private void WriteRtpPacket(byte[] payload)
+    {
+        var packet = new byte[4 + 12 + payload.Length];
+        packet[0] = (byte)'$';
+        packet[1] = _rtpChannel;
+        BinaryPrimitives.WriteUInt16BigEndian(packet.AsSpan(2), (ushort)(12 + payload.Length));
+
+        packet[4] = 0x80;
+        packet[5] = (byte)((_markNextPacket ? 0x80 : 0) | _payloadType);
+        BinaryPrimitives.WriteUInt16BigEndian(packet.AsSpan(6), _sequenceNumber++);
+        BinaryPrimitives.WriteUInt32BigEndian(packet.AsSpan(8), _timestamp);
+        BinaryPrimitives.WriteUInt32BigEndian(packet.AsSpan(12), _ssrc);
+        payload.CopyTo(packet, 16);
+
+        _markNextPacket = false;
+        _timestamp += SamplesPerPacket;
+        _stream!.Write(packet);
+    }
+
+    private async Task<RtspResponse> SendRequestAsync(
+        string method,
+        string url,
+        Dictionary<string, string>? headers,
+        CancellationToken cancellationToken)
+    {
+        int cseq = WriteRequest(method, url, headers);
+        var response = await ReadResponseAsync(cseq, cancellationToken);
+
+        if (response.StatusCode == 401 && _digestChallenge == null && !_useBasicAuth &&
+            !string.IsNullOrEmpty(_username))
+        {
+            ReadChallenge(response);
+            cseq = WriteRequest(method, url, headers);
+            response = await ReadResponseAsync(cseq, cancellationToken);
+        }
+
+        if (response.StatusCode != 200)
+        {
+            throw new InvalidOperationException(response.StatusCode switch
+            {
+                401 => "The camera rejected the credentials for the audio backchannel.",
+                551 => "The camera does not support the ONVIF audio backchannel.",
+                _ => $"The camera answered {method} with {response.StatusCode} {response.Reason}."
+            });
+        }
+
+        return response;
+    }
+
+    private int WriteRequest(string method, string url, Dictionary<string, string>? headers)
+    {
+        int cseq = Interlocked.Increment(ref _cseq);
+        var request = new StringBuilder()
+            .Append($"{method} {url} RTSP/1.0\r\n")
+            .Append($"CSeq: {cseq}\r\n")
+            .Append($"Require: {BackchannelRequireTag}\r\n")
+            .Append("User-Agent: BabyMonitarr\r\n");
+
+        if (_session != null)
+        {
+            request.Append($"Session: {_session}\r\n");
+        }
+
+        string? authorization = CreateAuthorization(method, url);
+        if (authorization != null)
+        {
+            request.Append($"Authorization: {authorization}\r\n");
+        }
+
+        foreach (var (name, value) in headers ?? new Dictionary<string, string>())
+        {
+            request.Append($"{name}: {value}\r\n");
+        }
+        request.Append("\r\n");
+
+        _stream!.Write(Encoding.ASCII.GetBytes(request.ToString()));
+        return cseq;
+    }
+
+    private async Task<RtspResponse> ReadResponseAsync(int cseq, CancellationToken cancellationToken)
+    {
+        while (true)
+        {
+            var response = await ReadMessageAsync(cancellationToken);
+            if (response != null &&
+                (!response.Headers.TryGetValue("CSeq", out var value) || value.Trim() == cseq.ToString()))
+            {
+                return response;
+            }
+        }
+    }
+
+    // Returns null for interleaved data frames
+    private async Task<RtspResponse?> ReadMessageAsync(CancellationToken cancellationToken)
+    {
+        var header = new byte[4];
+        await _reader!.ReadExactlyAsync(header.AsMemory(0, 1), cancellationToken);
+        if (header[0] == (byte)'$')
+        {
+            await _reader.ReadExactlyAsync(header.AsMemory(1, 3), cancellationToken);
+            int length = BinaryPrimitives.ReadUInt16BigEndian(header.AsSpan(2));
+            await _reader.ReadExactlyAsync(new byte[length], cancellationToken);
+            return null;
+        }
+
+        string statusLine = (char)header[0] + await ReadLineAsync(cancellationToken);
+        var statusMatch = Regex.Match(statusLine, @"^RTSP/\d\.\d\s+(\d{3})\s*(.*)$");
+        if (!statusMatch.Success)
+            throw new InvalidOperationException($"Unexpected RTSP reply from the camera: {statusLine}");
+
+        var response = new RtspResponse
+        {
+            StatusCode = int.Parse(statusMatch.Groups[1].Value),
+            Reason = statusMatch.Groups[2].Value
+        };
+
+        string line;
+        while ((line = await ReadLineAsync(cancellationToken)).Length > 0)
+        {
+            int colon = line.IndexOf(':');
+            if (colon <= 0) continue;
+
+            string name = line[..colon].Trim();
+            string value = line[(colon + 1)..].Trim();
+            response.Headers[name] = response.Headers.TryGetValue(name, out var existing)
+                ? $"{existing}\n{value}"
+                : value;
+        }
+
+        if (response.Headers.TryGetValue("Content-Length", out var contentLength) &&
+            int.TryParse(contentLength, out int bodyLength) && bodyLength > 0)
+        {
+            var body = new byte[bodyLength];
+            await _reader.ReadExactlyAsync(body, cancellationToken);
+            response.Body = Encoding.UTF8.GetString(body);
+        }
+
+        return response;
+    }
+
+    private async Task<string> ReadLineAsync(CancellationToken cancellationToken)
+    {
+        var line = new StringBuilder();
+        var buffer = new byte[1];
+        while (true)
+        {
+            await _reader!.ReadExactlyAsync(buffer, cancellationToken);
+            if (buffer[0] == (byte)'\n')
+                return line.ToString().TrimEnd('\r');
+            line.Append((char)buffer[0]);
+        }
+    }
+
+    private async Task DrainAsync(CancellationToken cancellationToken)
+    {
+        try
+        {
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                var message = await ReadMessageAsync(cancellationToken);
+                if (message != null && message.StatusCode != 200)
+                {
+                    _logger.LogDebug(
+                        "Audio backchannel to {Url} answered a keep-alive with {Status}",
+                        _redactedUrl,
+                        message.StatusCode);
+                }
+            }
+        }
+        catch (Exception ex) when (ex is OperationCanceledException or IOException or ObjectDisposedException or EndOfStreamException)
+        {
+            // Closed by Dispose or by the camera; the next SendSamples reports a dropped connection
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug("Stopped reading audio backchannel replies from {Url}: {Error}", _redactedUrl, ex.Message);
+        }
+    }
+
+    private void ReadChallenge(RtspResponse response)
+    {
+        var challenges = (response.Headers.GetValueOrDefault("WWW-Authenticate") ?? string.Empty).Split('\n');
+        var digest = challenges.FirstOrDefault(c => c.StartsWith("Digest", StringComparison.OrdinalIgnoreCase));
+        if (digest != null)
+        {
+            _digestChallenge = AuthParamPattern.Matches(digest)
+                .ToDictionary(m => m.Groups["key"].Value.ToLowerInvariant(), m => m.Groups["value"].Value);
+            return;
+        }
+
+        _useBasicAuth = challenges.Any(c => c.StartsWith("Basic", StringComparison.OrdinalIgnoreCase));
+    }
+
+    private string? CreateAuthorization(string method, string url)
+    {
+        if (_useBasicAuth)
+        {
+            return "Basic " + Convert.ToBase64String(Encoding.UTF8.GetBytes($"{_username}:{_password}"));
+        }
+
+        if (_digestChallenge == null)
+            return null;
+
+        string realm = _digestChallenge.GetValueOrDefault("realm") ?? string.Empty;
+        string nonce = _digestChallenge.GetValueOrDefault("nonce") ?? string.Empty;
+        string ha1 = Md5Hex($"{_username}:{realm}:{_password}");
+        string ha2 = Md5Hex($"{method}:{url}");
+
+        var authorization = new StringBuilder(
+            $"Digest username=\"{_username}\", realm=\"{realm}\", nonce=\"{nonce}\", uri=\"{url}\"");
+
+        bool useQop = (_digestChallenge.GetValueOrDefault("qop") ?? string.Empty)
+            .Split(',').Any(q => q.Trim() == "auth");
+        if (useQop)
+        {
+            string nc = (++_digestNonceCount).ToString("x8");
+            string cnonce = Convert.ToHexString(RandomNumberGenerator.GetBytes(8)).ToLowerInvariant();
+            authorization.Append($", qop=auth, nc={nc}, cnonce=\"{cnonce}\"");
+            authorization.Append($", response=\"{Md5Hex($"{ha1}:{nonce}:{nc}:{cnonce}:auth:{ha2}")}\"");
+        }
+        else
+        {
+            authorization.Append($", response=\"{Md5Hex($"{ha1}:{nonce}:{ha2}")}\"");
+        }
+
+        if (_digestChallenge.TryGetValue("opaque", out var opaque))
+        {
+            authorization.Append($", opaque=\"{opaque}\"");
+        }
+
+        return authorization.ToString();
+    }
+
+    private void ParseSession(string? sessionHeader)
+    {
+        if (string.IsNullOrWhiteSpace(sessionHeader))
+            throw new InvalidOperationException("The camera did not start a backchannel session.");
+
+        var parts = sessionHeader.Split(';', StringSplitOptions.TrimEntries);
+        _session = parts[0];
+
+        var timeout = parts.Skip(1).FirstOrDefault(p => p.StartsWith("timeout=", StringComparison.OrdinalIgnoreCase));
+        if (timeout != null && int.TryParse(timeout["timeout=".Length..], out int seconds) && seconds > 0)
+        {
+            _sessionTimeout = TimeSpan.FromSeconds(seconds);
+        }
+    }
+
+    // The backchannel is the audio media the camera marks a=sendonly; only G.711 is supported here
+    private static BackchannelTrack? FindBackchannelTrack(string sdp)
+    {
+        var sections = Regex.Split(sdp.Replace("\r\n", "\n"), @"\n(?=m=)").Skip(1);
+        foreach (var section in sections)
+        {
+            var lines = section.Split('\n', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries);
+            if (!lines[0].StartsWith("m=audio", StringComparison.Ordinal) || !lines.Contains("a=sendonly"))
+                continue;
+
+            string control = lines.FirstOrDefault(l => l.StartsWith("a=control:", StringComparison.Ordinal))?["a=control:".Length..]
+                ?? string.Empty;
+
+            foreach (var payloadType in lines[0].Split(' ').Skip(3))
+            {
+                if (!int.TryParse(payloadType, out int pt))
+                    continue;
+
+                string? encoding = lines
+                    .FirstOrDefault(l => l.StartsWith($"a=rtpmap:{pt} ", StringComparison.Ordinal))?
+                    .Split(' ', 2)[1];
+                var format = pt == 0 || encoding?.StartsWith("PCMU/8000", StringComparison.OrdinalIgnoreCase) == true
+                    ? new AudioFormat(SDPWellKnownMediaFormatsEnum.PCMU)
+                    : pt == 8 || encoding?.StartsWith("PCMA/8000", StringComparison.OrdinalIgnoreCase) == true
+                        ? new AudioFormat(SDPWellKnownMediaFormatsEnum.PCMA)
+                        : (AudioFormat?)null;
+
+                if (format.HasValue)
+                {
+                    return new BackchannelTrack(control, pt, format.Value);
+                }
+            }
+
+            throw new InvalidOperationException(
+                $"The camera's audio backchannel uses an unsupported codec ({string.Join(", ", lines[0].Split(' ').Skip(3))}).");
+        }
+
+        return null;
+    }
+
+    private static string ResolveControlUrl(string baseUrl, string control)
+    {
+        if (string.IsNullOrEmpty(control) || control == "*")
+            return baseUrl;
+        if (control.StartsWith("rtsp://", StringComparison.OrdinalIgnoreCase) ||
+            control.StartsWith("rtsps://", StringComparison.OrdinalIgnoreCase))
+            return control;
+
+        return baseUrl.EndsWith('/') ? baseUrl + control : $"{baseUrl}/{control}";
+    }
+
+    private static (string Username, string Password) ParseUserInfo(string userInfo)
+    {
+        if (string.IsNullOrEmpty(userInfo))
+            return (string.Empty, string.Empty);
+
+        var parts = userInfo.Split(':', 2);
+        return (Uri.UnescapeDataString(parts[0]), parts.Length > 1 ? Uri.UnescapeDataString(parts[1]) : string.Empty);
+    }
+
+    private static string Md5Hex(string value)
+    {
+        return Convert.ToHexString(MD5.HashData(Encoding.UTF8.GetBytes(value))).ToLowerInvariant();
+    }
+
+    public void Dispose()
+    {
+        _readCts?.Cancel();
+
+        if (_stream != null && _session != null)
+        {
+            try
+            {
+                lock (_sendLock)
+                {
+                    WriteRequest("TEARDOWN", _url, null);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug("Could not tear down audio backchannel to {Url}: {Error}", _redactedUrl, ex.Message);
+            }
+        }
+
+        _reader?.Dispose();
+        _stream?.Dispose();
+        _tcpClient?.Dispose();
+        _readCts?.Dispose();
+    }
+
+    private sealed record BackchannelTrack(string Control, int PayloadType, AudioFormat Format);
+
+    private sealed class RtspResponse
+    {
+        public int StatusCode { get; init; }
+        public string Reason { get; init; } = string.Empty;
+        public Dictionary<string, string> Headers { get; } = new(StringComparer.OrdinalIgnoreCase);
+        public string Body { get; set; } = string.Empty;
+    }
+}
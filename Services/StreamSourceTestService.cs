@@ -0,0 +1,333 @@
+using System.Runtime.InteropServices;
+using BabyMonitarr.Backend.Models;
+using FFmpeg.AutoGen;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace BabyMonitarr.Backend.Services;
+
+public sealed class StreamSourceTestResult
+{
+    public bool Reachable { get; set; }
+    // Only the device was looked up (Nest); no stream was opened, so there are no codecs or thumbnail
+    public bool DeviceCheckOnly { get; set; }
+    public string? FailureReason { get; set; }
+    public string? AudioCodecName { get; set; }
+    public string? VideoSourceCodecName { get; set; }
+    public string? VideoPassthroughCodec { get; set; }
+    public string? VideoCodecFailureReason { get; set; }
+    public int? VideoWidth { get; set; }
+    public int? VideoHeight { get; set; }
+    public string? ThumbnailDataUrl { get; set; }
+    public DateTime CheckedAtUtc { get; set; } = DateTime.UtcNow;
+}
+
+public interface IStreamSourceTestService
+{
+    Task<StreamSourceTestResult> TestRtspAsync(
+        int roomId,
+        string rtspUrl,
+        string? username,
+        string? password,
+        CancellationToken cancellationToken);
+}
+
+internal sealed class StreamSourceTestService : IStreamSourceTestService
+{
+    private const int ThumbnailWidth = 320;
+    private const int ThumbnailMaxPackets = 300;
+    private const string SocketTimeoutMicroseconds = "10000000";
+
+    private readonly ILogger<StreamSourceTestService> _logger;
+    private readonly IOptionsMonitor<FfmpegDiagnosticsOptions> _diagnosticsOptions;
+
+    public StreamSourceTestService(
+        ILogger<StreamSourceTestService> logger,
+        IOptionsMonitor<FfmpegDiagnosticsOptions> diagnosticsOptions)
+    {
+        _logger = logger;
+        _diagnosticsOptions = diagnosticsOptions;
+
+        FFmpegLibraryLoader.EnsureInitialized(_logger, _diagnosticsOptions.CurrentValue);
+    }
+
+    public Task<StreamSourceTestResult> TestRtspAsync(
+        int roomId,
+        string rtspUrl,
+        string? username,
+        string? password,
+        CancellationToken cancellationToken)
+    {
+        // FFmpeg's blocking calls never see the token; it is only checked between steps. WaitAsync
+        // returns on time, and the abandoned probe stops at the next check or its socket timeout.
+        return Task.Run(() => TestInternal(roomId, rtspUrl, username, password, cancellationToken), cancellationToken)
+            .WaitAsync(cancellationToken);
+    }
+
+    private unsafe StreamSourceTestResult TestInternal(
+        int roomId,
+        string rtspUrl,
+        string? username,
+        string? password,
+        CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(rtspUrl))
+        {
+            return new StreamSourceTestResult { FailureReason = "Camera stream URL is not configured." };
+        }
+
+        string redactedRtspUrl = RtspDiagnostics.RedactRtspUrl(rtspUrl);
+        var result = new StreamSourceTestResult();
+
+        AVFormatContext* formatContext = null;
+        AVDictionary* options = null;
+
+        try
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            formatContext = ffmpeg.avformat_alloc_context();
+            if (formatContext == null)
+            {
+                throw new InvalidOperationException("Could not allocate FFmpeg format context for source test.");
+            }
+
+            ffmpeg.av_dict_set(&options, "rtsp_transport", "tcp", 0);
+            ffmpeg.av_dict_set(&options, "timeout", SocketTimeoutMicroseconds, 0);
+            ffmpeg.av_dict_set(&options, "analyzeduration", "1000000", 0);
+            ffmpeg.av_dict_set(&options, "probesize", "500000", 0);
+
+            if (!string.IsNullOrWhiteSpace(username) && !string.IsNullOrWhiteSpace(password))
+            {
+                ffmpeg.av_dict_set(&options, "username", username, 0);
+                ffmpeg.av_dict_set(&options, "password", password, 0);
+            }
+
+            int ret = ffmpeg.avformat_open_input(&formatContext, rtspUrl, null, &options);
+            if (ret < 0)
+            {
+                throw new InvalidOperationException(
+                    $"Could not open the stream: {RtspDiagnostics.GetFfmpegError(ret)}");
+            }
+
+            ret = ffmpeg.avformat_find_stream_info(formatContext, null);
+            if (ret < 0)
+            {
+                throw new InvalidOperationException(
+                    $"Connected, but could not read stream information: {RtspDiagnostics.GetFfmpegError(ret)}");
+            }
+
+            result.Reachable = true;
+            cancellationToken.ThrowIfCancellationRequested();
+
+            int audioStreamIndex = ffmpeg.av_find_best_stream(formatContext, AVMediaType.AVMEDIA_TYPE_AUDIO, -1, -1, null, 0);
+            if (audioStreamIndex >= 0)
+            {
+                result.AudioCodecName = VideoCodecProbeService.GetCodecName(
+                    formatContext->streams[audioStreamIndex]->codecpar->codec_id);
+            }
+
+            int videoStreamIndex = ffmpeg.av_find_best_stream(formatContext, AVMediaType.AVMEDIA_TYPE_VIDEO, -1, -1, null, 0);
+            if (videoStreamIndex < 0)
+            {
+                result.VideoCodecFailureReason = "Could not find a video stream in the source.";
+                return result;
+            }
+
+            AVCodecParameters* videoParameters = formatContext->streams[videoStreamIndex]->codecpar;
+            result.VideoSourceCodecName = VideoCodecProbeService.GetCodecName(videoParameters->codec_id);
+            result.VideoWidth = videoParameters->width > 0 ? videoParameters->width : null;
+            result.VideoHeight = videoParameters->height > 0 ? videoParameters->height : null;
+
+            if (VideoCodecProbeService.TryResolvePassthroughCodec(videoParameters->codec_id, out var passthroughCodec))
+            {
+                result.VideoPassthroughCodec = passthroughCodec.ToString();
+            }
+            else
+            {
+                result.VideoCodecFailureReason =
+                    $"Video passthrough does not support RTSP codec '{result.VideoSourceCodecName}'. Supported codecs are H264, H265, and VP8.";
+            }
+
+            // The thumbnail is a bonus; a source that connects still passes without one
+            try
+            {
+                result.ThumbnailDataUrl = CaptureThumbnail(formatContext, videoStreamIndex, cancellationToken);
+            }
+            catch (OperationCanceledException)
+            {
+                throw;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Could not capture a thumbnail while testing room {RoomId} ({Url})", roomId, redactedRtspUrl);
+            }
+
+            return result;
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Stream source test failed for room {RoomId} ({Url})", roomId, redactedRtspUrl);
+            result.FailureReason = RtspDiagnostics.RedactFreeText(ex.Message);
+            return result;
+        }
+        finally
+        {
+            if (options != null)
+            {
+                ffmpeg.av_dict_free(&options);
+            }
+
+            if (formatContext != null)
+            {
+                ffmpeg.avformat_close_input(&formatContext);
+            }
+        }
+    }
+
+    private static unsafe string? CaptureThumbnail(AVFormatContext* formatContext, int streamIndex, CancellationToken cancellationToken)
+    {
+        AVCodecParameters* parameters = formatContext->streams[streamIndex]->codecpar;
+        AVCodec* decoder = ffmpeg.avcodec_find_decoder(parameters->codec_id);
+        if (decoder == null)
+        {
+            return null;
+        }
+
+        AVCodecContext* decoderContext = ffmpeg.avcodec_alloc_context3(decoder);
+        AVPacket* packet = ffmpeg.av_packet_alloc();
+        AVFrame* frame = ffmpeg.av_frame_alloc();
+
+        try
+        {
+            if (ffmpeg.avcodec_parameters_to_context(decoderContext, parameters) < 0 ||
+                ffmpeg.avcodec_open2(decoderContext, decoder, null) < 0)
+            {
+                return null;
+            }
+
+            // Start decoding at a keyframe so the picture isn't a smear of missing references
+            bool sawKeyFrame = false;
+            for (int read = 0; read < ThumbnailMaxPackets; read++)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                if (ffmpeg.av_read_frame(formatContext, packet) < 0)
+                {
+                    return null;
+                }
+
+                try
+                {
+                    if (packet->stream_index != streamIndex)
+                    {
+                        continue;
+                    }
+
+                    sawKeyFrame |= (packet->flags & ffmpeg.AV_PKT_FLAG_KEY) != 0;
+                    if (!sawKeyFrame || ffmpeg.avcodec_send_packet(decoderContext, packet) < 0)
+                    {
+                        continue;
+                    }
+
+                    if (ffmpeg.avcodec_receive_frame(decoderContext, frame) == 0)
+                    {
+                        return EncodeJpegDataUrl(frame);
+                    }
+                }
+                finally
+                {
+                    ffmpeg.av_packet_unref(packet);
+                }
+            }
+
+            return null;
+        }
+        finally
+        {
+            ffmpeg.av_frame_free(&frame);
+            ffmpeg.av_packet_free(&packet);
+            ffmpeg.avcodec_free_context(&decoderContext);
+        }
+    }
+
+    private static unsafe string? EncodeJpegDataUrl(AVFrame* frame)
+    {
+        if (frame->width <= 0 || frame->height <= 0)
+        {
+            return null;
+        }
+
+        int width = Math.Min(ThumbnailWidth, frame->width) & ~1;
+        int height = Math.Max(2, (int)Math.Round(frame->height * (double)width / frame->width) & ~1);
+
+        SwsContext* scaler = ffmpeg.sws_getContext(
+            frame->width, frame->height, (AVPixelFormat)frame->format,
+            width, height, AVPixelFormat.AV_PIX_FMT_YUVJ420P,
+            ffmpeg.SWS_BILINEAR, null, null, null);
+        AVFrame* scaled = ffmpeg.av_frame_alloc();
+        AVCodecContext* encoderContext = null;
+        AVPacket* packet = ffmpeg.av_packet_alloc();
+
+        try
+        {
+            if (scaler == null)
+            {
+                return null;
+            }
+
+            scaled->format = (int)AVPixelFormat.AV_PIX_FMT_YUVJ420P;
+            scaled->width = width;
+            scaled->height = height;
+            if (ffmpeg.av_frame_get_buffer(scaled, 0) < 0)
+            {
+                return null;
+            }
+
+            ffmpeg.sws_scale(
+                scaler,
+                frame->data.ToArray(), frame->linesize.ToArray(), 0, frame->height,
+                scaled->data.ToArray(), scaled->linesize.ToArray());
+
+            AVCodec* encoder = ffmpeg.avcodec_find_encoder(AVCodecID.AV_CODEC_ID_MJPEG);
+            if (encoder == null)
+            {
+                return null;
+            }
+
+            encoderContext = ffmpeg.avcodec_alloc_context3(encoder);
+            encoderContext->width = width;
+            encoderContext->height = height;
+            encoderContext->pix_fmt = AVPixelFormat.AV_PIX_FMT_YUVJ420P;
+            encoderContext->time_base = new AVRational { num = 1, den = 25 };
+
+            if (ffmpeg.avcodec_open2(encoderContext, encoder, null) < 0 ||
+                ffmpeg.avcodec_send_frame(encoderContext, scaled) < 0 ||
+                ffmpeg.avcodec_receive_packet(encoderContext, packet) < 0)
+            {
+                return null;
+            }
+
+            byte[] jpeg = new byte[packet->size];
+            Marshal.Copy((IntPtr)packet->data, jpeg, 0, packet->size);
+            return "data:image/jpeg;base64," + Convert.ToBase64String(jpeg);
+        }
+        finally
+        {
+            ffmpeg.av_packet_free(&packet);
+            if (encoderContext != null)
+            {
+                ffmpeg.avcodec_free_context(&encoderContext);
+            }
+            ffmpeg.av_frame_free(&scaled);
+            if (scaler != null)
+            {
+                ffmpeg.sws_freeContext(scaler);
+            }
+        }
+    }
+}
@@ -0,0 +1,229 @@
+using System.Collections.Concurrent;
+using BabyMonitarr.Backend.Models;
+
+namespace BabyMonitarr.Backend.Services;
+
+public class TalkbackFailedEventArgs : EventArgs
+{
+    public int RoomId { get; set; }
+    public string SpeakerKey { get; set; } = string.Empty;
+    public string Message { get; set; } = string.Empty;
+}
+
+public interface ITalkbackService
+{
+    // PCM rate SendAudio expects
+    int SampleRate { get; }
+    void SendAudio(int roomId, string speakerKey, short[] samples);
+    event EventHandler<TalkbackFailedEventArgs>? TalkbackFailed;
+}
+
+// Plays dashboard talkback through the room camera's speaker. A backchannel is opened on the
+// first audio of a talk spurt and torn down once the audio stops, so the camera's speaker line
+// is only held while someone is talking. One speaker per room at a time.
+public class TalkbackService : ITalkbackService, IDisposable
+{
+    private static readonly TimeSpan IdleGap = TimeSpan.FromSeconds(2);
+    private static readonly TimeSpan ConnectTimeout = TimeSpan.FromSeconds(10);
+    private const int MaxQueuedSamples = RtspBackchannelClient.SampleRate;
+
+    private readonly ILogger<TalkbackService> _logger;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ConcurrentDictionary<int, TalkbackSession> _sessions = new();
+    private readonly Timer _idleTimer;
+
+    public event EventHandler<TalkbackFailedEventArgs>? TalkbackFailed;
+
+    public int SampleRate => RtspBackchannelClient.SampleRate;
+
+    private sealed class TalkbackSession
+    {
+        public required string SpeakerKey { get; init; }
+        public DateTime LastAudioAt;
+        public RtspBackchannelClient? Client;
+        public bool Failed;
+        public readonly List<short[]> Queued = new();
+        public int QueuedSamples;
+    }
+
+    public TalkbackService(ILogger<TalkbackService> logger, IServiceScopeFactory scopeFactory)
+    {
+        _logger = logger;
+        _scopeFactory = scopeFactory;
+        _idleTimer = new Timer(_ => CloseIdleSessions(), null, TimeSpan.FromSeconds(1), TimeSpan.FromSeconds(1));
+    }
+
+    // Nest's SDM API has no talkback; RTSP cameras answer for themselves when the backchannel opens
+    private static bool SupportsRoom(Room room)
+    {
+        return !string.Equals(room.StreamSourceType, "google_nest", StringComparison.OrdinalIgnoreCase) &&
+               !string.IsNullOrWhiteSpace(room.CameraStreamUrl);
+    }
+
+    public void SendAudio(int roomId, string speakerKey, short[] samples)
+    {
+        var now = DateTime.UtcNow;
+        var session = _sessions.GetOrAdd(roomId, _ => StartSession(roomId, speakerKey));
+
+        lock (session)
+        {
+            if (session.SpeakerKey != speakerKey)
+            {
+                _logger.LogDebug(
+                    "Dropping talkback from {SpeakerKey} for room {RoomId}; {ActiveKey} is already talking",
+                    speakerKey, roomId, session.SpeakerKey);
+                return;
+            }
+
+            session.LastAudioAt = now;
+            if (session.Failed)
+                return;
+
+            if (session.Client == null)
+            {
+                // Still connecting; keep the start of what was said, up to a second
+                if (session.QueuedSamples + samples.Length <= MaxQueuedSamples)
+                {
+                    session.Queued.Add(samples);
+                    session.QueuedSamples += samples.Length;
+                }
+                return;
+            }
+
+            try
+            {
+                session.Client.SendSamples(samples);
+            }
+            catch (Exception ex)
+            {
+                FailSession(roomId, session, "The connection to the camera's speaker was lost.", ex);
+            }
+        }
+    }
+
+    private TalkbackSession StartSession(int roomId, string speakerKey)
+    {
+        var session = new TalkbackSession { SpeakerKey = speakerKey, LastAudioAt = DateTime.UtcNow };
+        _ = Task.Run(() => ConnectSessionAsync(roomId, session));
+        return session;
+    }
+
+    private async Task ConnectSessionAsync(int roomId, TalkbackSession session)
+    {
+        RtspBackchannelClient? client = null;
+        try
+        {
+            Room? room;
+            using (var scope = _scopeFactory.CreateScope())
+            {
+                var roomService = scope.ServiceProvider.GetRequiredService<IRoomService>();
+                room = await roomService.GetRoomAsync(roomId);
+            }
+
+            if (room == null || !SupportsRoom(room))
+                throw new InvalidOperationException("This room's camera does not support talkback.");
+
+            client = new RtspBackchannelClient(room.CameraStreamUrl!, room.CameraUsername, room.CameraPassword, _logger);
+            using var timeoutCts = new CancellationTokenSource(ConnectTimeout);
+            await client.ConnectAsync(timeoutCts.Token);
+
+            lock (session)
+            {
+                // Talking stopped (or the session was replaced) while the camera was answering
+                if (!_sessions.TryGetValue(roomId, out var current) || current != session)
+                {
+                    client.Dispose();
+                    return;
+                }
+
+                foreach (var samples in session.Queued)
+                {
+                    client.SendSamples(samples);
+                }
+                session.Queued.Clear();
+                session.QueuedSamples = 0;
+                session.Client = client;
+            }
+
+            _logger.LogInformation("Talkback started for room {RoomId} from {SpeakerKey}", roomId, session.SpeakerKey);
+        }
+        catch (Exception ex)
+        {
+            client?.Dispose();
+            string message = ex switch
+            {
+                OperationCanceledException => "The camera did not answer the talkback request in time.",
+                InvalidOperationException => ex.Message,
+                _ => "Could not reach the camera for talkback."
+            };
+
+            lock (session)
+            {
+                if (_sessions.TryGetValue(roomId, out var current) && current == session)
+                {
+                    FailSession(roomId, session, message, ex);
+                }
+            }
+        }
+    }
+
+    // The failed session stays in place until the speaker goes quiet, so the rest of the spurt
+    // is dropped instead of retrying the camera for every packet
+    private void FailSession(int roomId, TalkbackSession session, string message, Exception ex)
+    {
+        if (session.Failed)
+            return;
+
+        session.Failed = true;
+        session.Queued.Clear();
+        session.QueuedSamples = 0;
+        session.Client?.Dispose();
+        session.Client = null;
+
+        _logger.LogWarning(
+            "Talkback failed for room {RoomId}: {Message} ({Error})",
+            roomId, message, RtspDiagnostics.RedactFreeText(ex.Message));
+
+        TalkbackFailed?.Invoke(this, new TalkbackFailedEventArgs
+        {
+            RoomId = roomId,
+            SpeakerKey = session.SpeakerKey,
+            Message = message
+        });
+    }
+
+    private void CloseIdleSessions()
+    {
+        var now = DateTime.UtcNow;
+        foreach (var (roomId, session) in _sessions)
+        {
+            lock (session)
+            {
+                if (now - session.LastAudioAt < IdleGap)
+                    continue;
+
+                _sessions.TryRemove(new KeyValuePair<int, TalkbackSession>(roomId, session));
+                if (session.Client != null)
+                {
+                    _logger.LogInformation("Talkback ended for room {RoomId}", roomId);
+                    session.Client.Dispose();
+                    session.Client = null;
+                }
+            }
+        }
+    }
+
+    public void Dispose()
+    {
+        _idleTimer.Dispose();
+        foreach (var session in _sessions.Values)
+        {
+            lock (session)
+            {
+                session.Client?.Dispose();
+                session.Client = null;
+            }
+        }
+        _sessions.Clear();
+    }
+}
@@ -198,7 +198,7 @@ internal sealed class VideoCodecProbeService : IVideoCodecProbeService
         }
     }
 
-    private static bool TryResolvePassthroughCodec(AVCodecID codecId, out VideoPassthroughCodec codec)
+    internal static bool TryResolvePassthroughCodec(AVCodecID codecId, out VideoPassthroughCodec codec)
     {
         switch (codecId)
         {
@@ -217,7 +217,7 @@ internal sealed class VideoCodecProbeService : IVideoCodecProbeService
         }
     }
 
-    private static unsafe string GetCodecName(AVCodecID codecId)
+    internal static unsafe string GetCodecName(AVCodecID codecId)
     {
         string? codecName = ffmpeg.avcodec_get_name(codecId);
         return string.IsNullOrWhiteSpace(codecName) ? codecId.ToString() : codecName.Trim();
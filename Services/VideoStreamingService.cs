@@ -232,10 +232,13 @@ namespace BabyMonitarr.Backend.Services
                         StartReader(room);
                     }
                 }
-                else if (oldRoom != null && oldRoom.CameraStreamUrl != room.CameraStreamUrl)
+                else if (oldRoom != null &&
+                    (oldRoom.CameraStreamUrl != room.CameraStreamUrl ||
+                     oldRoom.CameraUsername != room.CameraUsername ||
+                     oldRoom.CameraPassword != room.CameraPassword))
                 {
-                    // URL changed - restart the reader
-                    _logger.LogInformation("Camera URL changed for room {RoomId}, restarting reader", room.Id);
+                    // URL or credentials changed - restart the reader
+                    _logger.LogInformation("Camera URL or credentials changed for room {RoomId}, restarting reader", room.Id);
                     ResetSourceInfoState(room.Id);
                     StopReader(room.Id);
                     _readers.TryRemove(room.Id, out _);
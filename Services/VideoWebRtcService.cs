@@ -13,6 +13,7 @@ namespace BabyMonitarr.Backend.Services
         Task<string> CreateVideoPeerConnection(string peerId, int roomId, string? hostHint);
         Task SetVideoRemoteDescription(string peerId, int roomId, RTCSessionDescriptionInit desc);
         Task AddVideoIceCandidate(string peerId, int roomId, RTCIceCandidateInit candidate);
+        Task<string> RestartVideoIce(string peerId, int roomId);
         Task CloseVideoPeerConnection(string peerId, int roomId);
         Task CloseAllVideoPeerConnections(string peerId);
     }
@@ -267,6 +268,42 @@ namespace BabyMonitarr.Backend.Services
             return Task.CompletedTask;
         }
 
+        public async Task<string> RestartVideoIce(string peerId, int roomId)
+        {
+            string key = GetConnectionKey(peerId, roomId);
+
+            if (!_peerConnections.TryGetValue(key, out var pc))
+            {
+                throw new KeyNotFoundException($"No video peer connection found for {key}");
+            }
+
+            // A closed or failed peer can't renegotiate; the client rebuilds it instead
+            if (pc.connectionState == RTCPeerConnectionState.closed ||
+                pc.connectionState == RTCPeerConnectionState.failed)
+            {
+                _logger.LogWarning("Not restarting ICE for video peer connection {Key} in state {State}",
+                    key, pc.connectionState);
+                return string.Empty;
+            }
+
+            _logger.LogInformation("Restarting ICE for video peer connection {Key}", key);
+
+            // Candidates queued for the previous ICE generation are useless after a restart.
+            _pendingIceCandidates.TryRemove(key, out _);
+
+            pc.restartIce();
+            var offerInit = pc.createOffer(null);
+            await pc.setLocalDescription(offerInit);
+
+            string sdp = pc.localDescription?.sdp?.ToString() ?? string.Empty;
+            if (string.IsNullOrEmpty(sdp))
+            {
+                _logger.LogError("Failed to create video ICE restart offer for {Key}", key);
+            }
+
+            return sdp;
+        }
+
         public Task CloseVideoPeerConnection(string peerId, int roomId)
         {
             string key = GetConnectionKey(peerId, roomId);
@@ -11,11 +11,147 @@ let audioConnections = {};        // { roomId: RTCPeerConnection }
 let audioPendingCandidates = {};  // { roomId: [RTCIceCandidate] }
 let audioElements = {};           // { roomId: HTMLAudioElement }
 
+// Reconnect state (per stream key, see getStreamKey)
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const RECONNECT_JITTER_RATIO = 0.3;
+const RECONNECT_MAX_ATTEMPTS = 8;
+const RECONNECT_CONNECT_TIMEOUT_MS = 20000; // A rebuilt peer that hasn't connected by then counts as failed
+const STREAM_RECONNECT_STATE = new Map(); // key -> { attempt, timer, gaveUp }
+
+// ICE restart state (network changes keep the session and renegotiate ICE only)
+const ICE_RESTART_STATE = new Map();      // key -> { awaitingOffer, reason }
+const NETWORK_CHANGE_DEBOUNCE_MS = 1000;
+let networkChangeTimer = null;
+
 // State
 let currentRooms = [];
 let monitoringRooms = new Set();  // roomIds this client is actively monitoring
 const DEFAULT_ICE_SERVERS = Object.freeze([{ urls: "stun:stun.l.google.com:19302" }]);
 let webrtcIceServers = DEFAULT_ICE_SERVERS.map((server) => ({ ...server }));
+let globalSettings = null;        // GlobalSettings from the hub (threshold line on history graphs)
+
+// Layout state (persisted per device)
+const LAYOUT_STORAGE_KEY = "babymonitarr.dashboardLayout";
+const LAYOUT_MODES = Object.freeze(["auto", "grid2", "focus"]);
+let dashboardLayout = loadDashboardLayout();  // { mode, focusRoomId }
+let fullscreenRoomId = null;
+
+// Picture-in-picture state (one room at a time)
+let pipRoomId = null;
+let pipWindow = null;             // Document Picture-in-Picture window, when supported
+
+// Talkback state (push-to-talk microphone per room)
+const TALKBACK_LATCH_MS = 300;    // a shorter press keeps talking until pressed again
+const talkbackState = {};         // { roomId: { stream, sender, pressedAt, latched, released } }
+
+// Level history state (one-second peak buckets, sized for the longest window)
+const HISTORY_STORAGE_KEY = "babymonitarr.historyWindows";
+const HISTORY_WINDOW_OPTIONS_MINUTES = [5, 15, 60];
+const HISTORY_DEFAULT_WINDOW_MINUTES = 15;
+const HISTORY_BUCKET_MS = 1000;
+const HISTORY_CAPACITY = (60 * 60 * 1000) / HISTORY_BUCKET_MS;
+const HISTORY_REDRAW_INTERVAL_MS = 1000;
+const HISTORY_MIN_DB = -90;
+const levelHistory = {};          // { roomId: { levels, bucketIds, lastBucket, alerts } }
+const historyWindows = loadHistoryWindows(); // { roomId: minutes }
+let historyRedrawTimer = null;
+let historyColors = null;
+
+// Event log state (IndexedDB, kept on this device only)
+const IDB_NAME = "babymonitarr";
+const IDB_VERSION = 3;
+const EVENT_LOG_STORE = "events";
+const EVENT_LOG_RETENTION_KEY = "babymonitarr.eventLogRetentionDays";
+const EVENT_LOG_DEFAULT_RETENTION_DAYS = 14;
+const EVENT_LOG_MAX_ROWS = 500;
+const EVENT_LOG_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const EVENT_LOG_REFRESH_DEBOUNCE_MS = 500;
+const EVENT_LOG_TYPES = Object.freeze({
+    "sound-alert": { label: "Sound alert", icon: "volume-up", category: "alert" },
+    "alert-escalated": { label: "Alert rule", icon: "bell", category: "alert" },
+    "connection-lost": { label: "Connection lost", icon: "unlink", category: "connection" },
+    "reconnected": { label: "Reconnected", icon: "link", category: "connection" },
+    "reconnect-failed": { label: "Reconnect failed", icon: "exclamation-triangle", category: "connection" }
+});
+let idbOpenPromise = null;
+let eventLogRefreshTimer = null;
+
+// Snapshot state (IndexedDB, kept on this device only)
+const SNAPSHOT_STORE = "snapshots";
+const SNAPSHOT_AUTO_KEY = "babymonitarr.autoSnapshotOnAlert";
+const SNAPSHOT_MAX_COUNT = 200;
+const SNAPSHOT_JPEG_QUALITY = 0.9;
+const SNAPSHOT_THUMB_WIDTH = 320;   // gallery tiles use a small copy saved next to the full image
+const SNAPSHOT_THUMB_QUALITY = 0.7;
+let snapshotEntries = [];         // gallery rows, newest first (metadata only)
+let snapshotThumbUrls = new Map(); // snapshot id -> thumbnail object URL, revoked when it leaves the gallery
+let snapshotViewerIndex = null;
+let snapshotViewerUrl = null;
+
+// Alert clip state (rolling MediaRecorder segments in memory, saved clips in IndexedDB)
+const CLIP_STORE = "clips";
+const CLIP_ENABLED_KEY = "babymonitarr.alertClips";
+const CLIP_SEGMENT_MS = 10000;    // each segment is a self-contained file
+const CLIP_BUFFER_MS = 30000;
+const CLIP_PREROLL_MS = 20000;
+const CLIP_POSTROLL_MS = 10000;
+const CLIP_MAX_COUNT = 50;
+const CLIP_MAX_TOTAL_BYTES = 250 * 1024 * 1024;
+const CLIP_VIDEO_BITS_PER_SECOND = 1000000;
+const CLIP_AUDIO_BITS_PER_SECOND = 64000;
+const clipRecorders = {};         // { roomId: { stream, mimeType, recorder, segments, pending, rotateTimer } }
+let clipEntries = [];             // clip list rows, newest first
+let clipViewer = null;            // { clip, part, url }
+let pendingClipOpenKey = null;    // clip requested from a notification before it finished saving
+
+// Alert rules state (rules are stored per room in alertRulesJson, edited on the configure page)
+const ALERT_FLASH_REPEAT_MS = 5000;
+const DEFAULT_ALERT_ESCALATION = Object.freeze({
+    notifyAfterSeconds: 0,
+    sirenEnabled: false,
+    sirenAfterSeconds: 120,
+    quietResetSeconds: 60
+});
+const alertRuleState = {};        // { roomId: { source, config, trackers, episode } }
+let alertAudioContext = null;     // Shared AudioContext for the alarm tone
+
+// Alarm tone state (device-local, independent of the room audio mute)
+const ALARM_STORAGE_KEY = "babymonitarr.alarmTone";
+const ALARM_MAX_DURATION_MS = 60000;
+const ALARM_PATTERNS = Object.freeze({
+    siren: "Siren",
+    beep: "Beeping",
+    chime: "Chime"
+});
+const DEFAULT_ALARM_SETTINGS = Object.freeze({ enabled: false, pattern: "beep", volume: 0.6 });
+let alarmSettings = loadAlarmSettings();
+let activeAlarm = null;           // { oscillator, gain, roomIds: Set, stopTimer }
+
+// Sound classification state (optional per room, runs only while "cry only" is on)
+const CLASSIFIER_STORAGE_KEY = "babymonitarr.cryOnlyRooms";
+const CLASSIFIER_FRAME_INTERVAL_MS = 100;
+const CLASSIFIER_SEGMENT_FRAMES = 10;         // one label per second
+const CLASSIFIER_CRY_HOLD_MS = 5000;          // a cry keeps alerts open this long
+const CLASSIFIER_SILENCE_DB = -55;
+const CLASSIFIER_LABELS = Object.freeze({
+    cry: "Cry",
+    speech: "Speech",
+    noise: "Steady noise",
+    silence: "Silence"
+});
+const soundClassifiers = {};      // { roomId: { source, analyser, sink, timer, frames, label, lastCryAt, ... } }
+const cryOnlyRooms = loadCryOnlyRooms();
+
+// Quiet hours state (per-room weekly schedules plus the global do-not-disturb override)
+const QUIET_HOURS_REFRESH_INTERVAL_MS = 30000;
+let quietHoursTimer = null;
+
+// Notification action state (snoozes are kept on this device across reloads)
+const ALERT_SNOOZE_KEY = "babymonitarr.alertSnooze";
+const ALERT_SNOOZE_MS = 10 * 60 * 1000;
+const alertSnoozes = loadAlertSnoozes();     // { roomId: snoozed-until timestamp }
+let pendingNotificationAction = null;        // { action, roomId } from a notification that opened this page
 
 // PWA state
 const PWA_STORAGE_KEY = "babymonitarr.monitoringRoomIds";
@@ -24,6 +160,17 @@ const pwaLastAlertTime = {};         // { roomId: timestamp } — per-room coold
 let pwaWakeLock = null;              // Screen Wake Lock sentinel
 let pwaInstallPrompt = null;         // Deferred beforeinstallprompt event
 
+// Web Push state (devices are stored on the server, shared by every dashboard)
+let pushDevices = [];
+let pushEndpoint = null;             // This browser's push subscription endpoint, if subscribed
+
+// Server connection state (banner while the SignalR connection is down)
+const LAST_CONTACT_KEY = "babymonitarr.lastContact";   // also read by the offline page
+const SERVER_RETRY_DELAYS_MS = Object.freeze([5000, 10000, 20000, 30000, 60000]);
+let serverRetryAttempt = 0;
+let serverRetryAt = 0;
+let serverRetryTimer = null;         // Countdown interval while waiting to reconnect
+
 // Diagnostics state
 const DIAG_PREFIX = "[BM-DIAG]";
 const DIAG_STORAGE_KEY = "babymonitarr.webrtcDebug";
@@ -447,6 +594,10 @@ function armDisconnectedTimeout(roomId, streamType, pc) {
             connectionState: pc.connectionState
         });
         void capturePeerStats(roomId, streamType, pc, "disconnected-timeout");
+
+        // Still down after the grace period — give up on this peer and rebuild it
+        finalizeStreamAttempt(roomId, streamType, "failed", { reason: "disconnected-timeout" });
+        scheduleStreamReconnect(roomId, streamType, "disconnected-timeout");
     });
 }
 
@@ -685,7 +836,8 @@ async function invokeHubWithDiagnostics(method, args, context = {}) {
         const result = await connection.invoke(method, ...args);
         const durationMs = Math.round((performance.now() - started) * 100) / 100;
         let resultSummary = null;
-        if (method === "StartAudioStream" || method === "StartVideoStream") {
+        if (method === "StartAudioStream" || method === "StartVideoStream" ||
+            method === "RestartAudioIce" || method === "RestartVideoIce") {
             resultSummary = summarizeSdp(result);
         } else if (Array.isArray(result)) {
             resultSummary = { type: "array", count: result.length };
@@ -706,6 +858,13 @@ async function invokeHubWithDiagnostics(method, args, context = {}) {
 
 document.addEventListener('DOMContentLoaded', function () {
     logEnvironmentSnapshot();
+    initializeEventLog();
+    initializeSnapshotGallery();
+    initializeAlertClips();
+    initializeAlarmSettingsUI();
+    initializeNotificationActions();
+    initializeMeterScaleSelect('meterScale');
+    applyDashboardLayout();
 
     try {
         initializeSignalRConnection();
@@ -728,6 +887,9 @@ function initializeSignalRConnection() {
             state: connection.state,
             error: normalizeError(error)
         });
+        // The server was reachable up to now
+        saveLastContact();
+        showServerConnectionBanner("reconnecting");
     });
 
     connection.onreconnected((connectionId) => {
@@ -735,6 +897,8 @@ function initializeSignalRConnection() {
             state: connection.state,
             connectionId: connectionId ?? null
         });
+        saveLastContact();
+        hideServerConnectionBanner();
     });
 
     connection.onclose((error) => {
@@ -742,6 +906,8 @@ function initializeSignalRConnection() {
             state: connection.state,
             error: normalizeError(error)
         });
+        // Automatic reconnect gave up; keep trying with a longer backoff
+        scheduleServerReconnect();
     });
 
     // Handle server ICE candidates (audio - per room)
@@ -773,7 +939,7 @@ function initializeSignalRConnection() {
         });
 
         const pc = audioConnections[roomId];
-        if (pc && pc.remoteDescription) {
+        if (pc && pc.remoteDescription && !isAwaitingIceRestartOffer(roomId, "audio")) {
             try {
                 await pc.addIceCandidate(iceCandidate);
                 incrementStreamCounter(roomId, "audio", "iceAdded");
@@ -829,7 +995,7 @@ function initializeSignalRConnection() {
         });
 
         const pc = videoConnections[roomId];
-        if (pc && pc.remoteDescription) {
+        if (pc && pc.remoteDescription && !isAwaitingIceRestartOffer(roomId, "video")) {
             try {
                 await pc.addIceCandidate(iceCandidate);
                 incrementStreamCounter(roomId, "video", "iceAdded");
@@ -862,6 +1028,16 @@ function initializeSignalRConnection() {
         await loadRooms();
     });
 
+    // Keep the history threshold line in step with the configure page
+    connection.on("SettingsUpdated", async () => {
+        diagInfo("signalr.event.settingsUpdated");
+        await loadGlobalSettings();
+    });
+
+    connection.on("PushDevicesUpdated", async () => {
+        await loadPushDevices();
+    });
+
     connection.start()
         .then(async () => {
             console.log("Dashboard SignalR Connected");
@@ -869,13 +1045,17 @@ function initializeSignalRConnection() {
                 state: connection.state,
                 connectionId: connection.connectionId ?? null
             });
+            serverRetryAttempt = 0;
+            hideServerConnectionBanner();
             await loadWebRtcConfig();
+            await loadGlobalSettings();
             await loadRooms();
+            await loadPushDevices();
         })
         .catch(err => {
             diagError("signalr.start.failed", err);
             console.error(err);
-            setTimeout(initializeSignalRConnection, 5000);
+            scheduleServerReconnect();
         });
 }
 
@@ -894,6 +1074,12 @@ async function loadRooms() {
         }
 
         renderDashboard();
+        updateMeterThresholds();
+        populateEventLogRoomFilter();
+        populateRoomFilter('snapshotRoom');
+        populateRoomFilter('clipRoom');
+        saveLastContact();
+        runPendingNotificationAction();
         pwaAutoResumeMonitoring();
     } catch (err) {
         diagError("rooms.load.failed", err);
@@ -901,6 +1087,102 @@ async function loadRooms() {
     }
 }
 
+async function loadGlobalSettings() {
+    try {
+        globalSettings = await invokeHubWithDiagnostics("GetGlobalSettings", [], { area: "dashboard" });
+        updateMeterThresholds();
+        drawAllLevelHistories();
+        updateQuietHoursBadges();
+    } catch (err) {
+        diagWarn("settings.load.failed", { error: normalizeError(err) });
+    }
+}
+
+// ===== Server Connection Banner =====
+function showServerConnectionBanner(state) {
+    const banner = document.getElementById('serverConnectionBanner');
+    const text = document.getElementById('serverConnectionText');
+    const retryButton = document.getElementById('serverRetryBtn');
+    if (!banner || !text) return;
+
+    if (state === "reconnecting") {
+        text.textContent = "Connection to the server lost \u2014 reconnecting...";
+        if (retryButton) retryButton.style.display = 'none';
+    } else {
+        const seconds = Math.max(0, Math.ceil((serverRetryAt - Date.now()) / 1000));
+        const lastContact = loadLastContact();
+        const since = lastContact ? ` Last contact ${formatEventLogTime(lastContact.timestamp, true)}.` : "";
+        text.textContent = `Can't reach the server. Retrying in ${seconds}s.${since}`;
+        if (retryButton) retryButton.style.display = '';
+    }
+
+    banner.dataset.state = state;
+    banner.style.display = '';
+}
+
+function hideServerConnectionBanner() {
+    clearInterval(serverRetryTimer);
+    serverRetryTimer = null;
+
+    const banner = document.getElementById('serverConnectionBanner');
+    if (banner) banner.style.display = 'none';
+}
+
+function scheduleServerReconnect() {
+    const delay = SERVER_RETRY_DELAYS_MS[Math.min(serverRetryAttempt, SERVER_RETRY_DELAYS_MS.length - 1)];
+    serverRetryAttempt++;
+    serverRetryAt = Date.now() + delay;
+    diagInfo("signalr.retry.scheduled", { attempt: serverRetryAttempt, delayMs: delay });
+
+    clearInterval(serverRetryTimer);
+    serverRetryTimer = setInterval(() => {
+        if (Date.now() >= serverRetryAt) {
+            retryServerConnection();
+        } else {
+            showServerConnectionBanner("disconnected");
+        }
+    }, 1000);
+    showServerConnectionBanner("disconnected");
+}
+
+function retryServerConnection() {
+    clearInterval(serverRetryTimer);
+    serverRetryTimer = null;
+    showServerConnectionBanner("reconnecting");
+
+    try {
+        initializeSignalRConnection();
+    } catch (error) {
+        diagError("signalr.initialize.failed", error);
+        scheduleServerReconnect();
+    }
+}
+
+function saveLastContact() {
+    try {
+        localStorage.setItem(LAST_CONTACT_KEY, JSON.stringify({
+            timestamp: Date.now(),
+            rooms: currentRooms.map(r => ({ id: r.id, name: r.name }))
+        }));
+    } catch { /* no-op */ }
+}
+
+function loadLastContact() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LAST_CONTACT_KEY) || "null");
+        return stored && Number.isFinite(stored.timestamp) ? stored : null;
+    } catch {
+        return null;
+    }
+}
+
+// Closing the app while connected still counts as contact
+window.addEventListener('pagehide', () => {
+    if (connection?.state === signalR.HubConnectionState.Connected) {
+        saveLastContact();
+    }
+});
+
 // ===== Dashboard Rendering =====
 function renderDashboard() {
     const grid = document.getElementById('dashboardGrid');
@@ -929,6 +1211,7 @@ function renderDashboard() {
         }
     }).join('');
 
+    applyDashboardLayout();
     reattachVideoStreams();
 }
 
@@ -941,43 +1224,63 @@ function updateRoomCard(roomId) {
     const temp = document.createElement('div');
     temp.innerHTML = html;
     existingCard.replaceWith(temp.firstElementChild);
+    applyDashboardLayout();
 }
 
 function reattachVideoStreams() {
-    for (const roomId of Object.keys(videoConnections)) {
+    for (const key of Object.keys(videoConnections)) {
+        const roomId = Number(key);
         const track = videoTracks[roomId];
+        if (!track || track.readyState !== 'live') continue;
+
         const videoEl = document.getElementById(`video-${roomId}`);
-        if (!videoEl || !track || track.readyState !== 'live') continue;
+        if (videoEl) {
+            attachVideoTrack(videoEl, roomId, track, "reattach");
+            const iconEl = document.getElementById(`iconPlaceholder-${roomId}`);
+            if (iconEl) iconEl.style.display = 'none';
+            const loadingEl = document.getElementById(`videoLoading-${roomId}`);
+            if (loadingEl) loadingEl.style.display = 'none';
+        }
+
+        // The Document Picture-in-Picture window has its own <video> for the same track
+        const pipVideoEl = getPipElement(`video-${roomId}`);
+        if (pipVideoEl) {
+            attachVideoTrack(pipVideoEl, roomId, track, "reattach-pip");
+        }
+    }
+}
 
+function attachVideoTrack(videoEl, roomId, track, reason) {
+    // Element survived (layout change only) and is still playing this track
+    const currentTracks = videoEl.srcObject?.getVideoTracks?.() ?? [];
+    if (currentTracks.includes(track) && !videoEl.paused) return;
+
+    if (videoEl.ownerDocument === document) {
         attachMediaDiagnostics(videoEl, roomId, "video");
-        videoEl.srcObject = new MediaStream([track]);
-        videoEl.style.display = '';
-        markStreamMilestone(roomId, "video", "firstPlayAttemptAt");
-        videoEl.play()
-            .then(() => {
-                markStreamMilestone(roomId, "video", "firstPlayResolvedAt");
-                diagInfo("media.play.resolved", {
-                    roomId,
-                    streamType: "video",
-                    reason: "reattach"
-                });
-            })
-            .catch(e => {
-                setStreamFlag(roomId, "video", "playRejected");
-                diagError("media.play.failed", e, {
-                    roomId,
-                    streamType: "video",
-                    reason: "reattach",
-                    mediaState: getMediaState(videoEl)
-                });
-                void capturePeerStats(roomId, "video", videoConnections[roomId], "play-failed-reattach");
-                console.error(`Error replaying video for room ${roomId}:`, e);
-            });
-        const iconEl = document.getElementById(`iconPlaceholder-${roomId}`);
-        if (iconEl) iconEl.style.display = 'none';
-        const loadingEl = document.getElementById(`videoLoading-${roomId}`);
-        if (loadingEl) loadingEl.style.display = 'none';
     }
+    videoEl.srcObject = new MediaStream([track]);
+    videoEl.style.display = '';
+    markStreamMilestone(roomId, "video", "firstPlayAttemptAt");
+    videoEl.play()
+        .then(() => {
+            markStreamMilestone(roomId, "video", "firstPlayResolvedAt");
+            diagInfo("media.play.resolved", {
+                roomId,
+                streamType: "video",
+                reason
+            });
+        })
+        .catch(e => {
+            setStreamFlag(roomId, "video", "playRejected");
+            diagError("media.play.failed", e, {
+                roomId,
+                streamType: "video",
+                reason,
+                mediaState: getMediaState(videoEl)
+            });
+            void capturePeerStats(roomId, "video", videoConnections[roomId], `play-failed-${reason}`);
+            console.error(`Error replaying video for room ${roomId}:`, e);
+        });
 }
 
 function renderInactiveCard(room) {
@@ -1015,23 +1318,33 @@ function renderMonitoringCard(room) {
     const hasVideo = room.enableVideoStream && (room.cameraStreamUrl || room.nestDeviceId);
     const hasAudio = room.enableAudioStream && (room.cameraStreamUrl || room.nestDeviceId);
     const isMuted = !audioElements[room.id] || audioElements[room.id].muted;
+    const isTalking = !!talkbackState[room.id]?.stream;
 
     return `
-        <div class="dash-card" data-room-id="${room.id}">
+        <div class="dash-card ${isTalking ? 'talking' : ''}" data-room-id="${room.id}">
             <div class="dash-card-header">
                 <div class="dash-card-header-icon">
                     <i class="fas fa-${escapeHtml(room.icon || 'baby')}"></i>
                 </div>
                 <span class="dash-card-header-name">${escapeHtml(room.name)}</span>
                 <div class="dash-card-header-badges">
-                    <span class="status-badge monitoring">
-                        <span class="status-dot"></span>
-                        Monitoring
-                    </span>
+                    ${renderQuietHoursBadge(room.id)}
+                    ${renderMonitoringStatusBadge(room.id)}
                     <span class="dash-card-live-badge">LIVE</span>
+                    <button class="btn-dash-snapshot" onclick="takeSnapshot(${room.id})" title="Save snapshot"
+                            style="${hasVideo ? '' : 'display: none;'}">
+                        <i class="fas fa-camera"></i>
+                    </button>
+                    <button class="btn-dash-pip ${pipRoomId === room.id ? 'active' : ''}" onclick="toggleRoomPip(${room.id})" title="Picture in picture"
+                            style="${hasVideo && isPipSupported() ? '' : 'display: none;'}">
+                        <i class="fas fa-clone"></i>
+                    </button>
+                    <button class="btn-dash-fullscreen" onclick="toggleRoomFullscreen(${room.id})" title="Full screen">
+                        <i class="fas fa-${fullscreenRoomId === room.id ? 'compress' : 'expand'}"></i>
+                    </button>
                 </div>
             </div>
-            <div class="dash-card-preview">
+            <div class="dash-card-preview" onclick="focusRoom(${room.id})">
                 <video id="video-${room.id}" class="dash-card-video" autoplay muted playsinline
                        style="display: none;"></video>
                 <div id="iconPlaceholder-${room.id}" class="dash-card-icon-placeholder">
@@ -1043,15 +1356,26 @@ function renderMonitoringCard(room) {
             </div>
             <div class="dash-card-monitoring-info">
                 <span id="dbLevel-${room.id}" class="dash-card-db-level">--.- dB</span>
-                <div class="dash-card-meter-bar">
-                    <div id="meter-${room.id}" class="dash-card-meter-fill"></div>
-                </div>
+                ${renderLevelMeter(`meter-${room.id}`, "compact", getRoomThreshold(room.id))}
+                ${renderThresholdLabel(room.id)}
+                ${renderSoundClassBadge(room.id)}
             </div>
+            ${hasAudio ? renderLevelHistory(room.id) : ''}
             <div class="dash-card-actions">
                 <button class="btn-dash-action btn-dash-mute ${isMuted ? 'muted' : ''}" onclick="toggleMute(${room.id})" ${!hasAudio ? 'disabled' : ''}>
                     <i class="fas fa-${isMuted ? 'volume-mute' : 'volume-up'}"></i>
                     ${isMuted ? 'Muted' : 'Sound On'}
                 </button>
+                <button class="btn-dash-action btn-dash-talk ${isTalking ? 'speaking' : ''}" ${!isTalkbackAvailable(room.id) ? 'disabled' : ''}
+                        onpointerdown="onTalkPointerDown(event, ${room.id})" onpointerup="onTalkPointerUp(${room.id})"
+                        onpointercancel="onTalkPointerUp(${room.id})" oncontextmenu="return false"
+                        title="${renderTalkButtonTitle(room.id)}">
+                    ${renderTalkButtonContent(room.id)}
+                </button>
+                <button class="btn-dash-action btn-dash-filter ${cryOnlyRooms.has(room.id) ? 'active' : ''}" onclick="toggleCryOnly(${room.id})" ${!hasAudio ? 'disabled' : ''}
+                        title="Only alert when crying is detected">
+                    ${renderCryOnlyButtonContent(room.id)}
+                </button>
                 <button class="btn-dash-action btn-dash-stop" onclick="stopMonitoring(${room.id})">
                     <i class="fas fa-stop"></i>
                     Stop
@@ -1067,6 +1391,253 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// ===== Dashboard Layout =====
+function loadDashboardLayout() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY) || "null");
+        return {
+            mode: LAYOUT_MODES.includes(stored?.mode) ? stored.mode : "auto",
+            focusRoomId: Number.isInteger(stored?.focusRoomId) ? stored.focusRoomId : null
+        };
+    } catch {
+        return { mode: "auto", focusRoomId: null };
+    }
+}
+
+function saveDashboardLayout() {
+    try {
+        localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(dashboardLayout));
+    } catch { /* no-op */ }
+}
+
+function setDashboardLayout(mode) {
+    if (!LAYOUT_MODES.includes(mode)) return;
+    dashboardLayout.mode = mode;
+    saveDashboardLayout();
+    diagInfo("dashboard.layout.changed", { mode });
+    applyDashboardLayout();
+}
+
+function focusRoom(roomId) {
+    if (dashboardLayout.mode !== "focus" || getFocusRoomId() === roomId) return;
+    dashboardLayout.focusRoomId = roomId;
+    saveDashboardLayout();
+    applyDashboardLayout();
+}
+
+function getFocusRoomId() {
+    // Fall back to the first monitored room, then the first room, when the saved one is gone
+    if (currentRooms.some(r => r.id === dashboardLayout.focusRoomId)) return dashboardLayout.focusRoomId;
+    return currentRooms.find(r => monitoringRooms.has(r.id))?.id ?? currentRooms[0]?.id ?? null;
+}
+
+// Layout changes only toggle classes, so cards (and their <video> elements) are never rebuilt
+function applyDashboardLayout() {
+    const grid = document.getElementById('dashboardGrid');
+    if (!grid) return;
+
+    grid.classList.remove(...LAYOUT_MODES.map(mode => `layout-${mode}`));
+    grid.classList.add(`layout-${dashboardLayout.mode}`);
+    grid.classList.toggle('fullscreen-single', fullscreenRoomId !== null);
+
+    const focusRoomId = dashboardLayout.mode === "focus" ? getFocusRoomId() : null;
+    grid.querySelectorAll('.dash-card').forEach(card => {
+        const roomId = parseInt(card.dataset.roomId, 10);
+        card.classList.toggle('focused', roomId === focusRoomId);
+        card.classList.toggle('fullscreen-room', roomId === fullscreenRoomId);
+        const icon = card.querySelector('.btn-dash-fullscreen i');
+        if (icon) icon.className = `fas fa-${roomId === fullscreenRoomId ? 'compress' : 'expand'}`;
+    });
+
+    document.querySelectorAll('.layout-switcher button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.layout === dashboardLayout.mode);
+    });
+}
+
+async function toggleRoomFullscreen(roomId) {
+    if (fullscreenRoomId === roomId) {
+        await exitRoomFullscreen();
+        return;
+    }
+
+    fullscreenRoomId = roomId;
+    applyDashboardLayout();
+    diagInfo("dashboard.fullscreen.enter", { roomId });
+
+    // The grid (not the card) goes full screen so re-rendered cards stay inside it
+    const grid = document.getElementById('dashboardGrid');
+    if (grid?.requestFullscreen && !document.fullscreenElement) {
+        try {
+            await grid.requestFullscreen({ navigationUI: "hide" });
+        } catch (err) {
+            // Unsupported (e.g. iOS Safari): the CSS overlay still covers the viewport
+            diagWarn("dashboard.fullscreen.request.failed", { roomId, error: normalizeError(err) });
+        }
+    }
+}
+
+async function exitRoomFullscreen() {
+    const roomId = fullscreenRoomId;
+    fullscreenRoomId = null;
+    applyDashboardLayout();
+    diagInfo("dashboard.fullscreen.exit", { roomId });
+
+    if (document.fullscreenElement && document.exitFullscreen) {
+        try {
+            await document.exitFullscreen();
+        } catch { /* already exited */ }
+    }
+}
+
+document.addEventListener('fullscreenchange', () => {
+    // Leaving full screen with Esc or the system gesture
+    if (!document.fullscreenElement && fullscreenRoomId !== null) {
+        void exitRoomFullscreen();
+    }
+});
+
+document.addEventListener('keydown', (e) => {
+    // Pseudo full screen (no Fullscreen API) needs its own way out
+    if (e.key === 'Escape' && fullscreenRoomId !== null && !document.fullscreenElement) {
+        void exitRoomFullscreen();
+    }
+});
+
+// ===== Picture-in-Picture =====
+function isPipSupported() {
+    return 'documentPictureInPicture' in window || document.pictureInPictureEnabled === true;
+}
+
+function getPipElement(id) {
+    return pipWindow ? pipWindow.document.getElementById(id) : null;
+}
+
+async function toggleRoomPip(roomId) {
+    if (pipRoomId === roomId) {
+        await exitRoomPip();
+        return;
+    }
+    if (pipRoomId !== null) {
+        await exitRoomPip();
+    }
+
+    const track = videoTracks[roomId];
+    if (!track || track.readyState !== 'live') {
+        showMessage("Video is not playing yet", true);
+        return;
+    }
+
+    try {
+        if ('documentPictureInPicture' in window) {
+            await openDocumentPip(roomId);
+        } else {
+            await openVideoPip(roomId);
+        }
+        updatePipButtons();
+    } catch (err) {
+        diagWarn("pip.open.failed", { roomId, error: normalizeError(err) });
+        showMessage(getDisplayErrorMessage(err, "Picture-in-picture is not available"), true);
+        pipRoomId = null;
+        pipWindow = null;
+        updatePipButtons();
+    }
+}
+
+// Document PiP: a small window with the video, the live meter and the mute/stop controls
+async function openDocumentPip(roomId) {
+    const room = currentRooms.find(r => r.id === roomId);
+    const win = await window.documentPictureInPicture.requestWindow({ width: 480, height: 340 });
+    copyStylesToPipWindow(win);
+
+    const isMuted = !audioElements[roomId] || audioElements[roomId].muted;
+    win.document.title = room ? room.name : `Room ${roomId}`;
+    win.document.body.className = 'pip-body';
+    win.document.body.innerHTML = `
+        <video id="video-${roomId}" class="pip-video" autoplay muted playsinline></video>
+        <div class="dash-card-monitoring-info pip-info">
+            <span class="pip-room-name">${escapeHtml(room ? room.name : `Room ${roomId}`)}</span>
+            <span id="dbLevel-${roomId}" class="dash-card-db-level">--.- dB</span>
+            ${renderLevelMeter(`meter-${roomId}`, "compact", getRoomThreshold(roomId))}
+        </div>
+        <div class="dash-card-actions">
+            <button class="btn-dash-action btn-dash-mute ${isMuted ? 'muted' : ''}" ${audioElements[roomId] ? '' : 'disabled'}>
+                <i class="fas fa-${isMuted ? 'volume-mute' : 'volume-up'}"></i> ${isMuted ? 'Muted' : 'Sound On'}
+            </button>
+            <button class="btn-dash-action btn-dash-stop">
+                <i class="fas fa-stop"></i> Stop
+            </button>
+        </div>
+    `;
+
+    // Inline handlers would resolve in the PiP window's scope, so wire them from here
+    win.document.querySelector('.btn-dash-mute').addEventListener('click', () => toggleMute(roomId));
+    win.document.querySelector('.btn-dash-stop').addEventListener('click', () => stopMonitoring(roomId));
+    win.addEventListener('pagehide', () => onPipClosed(roomId, "document-pip-closed"), { once: true });
+
+    pipWindow = win;
+    pipRoomId = roomId;
+    diagInfo("pip.opened", { roomId, mode: "document" });
+    reattachVideoStreams();
+}
+
+function copyStylesToPipWindow(win) {
+    for (const sheet of document.styleSheets) {
+        try {
+            const style = win.document.createElement('style');
+            style.textContent = [...sheet.cssRules].map(rule => rule.cssText).join('\n');
+            win.document.head.appendChild(style);
+        } catch {
+            // Cross-origin sheets (fonts, icons) can't be read; link them instead
+            if (!sheet.href) continue;
+            const link = win.document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = sheet.href;
+            win.document.head.appendChild(link);
+        }
+    }
+}
+
+// Classic PiP: only the video element floats
+async function openVideoPip(roomId) {
+    reattachVideoStreams();
+    const videoEl = document.getElementById(`video-${roomId}`);
+    if (!videoEl) throw new Error("Video element not found");
+
+    await videoEl.requestPictureInPicture();
+    pipRoomId = roomId;
+    videoEl.addEventListener('leavepictureinpicture', () => onPipClosed(roomId, "video-pip-closed"), { once: true });
+    diagInfo("pip.opened", { roomId, mode: "video" });
+}
+
+async function exitRoomPip() {
+    if (pipWindow) {
+        pipWindow.close();
+        return;
+    }
+    if (document.pictureInPictureElement) {
+        try {
+            await document.exitPictureInPicture();
+        } catch { /* already closed */ }
+    }
+}
+
+function onPipClosed(roomId, reason) {
+    if (pipRoomId !== roomId) return;
+    pipRoomId = null;
+    pipWindow = null;
+    diagInfo("pip.closed", { roomId, reason });
+
+    updatePipButtons();
+    reattachVideoStreams();
+}
+
+function updatePipButtons() {
+    document.querySelectorAll('.dash-card').forEach(card => {
+        const button = card.querySelector('.btn-dash-pip');
+        if (button) button.classList.toggle('active', parseInt(card.dataset.roomId, 10) === pipRoomId);
+    });
+}
+
 // ===== Start / Stop Monitoring =====
 async function startMonitoring(roomId) {
     if (monitoringRooms.has(roomId)) {
@@ -1080,6 +1651,10 @@ async function startMonitoring(roomId) {
     }
 
     monitoringRooms.add(roomId);
+    clearServerPushMute(roomId);
+    startHistoryRedrawLoop();
+    startQuietHoursTimer();
+    primeAlertAudio();
     pwaRequestNotificationPermission();
     pwaSaveMonitoringState();
     pwaAcquireWakeLock();
@@ -1111,6 +1686,13 @@ async function startMonitoring(roomId) {
 async function stopMonitoring(roomId, skipRender) {
     diagInfo("monitoring.stop", { roomId, skipRender: !!skipRender });
 
+    // Drop any pending reconnects before tearing down, so nothing restarts behind us
+    cancelStreamReconnect(roomId, "audio");
+    cancelStreamReconnect(roomId, "video");
+
+    // Save any clip still in its post-roll, then drop the buffered segments
+    stopClipRecorder(roomId, "stop-monitoring");
+
     // Stop both streams
     if (audioConnections[roomId]) {
         await stopAudioStream(roomId);
@@ -1120,11 +1702,22 @@ async function stopMonitoring(roomId, skipRender) {
     }
 
     monitoringRooms.delete(roomId);
+    clearLevelHistory(roomId);
+    if (fullscreenRoomId === roomId) {
+        void exitRoomFullscreen();
+    }
+    if (pipRoomId === roomId) {
+        void exitRoomPip();
+    }
+    delete alertRuleState[roomId];
     pwaSaveMonitoringState();
     pwaUpdateMediaSession();
 
     if (monitoringRooms.size === 0) {
         pwaReleaseWakeLock();
+        stopHistoryRedrawLoop();
+        stopQuietHoursTimer();
+        stopAlarm("stop-monitoring");
     }
 
     if (!skipRender) {
@@ -1172,6 +1765,10 @@ async function startVideoStream(roomId) {
             console.error(`No SDP offer received for video room ${roomId}`);
             if (loadingEl) loadingEl.style.display = 'none';
             finalizeStreamAttempt(roomId, streamType, "failed", { reason: "missing-offer" });
+            if (isStreamReconnecting(roomId, streamType)) {
+                scheduleStreamReconnect(roomId, streamType, "missing-offer");
+                return;
+            }
             showMessage("No SDP offer received for video stream", true);
             return;
         }
@@ -1225,6 +1822,11 @@ async function startVideoStream(roomId) {
 
         pc.oniceconnectionstatechange = () => {
             diagInfo("webrtc.iceConnection.state", { roomId, streamType, state: pc.iceConnectionState });
+
+            // Try to keep the session alive before the disconnect grace period forces a rebuild
+            if (pc.iceConnectionState === 'disconnected' && getPeerConnection(roomId, streamType) === pc) {
+                void restartStreamIce(roomId, streamType, "ice-disconnected");
+            }
         };
 
         pc.onicecandidateerror = (event) => {
@@ -1287,6 +1889,12 @@ async function startVideoStream(roomId) {
                 }
                 if (iconEl) iconEl.style.display = 'none';
                 if (loadingIndicator) loadingIndicator.style.display = 'none';
+
+                // A reconnect brings a new track; hand it to the open PiP window too
+                if (pipRoomId === roomId) {
+                    reattachVideoStreams();
+                }
+                startClipRecorder(roomId);
             }
         };
 
@@ -1297,8 +1905,12 @@ async function startVideoStream(roomId) {
             diagInfo("webrtc.connection.state", { roomId, streamType, state });
             console.log(`Video connection state for room ${roomId}:`, state);
 
+            // A peer replaced by a reconnect may still report late state changes
+            if (videoConnections[roomId] !== pc) return;
+
             if (state === 'connected') {
                 clearStreamTimer(roomId, streamType, "disconnectedTimeout");
+                markStreamReconnected(roomId, streamType);
             }
 
             if (state === 'disconnected') {
@@ -1309,6 +1921,7 @@ async function startVideoStream(roomId) {
                 setStreamFlag(roomId, streamType, "connectionFailed");
                 void capturePeerStats(roomId, streamType, pc, "connection-failed");
                 finalizeStreamAttempt(roomId, streamType, "failed", { reason: "connection-failed" });
+                scheduleStreamReconnect(roomId, streamType, "connection-failed");
             }
 
             if (state === 'disconnected' || state === 'failed' || state === 'closed') {
@@ -1337,27 +1950,7 @@ async function startVideoStream(roomId) {
         markStreamMilestone(roomId, streamType, "answerSentAt");
 
         // Process queued ICE candidates
-        if (videoPendingCandidates[roomId] && videoPendingCandidates[roomId].length > 0) {
-            diagInfo("webrtc.ice.remote.queue.processing", {
-                roomId,
-                streamType,
-                queuedCount: videoPendingCandidates[roomId].length
-            });
-            for (const candidate of videoPendingCandidates[roomId]) {
-                try {
-                    await pc.addIceCandidate(candidate);
-                    incrementStreamCounter(roomId, streamType, "iceAdded");
-                } catch (err) {
-                    diagWarn("webrtc.ice.remote.queued.add.failed", {
-                        roomId,
-                        streamType,
-                        error: normalizeError(err)
-                    });
-                    console.warn(`Could not add queued video ICE candidate for room ${roomId}:`, err.message);
-                }
-            }
-            videoPendingCandidates[roomId] = [];
-        }
+        await flushPendingIceCandidates(roomId, streamType, pc);
 
         armTrackTimeout(roomId, streamType, pc);
 
@@ -1367,13 +1960,19 @@ async function startVideoStream(roomId) {
         void capturePeerStats(roomId, streamType, videoConnections[roomId], "start-exception");
         finalizeStreamAttempt(roomId, streamType, "failed", { reason: "start-exception" });
         console.error(`Error starting video stream for room ${roomId}:`, error);
-        showMessage(getDisplayErrorMessage(error, "Error starting video stream"), true);
         const loadingEl = document.getElementById(`videoLoading-${roomId}`);
         if (loadingEl) loadingEl.style.display = 'none';
+
+        // Failed reconnects retry quietly; only the initial start surfaces the error
+        if (isStreamReconnecting(roomId, streamType)) {
+            scheduleStreamReconnect(roomId, streamType, "start-exception");
+            return;
+        }
+        showMessage(getDisplayErrorMessage(error, "Error starting video stream"), true);
     }
 }
 
-async function stopVideoStream(roomId) {
+async function stopVideoStream(roomId, reason = "stop-monitoring") {
     const streamType = "video";
     setStreamStopRequested(roomId, streamType);
 
@@ -1395,7 +1994,7 @@ async function stopVideoStream(roomId) {
     onVideoDisconnected(roomId);
 
     cleanupStreamDiagnostics(roomId, streamType);
-    finalizeStreamAttempt(roomId, streamType, "stopped", { reason: "stop-monitoring" });
+    finalizeStreamAttempt(roomId, streamType, "stopped", { reason });
 }
 
 function onVideoDisconnected(roomId) {
@@ -1407,6 +2006,8 @@ function onVideoDisconnected(roomId) {
         videoEl.srcObject = null;
         videoEl.style.display = 'none';
     }
+    const pipVideoEl = getPipElement(`video-${roomId}`);
+    if (pipVideoEl) pipVideoEl.srcObject = null;
     if (iconEl) iconEl.style.display = '';
     if (loadingEl) loadingEl.style.display = 'none';
 }
@@ -1415,6 +2016,11 @@ function onVideoDisconnected(roomId) {
 async function startAudioStream(roomId) {
     const streamType = "audio";
     const room = currentRooms.find(r => r.id === roomId);
+
+    // A reconnect replaces the peer connection the microphone was sending on
+    if (talkbackState[roomId]) {
+        void stopTalkback(roomId, "reconnect");
+    }
     startStreamAttempt(roomId, streamType, {
         sourceType: room?.streamSourceType || "rtsp"
     });
@@ -1431,6 +2037,9 @@ async function startAudioStream(roomId) {
             diagWarn("webrtc.offer.missing", { roomId, streamType });
             console.error(`No SDP offer received for audio room ${roomId}`);
             finalizeStreamAttempt(roomId, streamType, "failed", { reason: "missing-offer" });
+            if (isStreamReconnecting(roomId, streamType)) {
+                scheduleStreamReconnect(roomId, streamType, "missing-offer");
+            }
             return;
         }
 
@@ -1493,6 +2102,11 @@ async function startAudioStream(roomId) {
 
         pc.oniceconnectionstatechange = () => {
             diagInfo("webrtc.iceConnection.state", { roomId, streamType, state: pc.iceConnectionState });
+
+            // Try to keep the session alive before the disconnect grace period forces a rebuild
+            if (pc.iceConnectionState === 'disconnected' && getPeerConnection(roomId, streamType) === pc) {
+                void restartStreamIce(roomId, streamType, "ice-disconnected");
+            }
         };
 
         pc.onicecandidateerror = (event) => {
@@ -1530,6 +2144,12 @@ async function startAudioStream(roomId) {
                     const message = JSON.parse(event.data);
                     if (message.type === 'audioLevel') {
                         updateCardMeter(roomId, message.level);
+                        recordLevelHistory(roomId, message.level);
+                        evaluateAlertRules(roomId, message.level);
+                    } else if (message.type === 'talkbackError') {
+                        diagWarn("talkback.server.failed", { roomId, message: message.message });
+                        void stopTalkback(roomId, "server-error");
+                        showMessage(message.message || "Talkback to this room failed", true);
                     } else if (message.type === 'soundAlert') {
                         diagInfo("webrtc.dataChannel.soundAlert", {
                             roomId,
@@ -1538,7 +2158,10 @@ async function startAudioStream(roomId) {
                             threshold: message.threshold
                         });
                         console.log(`Sound alert for room ${roomId}: ${message.level.toFixed(1)} dB (threshold: ${message.threshold.toFixed(1)} dB)`);
-                        handleSoundAlert(roomId, message.level, message.threshold);
+                        recordHistoryAlert(roomId, message.level);
+                        logEvent("sound-alert", roomId, { level: message.level, threshold: message.threshold });
+                        const clipKey = captureAlertClip(roomId, message.level);
+                        handleSoundAlert(roomId, message.level, message.threshold, clipKey);
                     } else {
                         diagInfo("webrtc.dataChannel.unknownMessage", {
                             roomId,
@@ -1585,6 +2208,10 @@ async function startAudioStream(roomId) {
 
             if (event.track.kind === 'audio' && audioEl) {
                 audioEl.srcObject = event.streams[0] || new MediaStream([event.track]);
+                if (cryOnlyRooms.has(roomId)) {
+                    startSoundClassifier(roomId, audioEl.srcObject);
+                }
+                startClipRecorder(roomId);
                 markStreamMilestone(roomId, streamType, "firstPlayAttemptAt");
                 armPlayingTimeout(roomId, streamType, pc);
                 audioEl.play()
@@ -1633,30 +2260,39 @@ async function startAudioStream(roomId) {
             diagInfo("webrtc.connection.state", { roomId, streamType, state });
             console.log(`Audio connection state for room ${roomId}:`, state);
 
+            // A peer replaced by a reconnect may still report late state changes
+            if (audioConnections[roomId] !== pc) return;
+
             if (state === 'connected') {
                 clearStreamTimer(roomId, streamType, "disconnectedTimeout");
+                markStreamReconnected(roomId, streamType);
             }
 
             if (state === 'disconnected') {
                 armDisconnectedTimeout(roomId, streamType, pc);
             }
 
-            if (state === 'failed' && !isStreamStopRequested(roomId, streamType)) {
-                setStreamFlag(roomId, streamType, "connectionFailed");
-                void capturePeerStats(roomId, streamType, pc, "connection-failed");
-                finalizeStreamAttempt(roomId, streamType, "failed", { reason: "connection-failed" });
-            }
-
-            if ((state === 'disconnected' || state === 'failed') && !isStreamStopRequested(roomId, streamType)) {
+            // Notify before a reconnect is scheduled, since that finalizes the attempt
+            if ((state === 'disconnected' || state === 'failed') &&
+                !isStreamStopRequested(roomId, streamType) &&
+                !isStreamReconnecting(roomId, streamType)) {
                 const room = currentRooms.find(r => r.id === roomId);
                 const roomName = room ? room.name : `Room ${roomId}`;
                 pwaShowNotification(
                     `Connection lost \u2014 ${roomName}`,
                     'Attempting to reconnect...',
-                    `disconnect-${roomId}`
+                    `disconnect-${roomId}`,
+                    { roomId }
                 );
             }
 
+            if (state === 'failed' && !isStreamStopRequested(roomId, streamType)) {
+                setStreamFlag(roomId, streamType, "connectionFailed");
+                void capturePeerStats(roomId, streamType, pc, "connection-failed");
+                finalizeStreamAttempt(roomId, streamType, "failed", { reason: "connection-failed" });
+                scheduleStreamReconnect(roomId, streamType, "connection-failed");
+            }
+
             if (state === 'disconnected' || state === 'failed' || state === 'closed') {
                 onAudioDisconnected(roomId);
             }
@@ -1671,11 +2307,18 @@ async function startAudioStream(roomId) {
             signalingState: pc.signalingState
         });
 
+        // Answer sendrecv so talkback can swap a microphone track in without renegotiating
+        const audioTransceiver = pc.getTransceivers().find(t => t.receiver.track.kind === 'audio');
+        if (audioTransceiver) {
+            audioTransceiver.direction = 'sendrecv';
+        }
+
         // Create and send answer
         const answer = await pc.createAnswer();
         markStreamMilestone(roomId, streamType, "answerCreatedAt");
         await pc.setLocalDescription(answer);
         markStreamMilestone(roomId, streamType, "localDescriptionSetAt");
+        updateTalkButton(roomId);
         await invokeHubWithDiagnostics("SetAudioRemoteDescription", [roomId, answer.type, answer.sdp], {
             roomId,
             streamType
@@ -1683,27 +2326,7 @@ async function startAudioStream(roomId) {
         markStreamMilestone(roomId, streamType, "answerSentAt");
 
         // Process queued ICE candidates
-        if (audioPendingCandidates[roomId] && audioPendingCandidates[roomId].length > 0) {
-            diagInfo("webrtc.ice.remote.queue.processing", {
-                roomId,
-                streamType,
-                queuedCount: audioPendingCandidates[roomId].length
-            });
-            for (const candidate of audioPendingCandidates[roomId]) {
-                try {
-                    await pc.addIceCandidate(candidate);
-                    incrementStreamCounter(roomId, streamType, "iceAdded");
-                } catch (err) {
-                    diagWarn("webrtc.ice.remote.queued.add.failed", {
-                        roomId,
-                        streamType,
-                        error: normalizeError(err)
-                    });
-                    console.warn(`Could not add queued audio ICE candidate for room ${roomId}:`, err.message);
-                }
-            }
-            audioPendingCandidates[roomId] = [];
-        }
+        await flushPendingIceCandidates(roomId, streamType, pc);
 
         armTrackTimeout(roomId, streamType, pc);
 
@@ -1713,14 +2336,22 @@ async function startAudioStream(roomId) {
         void capturePeerStats(roomId, streamType, audioConnections[roomId], "start-exception");
         finalizeStreamAttempt(roomId, streamType, "failed", { reason: "start-exception" });
         console.error(`Error starting audio stream for room ${roomId}:`, error);
+
+        // Failed reconnects retry quietly; only the initial start surfaces the error
+        if (isStreamReconnecting(roomId, streamType)) {
+            scheduleStreamReconnect(roomId, streamType, "start-exception");
+            return;
+        }
         showMessage("Error starting audio stream", true);
     }
 }
 
-async function stopAudioStream(roomId) {
+async function stopAudioStream(roomId, reason = "stop-monitoring") {
     const streamType = "audio";
     setStreamStopRequested(roomId, streamType);
 
+    await stopTalkback(roomId, "stream-stopped");
+
     const pc = audioConnections[roomId];
     if (pc) {
         await capturePeerStats(roomId, streamType, pc, "stop-requested");
@@ -1735,6 +2366,8 @@ async function stopAudioStream(roomId) {
         delete audioConnections[roomId];
     }
     delete audioPendingCandidates[roomId];
+    stopSoundClassifier(roomId);
+    updateTalkButton(roomId);
 
     // Clean up audio element
     if (audioElements[roomId]) {
@@ -1746,121 +2379,2665 @@ async function stopAudioStream(roomId) {
     onAudioDisconnected(roomId);
 
     cleanupStreamDiagnostics(roomId, streamType);
-    finalizeStreamAttempt(roomId, streamType, "stopped", { reason: "stop-monitoring" });
+    finalizeStreamAttempt(roomId, streamType, "stopped", { reason });
 }
 
-function onAudioDisconnected(roomId) {
-    // Reset meter
-    const meter = document.getElementById(`meter-${roomId}`);
-    if (meter) meter.style.width = '0%';
-    const dbLabel = document.getElementById(`dbLevel-${roomId}`);
-    if (dbLabel) dbLabel.textContent = '--.- dB';
+// ===== Talkback =====
+function isTalkbackSupported() {
+    return !!navigator.mediaDevices?.getUserMedia;
 }
 
-// ===== Mute Toggle (per-room, surgical DOM update) =====
-function toggleMute(roomId) {
-    const audioEl = audioElements[roomId];
-    if (!audioEl) return;
+function getTalkbackSender(roomId) {
+    const pc = audioConnections[roomId];
+    if (!pc) return null;
 
-    audioEl.muted = !audioEl.muted;
-    diagInfo("audio.mute.toggled", { roomId, muted: audioEl.muted });
-    updateMuteButton(roomId);
+    // The server only offers sendrecv audio where it can play talkback (RTSP cameras with an
+    // ONVIF backchannel); everything else negotiates this down to recvonly
+    const transceiver = pc.getTransceivers().find(t =>
+        t.receiver.track.kind === 'audio' && t.currentDirection === 'sendrecv');
+    return transceiver ? transceiver.sender : null;
 }
 
-function updateMuteButton(roomId) {
-    const card = document.querySelector(`.dash-card[data-room-id="${roomId}"]`);
-    if (!card) return;
+function isTalkbackAvailable(roomId) {
+    return isTalkbackSupported() && !!getTalkbackSender(roomId);
+}
 
-    const audioEl = audioElements[roomId];
-    if (!audioEl) return;
+function onTalkPointerDown(event, roomId) {
+    event.preventDefault();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
 
-    const isMuted = audioEl.muted;
-    const muteBtn = card.querySelector('.btn-dash-mute');
-    if (muteBtn) {
-        muteBtn.className = `btn-dash-action btn-dash-mute ${isMuted ? 'muted' : ''}`;
-        muteBtn.innerHTML = `<i class="fas fa-${isMuted ? 'volume-mute' : 'volume-up'}"></i> ${isMuted ? 'Muted' : 'Sound On'}`;
+    const state = talkbackState[roomId];
+    if (state) {
+        // Pressing again ends a latched talkback
+        if (state.latched) {
+            void stopTalkback(roomId, "toggled-off");
+        }
+        return;
+    }
+
+    void startTalkback(roomId);
+}
+
+function onTalkPointerUp(roomId) {
+    const state = talkbackState[roomId];
+    if (!state || state.latched) return;
+
+    if (Date.now() - state.pressedAt < TALKBACK_LATCH_MS) {
+        state.latched = true;
+        updateTalkButton(roomId);
+        return;
+    }
+
+    void stopTalkback(roomId, "released");
+}
+
+async function startTalkback(roomId) {
+    const sender = getTalkbackSender(roomId);
+    if (!sender) {
+        showMessage("Talkback is not available for this room", true);
+        return;
+    }
+
+    const state = { stream: null, sender, pressedAt: Date.now(), latched: false, released: false };
+    talkbackState[roomId] = state;
+    updateTalkButton(roomId);
+
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+        });
+
+        // Released (or the stream stopped) while the permission prompt was open
+        if (state.released) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        state.stream = stream;
+        await sender.replaceTrack(stream.getAudioTracks()[0] || null);
+        diagInfo("talkback.started", { roomId });
+        updateTalkButton(roomId);
+    } catch (err) {
+        diagWarn("talkback.start.failed", { roomId, error: normalizeError(err) });
+        await stopTalkback(roomId, "start-failed");
+        showMessage(getDisplayErrorMessage(err, "Could not access the microphone"), true);
+    }
+}
+
+async function stopTalkback(roomId, reason) {
+    const state = talkbackState[roomId];
+    if (!state) return;
+
+    state.released = true;
+    delete talkbackState[roomId];
+
+    // Release the microphone so the browser's recording indicator goes away
+    if (state.stream) {
+        state.stream.getTracks().forEach(track => track.stop());
+    }
+
+    try {
+        await state.sender.replaceTrack(null);
+    } catch { /* peer connection already closed */ }
+
+    diagInfo("talkback.stopped", { roomId, reason });
+    updateTalkButton(roomId);
+}
+
+function renderTalkButtonContent(roomId) {
+    const state = talkbackState[roomId];
+    if (!state) {
+        return `<i class="fas fa-microphone"></i> Hold to Talk`;
+    }
+    if (!state.stream) {
+        return `<i class="fas fa-spinner fa-spin"></i> Mic...`;
+    }
+    return `<i class="fas fa-microphone"></i> ${state.latched ? 'Speaking \u2014 tap to stop' : 'Speaking'}`;
+}
+
+function renderTalkButtonTitle(roomId) {
+    if (!isTalkbackSupported()) {
+        return "This browser cannot capture the microphone";
+    }
+    if (!audioConnections[roomId]) {
+        return "Talkback is available once the audio stream is connected";
+    }
+    return isTalkbackAvailable(roomId)
+        ? "Hold to talk, or tap to start and tap again to stop"
+        : "Talkback needs an RTSP camera with an audio backchannel";
+}
+
+function updateTalkButton(roomId) {
+    const card = document.querySelector(`.dash-card[data-room-id="${roomId}"]`);
+    const button = card?.querySelector('.btn-dash-talk');
+    if (!button) return;
+
+    const speaking = !!talkbackState[roomId]?.stream;
+    button.classList.toggle('speaking', speaking);
+    card.classList.toggle('talking', speaking);
+    button.disabled = !isTalkbackAvailable(roomId);
+    button.title = renderTalkButtonTitle(roomId);
+    button.innerHTML = renderTalkButtonContent(roomId);
+}
+
+function onAudioDisconnected(roomId) {
+    // Reset meter (card and picture-in-picture window)
+    resetLevelMeter(document.getElementById(`meter-${roomId}`));
+    resetLevelMeter(getPipElement(`meter-${roomId}`));
+    for (const dbLabel of [document.getElementById(`dbLevel-${roomId}`), getPipElement(`dbLevel-${roomId}`)]) {
+        if (dbLabel) dbLabel.textContent = '--.- dB';
+    }
+}
+
+// ===== ICE Candidate Queue =====
+async function flushPendingIceCandidates(roomId, streamType, pc) {
+    const pendingByRoom = streamType === "audio" ? audioPendingCandidates : videoPendingCandidates;
+    const queued = pendingByRoom[roomId] ?? [];
+    if (queued.length === 0) return;
+
+    // Swap the queue out first so candidates arriving mid-flush go straight to the peer
+    pendingByRoom[roomId] = [];
+    diagInfo("webrtc.ice.remote.queue.processing", {
+        roomId,
+        streamType,
+        queuedCount: queued.length
+    });
+
+    for (const candidate of queued) {
+        try {
+            await pc.addIceCandidate(candidate);
+            incrementStreamCounter(roomId, streamType, "iceAdded");
+        } catch (err) {
+            diagWarn("webrtc.ice.remote.queued.add.failed", {
+                roomId,
+                streamType,
+                error: normalizeError(err)
+            });
+            console.warn(`Could not add queued ${streamType} ICE candidate for room ${roomId}:`, err.message);
+        }
+    }
+}
+
+// ===== ICE Restart (network changes) =====
+function isAwaitingIceRestartOffer(roomId, streamType) {
+    return !!ICE_RESTART_STATE.get(getStreamKey(roomId, streamType))?.awaitingOffer;
+}
+
+async function restartStreamIce(roomId, streamType, reason) {
+    const key = getStreamKey(roomId, streamType);
+    const pc = getPeerConnection(roomId, streamType);
+    if (!pc || ICE_RESTART_STATE.has(key)) return;
+    // A pending rebuild replaces the peer anyway; renegotiating it in parallel only races that
+    if (isRoomReconnecting(roomId) || isStreamStopRequested(roomId, streamType)) return;
+    if (pc.signalingState !== 'stable' || pc.connectionState === 'closed' || pc.connectionState === 'failed') return;
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+        diagWarn("webrtc.iceRestart.skipped", { roomId, streamType, reason, signalRState: connection?.state ?? null });
+        return;
+    }
+
+    const restartState = { awaitingOffer: true, reason };
+    ICE_RESTART_STATE.set(key, restartState);
+    clearStreamTimer(roomId, streamType, "disconnectedTimeout");
+    setStreamFlag(roomId, streamType, "iceRestart");
+    diagInfo("webrtc.iceRestart.start", {
+        roomId,
+        streamType,
+        reason,
+        connectionState: pc.connectionState,
+        iceConnectionState: pc.iceConnectionState
+    });
+
+    const restartMethod = streamType === "audio" ? "RestartAudioIce" : "RestartVideoIce";
+    const answerMethod = streamType === "audio" ? "SetAudioRemoteDescription" : "SetVideoRemoteDescription";
+
+    try {
+        const offerSdp = await invokeHubWithDiagnostics(restartMethod, [roomId], { roomId, streamType, reason });
+        if (!offerSdp) {
+            throw new Error("No ICE restart offer received");
+        }
+        if (getPeerConnection(roomId, streamType) !== pc || isStreamReconnecting(roomId, streamType)) return;
+
+        await pc.setRemoteDescription({ type: 'offer', sdp: offerSdp });
+        restartState.awaitingOffer = false;
+        await flushPendingIceCandidates(roomId, streamType, pc);
+
+        const answer = await pc.createAnswer();
+        await pc.setLocalDescription(answer);
+        await invokeHubWithDiagnostics(answerMethod, [roomId, answer.type, answer.sdp], { roomId, streamType });
+        diagInfo("webrtc.iceRestart.negotiated", {
+            roomId,
+            streamType,
+            reason,
+            connectionState: pc.connectionState
+        });
+
+        // Give the new ICE generation a full grace period before falling back to a rebuild
+        if (pc.connectionState !== 'connected') {
+            armDisconnectedTimeout(roomId, streamType, pc);
+        }
+    } catch (error) {
+        diagError("webrtc.iceRestart.failed", error, { roomId, streamType, reason });
+        if (getPeerConnection(roomId, streamType) === pc && monitoringRooms.has(roomId)) {
+            finalizeStreamAttempt(roomId, streamType, "failed", { reason: "ice-restart-failed" });
+            scheduleStreamReconnect(roomId, streamType, "ice-restart-failed");
+        }
+    } finally {
+        ICE_RESTART_STATE.delete(key);
+    }
+}
+
+function onNetworkChanged(source) {
+    if (networkChangeTimer) {
+        clearTimeout(networkChangeTimer);
+    }
+
+    // Interface switches fire several events in a row; renegotiate once they settle
+    networkChangeTimer = setTimeout(() => {
+        networkChangeTimer = null;
+        diagInfo("network.changed", {
+            source,
+            online: navigator.onLine,
+            type: navigator.connection?.type ?? null,
+            effectiveType: navigator.connection?.effectiveType ?? null
+        });
+
+        for (const roomId of monitoringRooms) {
+            for (const streamType of ["audio", "video"]) {
+                if (getPeerConnection(roomId, streamType)) {
+                    void restartStreamIce(roomId, streamType, source);
+                }
+            }
+        }
+    }, NETWORK_CHANGE_DEBOUNCE_MS);
+}
+
+if (navigator.connection && typeof navigator.connection.addEventListener === "function") {
+    navigator.connection.addEventListener("change", () => onNetworkChanged("network-change"));
+}
+window.addEventListener("online", () => onNetworkChanged("network-online"));
+
+// ===== Stream Reconnection (per-room, per-stream) =====
+function getReconnectDelayMs(attempt) {
+    const exponential = RECONNECT_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+    const capped = Math.min(RECONNECT_MAX_DELAY_MS, exponential);
+    const jitter = capped * RECONNECT_JITTER_RATIO * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(capped + jitter));
+}
+
+function getStreamReconnectState(roomId, streamType) {
+    return STREAM_RECONNECT_STATE.get(getStreamKey(roomId, streamType)) ?? null;
+}
+
+function isStreamReconnecting(roomId, streamType) {
+    const state = getStreamReconnectState(roomId, streamType);
+    return !!state && state.attempt > 0 && !state.gaveUp;
+}
+
+function isRoomReconnecting(roomId) {
+    return ["audio", "video"].some(streamType => isStreamReconnecting(roomId, streamType));
+}
+
+function scheduleStreamReconnect(roomId, streamType, reason) {
+    if (!monitoringRooms.has(roomId)) return;
+
+    const key = getStreamKey(roomId, streamType);
+    const state = STREAM_RECONNECT_STATE.get(key) ?? { attempt: 0, timer: null, gaveUp: false };
+    STREAM_RECONNECT_STATE.set(key, state);
+
+    if (state.timer || state.gaveUp) return;
+
+    if (state.attempt >= RECONNECT_MAX_ATTEMPTS) {
+        giveUpStreamReconnect(roomId, streamType, reason);
+        return;
+    }
+
+    if (state.attempt === 0) {
+        logEvent("connection-lost", roomId, { streamType, reason });
+    }
+
+    state.attempt += 1;
+    const delayMs = getReconnectDelayMs(state.attempt);
+    state.timer = setTimeout(() => {
+        state.timer = null;
+        void runStreamReconnect(roomId, streamType);
+    }, delayMs);
+
+    diagWarn("stream.reconnect.scheduled", {
+        roomId,
+        streamType,
+        reason,
+        attempt: state.attempt,
+        maxAttempts: RECONNECT_MAX_ATTEMPTS,
+        delayMs
+    });
+    updateCardConnectionState(roomId);
+}
+
+async function runStreamReconnect(roomId, streamType) {
+    if (!monitoringRooms.has(roomId)) return;
+
+    const state = getStreamReconnectState(roomId, streamType);
+    diagInfo("stream.reconnect.run", { roomId, streamType, attempt: state?.attempt ?? 0 });
+
+    if (streamType === "audio") {
+        // Keep the user's mute choice across the rebuilt audio element
+        const wasMuted = audioElements[roomId] ? audioElements[roomId].muted : null;
+        await stopAudioStream(roomId, "reconnect");
+        if (!monitoringRooms.has(roomId)) return;
+        await startAudioStream(roomId);
+        if (wasMuted !== null && audioElements[roomId]) {
+            audioElements[roomId].muted = wasMuted;
+        }
+        updateMuteButton(roomId);
+    } else {
+        await stopVideoStream(roomId, "reconnect");
+        if (!monitoringRooms.has(roomId)) return;
+        await startVideoStream(roomId);
+    }
+
+    armReconnectConnectTimeout(roomId, streamType);
+}
+
+// Failed/disconnected states advance the backoff on their own; this covers a peer that never
+// gets past new/connecting (e.g. ICE never completes)
+function armReconnectConnectTimeout(roomId, streamType) {
+    const pc = getPeerConnection(roomId, streamType);
+    if (!pc || pc.connectionState === 'connected' || !isStreamReconnecting(roomId, streamType)) return;
+
+    setStreamTimer(roomId, streamType, "connectTimeout", RECONNECT_CONNECT_TIMEOUT_MS, () => {
+        if (getPeerConnection(roomId, streamType) !== pc || !monitoringRooms.has(roomId)) return;
+        if (isStreamStopRequested(roomId, streamType)) return;
+        if (pc.connectionState === 'connected' || pc.connectionState === 'failed') return;
+
+        setStreamFlag(roomId, streamType, "connectTimeout");
+        diagWarn("stream.reconnect.connectTimeout", {
+            roomId,
+            streamType,
+            timeoutMs: RECONNECT_CONNECT_TIMEOUT_MS,
+            connectionState: pc.connectionState,
+            iceConnectionState: pc.iceConnectionState
+        });
+        void capturePeerStats(roomId, streamType, pc, "connect-timeout");
+
+        finalizeStreamAttempt(roomId, streamType, "failed", { reason: "connect-timeout" });
+        scheduleStreamReconnect(roomId, streamType, "connect-timeout");
+    });
+}
+
+function markStreamReconnected(roomId, streamType) {
+    const key = getStreamKey(roomId, streamType);
+    const state = STREAM_RECONNECT_STATE.get(key);
+    if (!state) return;
+
+    clearStreamTimer(roomId, streamType, "connectTimeout");
+    if (state.timer) {
+        clearTimeout(state.timer);
+    }
+    diagInfo("stream.reconnect.succeeded", { roomId, streamType, attempts: state.attempt });
+    STREAM_RECONNECT_STATE.delete(key);
+    updateCardConnectionState(roomId);
+    logEvent("reconnected", roomId, { streamType, attempts: state.attempt });
+
+    const room = currentRooms.find(r => r.id === roomId);
+    showMessage(`Reconnected ${streamType} \u2014 ${room ? room.name : `Room ${roomId}`}`);
+}
+
+function giveUpStreamReconnect(roomId, streamType, reason) {
+    const state = getStreamReconnectState(roomId, streamType);
+    if (!state || state.gaveUp) return;
+    state.gaveUp = true;
+
+    diagError("stream.reconnect.gaveUp", reason, { roomId, streamType, attempts: state.attempt });
+    updateCardConnectionState(roomId);
+    logEvent("reconnect-failed", roomId, { streamType, reason, attempts: state.attempt });
+
+    const room = currentRooms.find(r => r.id === roomId);
+    const roomName = room ? room.name : `Room ${roomId}`;
+    pwaShowNotification(
+        `Connection lost \u2014 ${roomName}`,
+        `Gave up reconnecting the ${streamType} stream after ${state.attempt} attempts.`,
+        `disconnect-${roomId}`,
+        { roomId }
+    );
+    showMessage(`Could not reconnect ${streamType} for ${roomName}`, true);
+}
+
+function cancelStreamReconnect(roomId, streamType) {
+    const key = getStreamKey(roomId, streamType);
+    const state = STREAM_RECONNECT_STATE.get(key);
+    if (!state) return;
+
+    if (state.timer) {
+        clearTimeout(state.timer);
+    }
+    STREAM_RECONNECT_STATE.delete(key);
+}
+
+function retryRoomStreams(roomId) {
+    const room = currentRooms.find(r => r.id === roomId);
+    if (!room || !monitoringRooms.has(roomId)) return;
+
+    diagInfo("stream.reconnect.manualRetry", { roomId });
+    for (const streamType of ["audio", "video"]) {
+        const state = getStreamReconnectState(roomId, streamType);
+        if (!state || !state.gaveUp) continue;
+
+        cancelStreamReconnect(roomId, streamType);
+        scheduleStreamReconnect(roomId, streamType, "manual-retry");
+    }
+}
+
+function getRoomConnectionStatus(roomId) {
+    const states = ["audio", "video"]
+        .map(streamType => getStreamReconnectState(roomId, streamType))
+        .filter(Boolean);
+
+    if (states.some(state => state.gaveUp)) {
+        return { state: "lost" };
+    }
+
+    const attempt = Math.max(0, ...states.map(state => state.attempt));
+    return attempt > 0 ? { state: "reconnecting", attempt } : { state: "monitoring" };
+}
+
+function renderMonitoringStatusBadge(roomId) {
+    const status = getRoomConnectionStatus(roomId);
+
+    if (status.state === "lost") {
+        return `
+            <span id="statusBadge-${roomId}" class="status-badge lost">
+                <span class="status-dot"></span>
+                Connection lost
+                <button class="btn-dash-retry" onclick="retryRoomStreams(${roomId})">Retry</button>
+            </span>
+        `;
+    }
+
+    if (status.state === "reconnecting") {
+        return `
+            <span id="statusBadge-${roomId}" class="status-badge reconnecting">
+                <span class="status-dot"></span>
+                Reconnecting (attempt ${status.attempt})
+            </span>
+        `;
+    }
+
+    return `
+        <span id="statusBadge-${roomId}" class="status-badge monitoring">
+            <span class="status-dot"></span>
+            Monitoring
+        </span>
+    `;
+}
+
+function updateCardConnectionState(roomId) {
+    const badge = document.getElementById(`statusBadge-${roomId}`);
+    if (!badge) return;
+
+    const temp = document.createElement('div');
+    temp.innerHTML = renderMonitoringStatusBadge(roomId);
+    badge.replaceWith(temp.firstElementChild);
+}
+
+// ===== Mute Toggle (per-room, surgical DOM update) =====
+function toggleMute(roomId) {
+    const audioEl = audioElements[roomId];
+    if (!audioEl) return;
+
+    audioEl.muted = !audioEl.muted;
+    diagInfo("audio.mute.toggled", { roomId, muted: audioEl.muted });
+    updateMuteButton(roomId);
+}
+
+function updateMuteButton(roomId) {
+    const audioEl = audioElements[roomId];
+    if (!audioEl) return;
+
+    const isMuted = audioEl.muted;
+    const card = document.querySelector(`.dash-card[data-room-id="${roomId}"]`);
+    const pipRoot = pipRoomId === roomId ? pipWindow?.document : null;
+
+    for (const muteBtn of [card?.querySelector('.btn-dash-mute'), pipRoot?.querySelector('.btn-dash-mute')]) {
+        if (!muteBtn) continue;
+        muteBtn.className = `btn-dash-action btn-dash-mute ${isMuted ? 'muted' : ''}`;
+        muteBtn.innerHTML = `<i class="fas fa-${isMuted ? 'volume-mute' : 'volume-up'}"></i> ${isMuted ? 'Muted' : 'Sound On'}`;
+    }
+}
+
+// ===== Card Meter Updates =====
+function updateCardMeter(roomId, level) {
+    // The same meter may also be shown in the picture-in-picture window
+    updateLevelMeter(document.getElementById(`meter-${roomId}`), level);
+    updateLevelMeter(getPipElement(`meter-${roomId}`), level);
+
+    for (const dbLabel of [document.getElementById(`dbLevel-${roomId}`), getPipElement(`dbLevel-${roomId}`)]) {
+        if (dbLabel) dbLabel.textContent = level.toFixed(1) + ' dB';
+    }
+}
+
+// Effective alert threshold shown on a room's meter and history graph:
+// the room's own value when it overrides the global one
+function getRoomThreshold(roomId) {
+    const room = currentRooms.find(r => r.id === roomId);
+    const threshold = room?.soundThreshold ?? globalSettings?.soundThreshold;
+    return typeof threshold === "number" ? threshold : null;
+}
+
+function hasRoomThresholdOverride(roomId) {
+    const room = currentRooms.find(r => r.id === roomId);
+    return typeof room?.soundThreshold === "number";
+}
+
+function renderThresholdLabel(roomId) {
+    return `<span id="threshold-${roomId}" class="dash-card-threshold" title="${getThresholdLabelTitle(roomId)}">${renderThresholdLabelContent(roomId)}</span>`;
+}
+
+function getThresholdLabelTitle(roomId) {
+    return hasRoomThresholdOverride(roomId)
+        ? "Alert threshold set for this room"
+        : "Alert threshold inherited from the global settings";
+}
+
+function renderThresholdLabelContent(roomId) {
+    const threshold = getRoomThreshold(roomId);
+    if (threshold === null) return '';
+    const source = hasRoomThresholdOverride(roomId) ? "Room" : "Global";
+    return `<i class="fas fa-bell"></i> ${threshold.toFixed(1)} dB <span class="dash-card-threshold-source">${source}</span>`;
+}
+
+function updateMeterThresholds() {
+    for (const room of currentRooms) {
+        const threshold = getRoomThreshold(room.id);
+        setLevelMeterThreshold(document.getElementById(`meter-${room.id}`), threshold);
+        setLevelMeterThreshold(getPipElement(`meter-${room.id}`), threshold);
+
+        const label = document.getElementById(`threshold-${room.id}`);
+        if (label) {
+            label.innerHTML = renderThresholdLabelContent(room.id);
+            label.title = getThresholdLabelTitle(room.id);
+        }
+    }
+}
+
+// ===== Sound Level History (per-room sparkline) =====
+function loadHistoryWindows() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || "{}");
+        return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+function getHistoryWindowMinutes(roomId) {
+    const minutes = Number(historyWindows[roomId]);
+    return HISTORY_WINDOW_OPTIONS_MINUTES.includes(minutes) ? minutes : HISTORY_DEFAULT_WINDOW_MINUTES;
+}
+
+function setHistoryWindow(roomId, minutes) {
+    if (!HISTORY_WINDOW_OPTIONS_MINUTES.includes(minutes)) return;
+    historyWindows[roomId] = minutes;
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(historyWindows));
+    } catch { /* no-op */ }
+
+    const card = document.querySelector(`.dash-card[data-room-id="${roomId}"]`);
+    if (card) {
+        card.querySelectorAll('.btn-history-window').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.minutes) === minutes);
+        });
+    }
+    drawLevelHistory(roomId);
+}
+
+function getLevelHistory(roomId) {
+    if (!levelHistory[roomId]) {
+        levelHistory[roomId] = {
+            levels: new Float32Array(HISTORY_CAPACITY),
+            bucketIds: new Float64Array(HISTORY_CAPACITY).fill(-1),
+            lastBucket: -1,
+            alerts: []                // [{ time, level }]
+        };
+    }
+    return levelHistory[roomId];
+}
+
+function recordLevelHistory(roomId, level) {
+    if (typeof level !== "number" || !Number.isFinite(level)) return;
+    const history = getLevelHistory(roomId);
+    const bucket = Math.floor(Date.now() / HISTORY_BUCKET_MS);
+    const index = bucket % HISTORY_CAPACITY;
+
+    // Keep the peak per bucket so short cries survive the downsampling
+    if (history.bucketIds[index] === bucket) {
+        if (level > history.levels[index]) history.levels[index] = level;
+    } else {
+        history.bucketIds[index] = bucket;
+        history.levels[index] = level;
+    }
+    history.lastBucket = bucket;
+}
+
+function readLevelHistoryBucket(history, bucket) {
+    const index = bucket % HISTORY_CAPACITY;
+    return history.bucketIds[index] === bucket ? history.levels[index] : NaN;
+}
+
+function recordHistoryAlert(roomId, level) {
+    const history = getLevelHistory(roomId);
+    const now = Date.now();
+    history.alerts.push({ time: now, level });
+
+    const cutoff = now - HISTORY_CAPACITY * HISTORY_BUCKET_MS;
+    while (history.alerts.length > 0 && history.alerts[0].time < cutoff) {
+        history.alerts.shift();
+    }
+}
+
+function clearLevelHistory(roomId) {
+    delete levelHistory[roomId];
+}
+
+function renderLevelHistory(roomId) {
+    const selected = getHistoryWindowMinutes(roomId);
+    return `
+            <div class="dash-card-history">
+                <canvas id="history-${roomId}" class="dash-card-history-canvas"></canvas>
+                <div class="dash-card-history-windows">
+                    ${HISTORY_WINDOW_OPTIONS_MINUTES.map(minutes => `
+                        <button class="btn-history-window ${minutes === selected ? 'active' : ''}" data-minutes="${minutes}"
+                                onclick="setHistoryWindow(${roomId}, ${minutes})">${minutes}m</button>
+                    `).join('')}
+                </div>
+            </div>
+    `;
+}
+
+function getHistoryColors() {
+    if (!historyColors) {
+        const styles = getComputedStyle(document.documentElement);
+        historyColors = {
+            line: styles.getPropertyValue('--accent-teal').trim() || '#88d5c3',
+            threshold: styles.getPropertyValue('--accent-peach').trim() || '#ffb088',
+            alert: styles.getPropertyValue('--accent-pink').trim() || '#ff8b94'
+        };
+    }
+    return historyColors;
+}
+
+function historyLevelToY(level, height) {
+    const clamped = Math.max(HISTORY_MIN_DB, Math.min(0, level));
+    return height - ((clamped - HISTORY_MIN_DB) / -HISTORY_MIN_DB) * height;
+}
+
+function drawLevelHistory(roomId) {
+    const canvas = document.getElementById(`history-${roomId}`);
+    if (!canvas) return;
+
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const pixelWidth = Math.round(width * ratio);
+    const pixelHeight = Math.round(height * ratio);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const colors = getHistoryColors();
+    const windowMs = getHistoryWindowMinutes(roomId) * 60 * 1000;
+    const now = Date.now();
+    const windowStart = now - windowMs;
+    const bucketCount = windowMs / HISTORY_BUCKET_MS;
+    const firstBucket = Math.floor(now / HISTORY_BUCKET_MS) - bucketCount + 1;
+    const history = levelHistory[roomId];
+
+    // Level line: one peak per pixel column, gaps where no data arrived
+    if (history) {
+        const columns = Math.max(1, Math.floor(width));
+        const bucketsPerColumn = bucketCount / columns;
+        let drawing = false;
+
+        ctx.beginPath();
+        for (let x = 0; x < columns; x++) {
+            const from = firstBucket + Math.floor(x * bucketsPerColumn);
+            const to = Math.max(from + 1, firstBucket + Math.floor((x + 1) * bucketsPerColumn));
+            let peak = -Infinity;
+            for (let bucket = from; bucket < to; bucket++) {
+                const value = readLevelHistoryBucket(history, bucket);
+                if (value > peak) peak = value;
+            }
+
+            if (peak === -Infinity) {
+                drawing = false;
+                continue;
+            }
+
+            const y = historyLevelToY(peak, height);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        }
+        ctx.strokeStyle = colors.line;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    // Threshold line
+    const threshold = getRoomThreshold(roomId);
+    if (threshold !== null) {
+        const y = Math.round(historyLevelToY(threshold, height)) + 0.5;
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = colors.threshold;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Sound alert markers
+    if (history) {
+        ctx.fillStyle = colors.alert;
+        for (const alert of history.alerts) {
+            if (alert.time < windowStart) continue;
+            const x = ((alert.time - windowStart) / windowMs) * width;
+            ctx.fillRect(Math.round(x) - 1, 0, 2, height);
+        }
+    }
+}
+
+function drawAllLevelHistories() {
+    if (document.visibilityState === 'hidden') return;
+    for (const roomId of monitoringRooms) {
+        drawLevelHistory(roomId);
+    }
+}
+
+function startHistoryRedrawLoop() {
+    if (historyRedrawTimer) return;
+    historyRedrawTimer = setInterval(drawAllLevelHistories, HISTORY_REDRAW_INTERVAL_MS);
+}
+
+function stopHistoryRedrawLoop() {
+    if (!historyRedrawTimer) return;
+    clearInterval(historyRedrawTimer);
+    historyRedrawTimer = null;
+}
+
+// ===== IndexedDB =====
+function idbOpen() {
+    if (idbOpenPromise) return idbOpenPromise;
+
+    idbOpenPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error("IndexedDB is not available"));
+            return;
+        }
+
+        const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(EVENT_LOG_STORE)) {
+                const store = db.createObjectStore(EVENT_LOG_STORE, { keyPath: "id", autoIncrement: true });
+                store.createIndex("timestamp", "timestamp");
+            }
+            if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: "id", autoIncrement: true });
+                store.createIndex("timestamp", "timestamp");
+            }
+            if (!db.objectStoreNames.contains(CLIP_STORE)) {
+                const store = db.createObjectStore(CLIP_STORE, { keyPath: "id", autoIncrement: true });
+                store.createIndex("timestamp", "timestamp");
+                store.createIndex("key", "key");
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+    });
+
+    // Allow a later call to retry after a failed open
+    idbOpenPromise.catch(() => { idbOpenPromise = null; });
+    return idbOpenPromise;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error ?? new Error("IndexedDB transaction aborted"));
+    });
+}
+
+// ===== Event Log (alerts and connection events) =====
+function initializeEventLog() {
+    const retentionInput = document.getElementById('eventLogRetention');
+    if (retentionInput) retentionInput.value = getEventLogRetentionDays();
+
+    void pruneEventLog().then(refreshEventLog);
+    setInterval(() => void pruneEventLog(), EVENT_LOG_PRUNE_INTERVAL_MS);
+}
+
+function getEventLogRetentionDays() {
+    let days = NaN;
+    try {
+        days = parseInt(localStorage.getItem(EVENT_LOG_RETENTION_KEY), 10);
+    } catch { /* no-op */ }
+    return Number.isInteger(days) && days > 0 ? days : EVENT_LOG_DEFAULT_RETENTION_DAYS;
+}
+
+function setEventLogRetentionDays(value) {
+    const days = parseInt(value, 10);
+    const retentionInput = document.getElementById('eventLogRetention');
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+        if (retentionInput) retentionInput.value = getEventLogRetentionDays();
+        showMessage("Retention must be between 1 and 365 days", true);
+        return;
+    }
+
+    try {
+        localStorage.setItem(EVENT_LOG_RETENTION_KEY, String(days));
+    } catch { /* no-op */ }
+    diagInfo("eventLog.retention.changed", { days });
+    void pruneEventLog().then(refreshEventLog);
+}
+
+async function logEvent(type, roomId, details = {}) {
+    const room = currentRooms.find(r => r.id === roomId);
+    const entry = {
+        type,
+        roomId,
+        roomName: room ? room.name : `Room ${roomId}`,
+        streamType: details.streamType ?? null,
+        level: typeof details.level === "number" ? details.level : null,
+        threshold: typeof details.threshold === "number" ? details.threshold : null,
+        reason: details.reason ?? null,
+        attempts: details.attempts ?? null,
+        timestamp: Date.now()
+    };
+
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(EVENT_LOG_STORE, "readwrite");
+        tx.objectStore(EVENT_LOG_STORE).add(entry);
+        await idbTransactionDone(tx);
+        scheduleEventLogRefresh();
+    } catch (err) {
+        diagWarn("eventLog.write.failed", { type, roomId, error: normalizeError(err) });
+    }
+}
+
+async function pruneEventLog() {
+    const cutoff = Date.now() - getEventLogRetentionDays() * 24 * 60 * 60 * 1000;
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(EVENT_LOG_STORE, "readwrite");
+        const range = IDBKeyRange.upperBound(cutoff, true);
+        let removed = 0;
+        tx.objectStore(EVENT_LOG_STORE).index("timestamp").openCursor(range).onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            cursor.delete();
+            removed++;
+            cursor.continue();
+        };
+        await idbTransactionDone(tx);
+        if (removed > 0) {
+            diagInfo("eventLog.pruned", { removed, cutoff: new Date(cutoff).toISOString() });
+        }
+    } catch (err) {
+        diagWarn("eventLog.prune.failed", { error: normalizeError(err) });
+    }
+}
+
+function getEventLogFilters() {
+    const roomValue = document.getElementById('eventLogRoom')?.value ?? "";
+    const fromValue = document.getElementById('eventLogFrom')?.value ?? "";
+    const toValue = document.getElementById('eventLogTo')?.value ?? "";
+    const from = fromValue ? new Date(fromValue).getTime() : NaN;
+    const to = toValue ? new Date(toValue).getTime() : NaN;
+
+    return {
+        roomId: roomValue ? parseInt(roomValue, 10) : null,
+        type: document.getElementById('eventLogType')?.value ?? "",
+        from: Number.isFinite(from) ? from : null,
+        to: Number.isFinite(to) ? to : null
+    };
+}
+
+function matchesEventLogType(entry, category) {
+    if (!category) return true;
+    return (EVENT_LOG_TYPES[entry.type]?.category ?? "connection") === category;
+}
+
+async function queryEventLog(filters) {
+    const db = await idbOpen();
+    const tx = db.transaction(EVENT_LOG_STORE, "readonly");
+    const index = tx.objectStore(EVENT_LOG_STORE).index("timestamp");
+
+    let range = null;
+    if (filters.from !== null && filters.to !== null) {
+        range = filters.from <= filters.to ? IDBKeyRange.bound(filters.from, filters.to) : null;
+        if (!range) return [];
+    } else if (filters.from !== null) {
+        range = IDBKeyRange.lowerBound(filters.from);
+    } else if (filters.to !== null) {
+        range = IDBKeyRange.upperBound(filters.to);
+    }
+
+    const all = await idbRequest(index.getAll(range));
+    return all
+        .filter(entry => filters.roomId === null || entry.roomId === filters.roomId)
+        .filter(entry => matchesEventLogType(entry, filters.type))
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+function scheduleEventLogRefresh() {
+    if (eventLogRefreshTimer) clearTimeout(eventLogRefreshTimer);
+    eventLogRefreshTimer = setTimeout(() => {
+        eventLogRefreshTimer = null;
+        void refreshEventLog();
+    }, EVENT_LOG_REFRESH_DEBOUNCE_MS);
+}
+
+async function refreshEventLog() {
+    const list = document.getElementById('eventLogList');
+    const summary = document.getElementById('eventLogSummary');
+    if (!list || !summary) return;
+
+    const filters = getEventLogFilters();
+    let entries;
+    try {
+        entries = await queryEventLog(filters);
+    } catch (err) {
+        diagWarn("eventLog.read.failed", { error: normalizeError(err) });
+        summary.textContent = "";
+        list.innerHTML = '<div class="event-log-empty">Event log is not available in this browser.</div>';
+        return;
+    }
+
+    summary.textContent = describeEventLogSummary(entries, filters);
+
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="event-log-empty">No events recorded for this selection.</div>';
+        return;
+    }
+
+    list.innerHTML = entries.slice(0, EVENT_LOG_MAX_ROWS).map(renderEventLogRow).join('');
+}
+
+function renderEventLogRow(entry) {
+    const meta = EVENT_LOG_TYPES[entry.type] ?? { label: entry.type, icon: "circle" };
+    return `
+        <div class="event-log-row">
+            <span class="event-log-time">${escapeHtml(formatEventLogTime(entry.timestamp, true))}</span>
+            <span class="event-log-icon ${escapeHtml(entry.type)}"><i class="fas fa-${meta.icon}"></i></span>
+            <span class="event-log-room">${escapeHtml(entry.roomName)}</span>
+            <span class="event-log-detail">${escapeHtml(describeEventLogEntry(entry, meta))}</span>
+        </div>
+    `;
+}
+
+function describeEventLogEntry(entry, meta) {
+    if (entry.type === "sound-alert" && entry.level !== null) {
+        const threshold = entry.threshold !== null ? ` (threshold ${entry.threshold.toFixed(1)} dB)` : "";
+        return `${meta.label}: ${entry.level.toFixed(1)} dB${threshold}`;
+    }
+
+    if (entry.type === "alert-escalated") {
+        const level = entry.level !== null ? ` at ${entry.level.toFixed(1)} dB` : "";
+        return `${meta.label}: ${entry.reason ?? "triggered"}${level}`;
+    }
+
+    const parts = [meta.label];
+    if (entry.streamType) parts.push(`${entry.streamType} stream`);
+    if (entry.attempts) parts.push(`after ${entry.attempts} attempt${entry.attempts === 1 ? "" : "s"}`);
+    return parts.join(" \u2014 ");
+}
+
+function describeEventLogSummary(entries, filters) {
+    const roomLabel = filters.roomId !== null
+        ? (currentRooms.find(r => r.id === filters.roomId)?.name ?? entries[0]?.roomName ?? `Room ${filters.roomId}`)
+        : "all rooms";
+
+    if (entries.length === 0) {
+        return `No events in ${roomLabel}`;
+    }
+
+    // Entries are newest first; fall back to the data's own span when no bounds are set
+    const from = filters.from ?? entries[entries.length - 1].timestamp;
+    const to = filters.to ?? entries[0].timestamp;
+    const sameDay = new Date(from).toDateString() === new Date(to).toDateString();
+
+    const alerts = entries.filter(e => EVENT_LOG_TYPES[e.type]?.category === "alert").length;
+    const connection = entries.length - alerts;
+    const counts = [];
+    if (alerts > 0) counts.push(`${alerts} alert${alerts === 1 ? "" : "s"}`);
+    if (connection > 0) counts.push(`${connection} connection event${connection === 1 ? "" : "s"}`);
+
+    return `${counts.join(" and ")} in ${roomLabel} between ${formatEventLogTime(from, !sameDay)} and ${formatEventLogTime(to, !sameDay)}`;
+}
+
+function formatEventLogTime(timestamp, includeDate) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return includeDate ? `${date.toLocaleDateString()} ${time}` : time;
+}
+
+function populateEventLogRoomFilter() {
+    populateRoomFilter('eventLogRoom');
+}
+
+function populateRoomFilter(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">All rooms</option>' + currentRooms
+        .map(room => `<option value="${room.id}">${escapeHtml(room.name)}</option>`)
+        .join('');
+    if ([...select.options].some(o => o.value === selected)) {
+        select.value = selected;
+    }
+}
+
+async function exportEventLog(format) {
+    let entries;
+    try {
+        entries = await queryEventLog(getEventLogFilters());
+    } catch (err) {
+        diagWarn("eventLog.export.failed", { format, error: normalizeError(err) });
+        showMessage("Could not read the event log", true);
+        return;
+    }
+
+    const rows = entries.map(entry => ({
+        time: new Date(entry.timestamp).toISOString(),
+        type: entry.type,
+        roomId: entry.roomId,
+        roomName: entry.roomName,
+        streamType: entry.streamType,
+        level: entry.level,
+        threshold: entry.threshold,
+        reason: entry.reason,
+        attempts: entry.attempts
+    }));
+
+    let content;
+    let mimeType;
+    if (format === "json") {
+        content = JSON.stringify(rows, null, 2);
+        mimeType = "application/json";
+    } else {
+        const columns = ["time", "type", "roomId", "roomName", "streamType", "level", "threshold", "reason", "attempts"];
+        content = [columns.join(","), ...rows.map(row => columns.map(c => toCsvField(row[c])).join(","))].join("\r\n");
+        mimeType = "text/csv";
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `babymonitarr-events-${stamp}.${format === "json" ? "json" : "csv"}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    diagInfo("eventLog.exported", { format, count: rows.length });
+}
+
+function toCsvField(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function clearEventLog() {
+    if (!confirm("Delete all recorded events on this device?")) return;
+
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(EVENT_LOG_STORE, "readwrite");
+        tx.objectStore(EVENT_LOG_STORE).clear();
+        await idbTransactionDone(tx);
+        diagInfo("eventLog.cleared");
+        showMessage("Event log cleared");
+    } catch (err) {
+        diagWarn("eventLog.clear.failed", { error: normalizeError(err) });
+        showMessage("Could not clear the event log", true);
+    }
+    await refreshEventLog();
+}
+
+// ===== Snapshots (captured frames, stored on this device) =====
+function initializeSnapshotGallery() {
+    const autoToggle = document.getElementById('snapshotAuto');
+    if (autoToggle) autoToggle.checked = isAutoSnapshotEnabled();
+
+    void refreshSnapshotGallery();
+}
+
+function isAutoSnapshotEnabled() {
+    try {
+        return localStorage.getItem(SNAPSHOT_AUTO_KEY) === "1";
+    } catch {
+        return false;
+    }
+}
+
+function setAutoSnapshot(enabled) {
+    try {
+        localStorage.setItem(SNAPSHOT_AUTO_KEY, enabled ? "1" : "0");
+    } catch { /* no-op */ }
+    diagInfo("snapshot.auto.changed", { enabled });
+}
+
+// Keep a picture of every alert that fires, quiet hours included
+function saveAlertSnapshot(roomId) {
+    if (isAutoSnapshotEnabled()) {
+        void saveSnapshot(roomId, "alert");
+    }
+}
+
+async function takeSnapshot(roomId) {
+    const saved = await saveSnapshot(roomId, "manual");
+    if (saved) {
+        flashSnapshotCard(roomId);
+        showMessage("Snapshot saved");
+    } else {
+        showMessage("Could not capture a snapshot", true);
+    }
+}
+
+function flashSnapshotCard(roomId) {
+    const preview = document.querySelector(`.dash-card[data-room-id="${roomId}"] .dash-card-preview`);
+    if (preview) {
+        preview.classList.add('snapshot-flash');
+        setTimeout(() => preview.classList.remove('snapshot-flash'), 400);
+    }
+}
+
+async function saveSnapshot(roomId, reason) {
+    const room = currentRooms.find(r => r.id === roomId);
+    const roomName = room ? room.name : `Room ${roomId}`;
+    const timestamp = Date.now();
+
+    let blob, thumb;
+    try {
+        ({ blob, thumb } = await captureVideoFrame(roomId, roomName, timestamp));
+    } catch (err) {
+        diagWarn("snapshot.capture.failed", { roomId, reason, error: normalizeError(err) });
+        return false;
+    }
+
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(SNAPSHOT_STORE, "readwrite");
+        tx.objectStore(SNAPSHOT_STORE).add({ roomId, roomName, reason, timestamp, blob, thumb });
+        await idbTransactionDone(tx);
+        diagInfo("snapshot.saved", { roomId, reason, bytes: blob.size });
+    } catch (err) {
+        diagWarn("snapshot.write.failed", { roomId, reason, error: normalizeError(err) });
+        return false;
+    }
+
+    await pruneSnapshots();
+    await refreshSnapshotGallery();
+    return true;
+}
+
+// Draws the current frame with a room name / time strip along the bottom; resolves to the
+// full-size JPEG and a gallery thumbnail
+async function captureVideoFrame(roomId, roomName, timestamp) {
+    const videoEl = document.getElementById(`video-${roomId}`);
+    if (!videoEl || !videoEl.srcObject || videoEl.videoWidth === 0) {
+        throw new Error("No video frame available");
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = videoEl.videoWidth;
+    canvas.height = videoEl.videoHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(videoEl, 0, 0, canvas.width, canvas.height);
+
+    const fontSize = Math.max(14, Math.round(canvas.height / 28));
+    const padding = Math.round(fontSize * 0.6);
+    const stripHeight = fontSize + padding * 2;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    ctx.fillRect(0, canvas.height - stripHeight, canvas.width, stripHeight);
+
+    ctx.font = `600 ${fontSize}px sans-serif`;
+    ctx.fillStyle = "#ffffff";
+    ctx.textBaseline = "middle";
+    const textY = canvas.height - stripHeight / 2;
+    ctx.textAlign = "left";
+    ctx.fillText(roomName, padding, textY);
+    ctx.textAlign = "right";
+    ctx.fillText(new Date(timestamp).toLocaleString(), canvas.width - padding, textY);
+
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = Math.min(SNAPSHOT_THUMB_WIDTH, canvas.width);
+    thumbCanvas.height = Math.round(canvas.height * thumbCanvas.width / canvas.width);
+    thumbCanvas.getContext('2d').drawImage(canvas, 0, 0, thumbCanvas.width, thumbCanvas.height);
+
+    return {
+        blob: await canvasToJpeg(canvas, SNAPSHOT_JPEG_QUALITY),
+        thumb: await canvasToJpeg(thumbCanvas, SNAPSHOT_THUMB_QUALITY)
+    };
+}
+
+function canvasToJpeg(canvas, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Canvas encoding failed")),
+            "image/jpeg", quality);
+    });
+}
+
+async function pruneSnapshots() {
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(SNAPSHOT_STORE, "readwrite");
+        const store = tx.objectStore(SNAPSHOT_STORE);
+        const count = await idbRequest(store.count());
+        let excess = count - SNAPSHOT_MAX_COUNT;
+        if (excess > 0) {
+            // Oldest first
+            store.index("timestamp").openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor || excess <= 0) return;
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+        }
+        await idbTransactionDone(tx);
+    } catch (err) {
+        diagWarn("snapshot.prune.failed", { error: normalizeError(err) });
+    }
+}
+
+async function querySnapshots(roomId) {
+    const db = await idbOpen();
+    const tx = db.transaction(SNAPSHOT_STORE, "readonly");
+    const all = await idbRequest(tx.objectStore(SNAPSHOT_STORE).index("timestamp").getAll());
+    return all
+        .filter(entry => roomId === null || entry.roomId === roomId)
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+async function refreshSnapshotGallery() {
+    const list = document.getElementById('snapshotList');
+    if (!list) return;
+
+    const roomValue = document.getElementById('snapshotRoom')?.value ?? "";
+    let entries;
+    try {
+        entries = await querySnapshots(roomValue ? parseInt(roomValue, 10) : null);
+    } catch (err) {
+        diagWarn("snapshot.read.failed", { error: normalizeError(err) });
+        list.innerHTML = '<div class="event-log-empty">Snapshots are not available in this browser.</div>';
+        return;
+    }
+
+    // New snapshots shift the list; keep an open viewer on the same image
+    const viewedId = snapshotViewerIndex !== null ? snapshotEntries[snapshotViewerIndex]?.id : undefined;
+
+    // Keep the URLs of entries still listed; only new ones get a URL, and removed ones are released
+    const listedIds = new Set(entries.map(entry => entry.id));
+    for (const [id, url] of snapshotThumbUrls) {
+        if (!listedIds.has(id)) {
+            URL.revokeObjectURL(url);
+            snapshotThumbUrls.delete(id);
+        }
+    }
+    for (const entry of entries) {
+        if (!snapshotThumbUrls.has(entry.id)) {
+            // Snapshots saved before thumbnails existed fall back to the full image
+            snapshotThumbUrls.set(entry.id, URL.createObjectURL(entry.thumb ?? entry.blob));
+        }
+    }
+    snapshotEntries = entries;
+
+    const viewedIndex = entries.findIndex(entry => entry.id === viewedId);
+    if (viewedIndex >= 0 && viewedIndex !== snapshotViewerIndex) {
+        openSnapshotViewer(viewedIndex);
+    }
+
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="event-log-empty">No snapshots saved yet.</div>';
+        return;
+    }
+
+    list.innerHTML = entries.map((entry, index) => `
+        <button class="snapshot-thumb" onclick="openSnapshotViewer(${index})" title="${escapeHtml(describeSnapshot(entry))}">
+            <img src="${snapshotThumbUrls.get(entry.id)}" alt="" loading="lazy" />
+            <span class="snapshot-thumb-label">
+                ${entry.reason === "alert" ? '<i class="fas fa-bell"></i>' : ''}
+                ${escapeHtml(entry.roomName)} &middot; ${escapeHtml(formatEventLogTime(entry.timestamp, true))}
+            </span>
+        </button>
+    `).join('');
+}
+
+function describeSnapshot(entry) {
+    const kind = entry.reason === "alert" ? "Alert snapshot" : "Snapshot";
+    return `${kind} \u2014 ${entry.roomName}, ${new Date(entry.timestamp).toLocaleString()}`;
+}
+
+function openSnapshotViewer(index) {
+    const entry = snapshotEntries[index];
+    const viewer = document.getElementById('snapshotViewer');
+    if (!entry || !viewer) return;
+
+    snapshotViewerIndex = index;
+    if (snapshotViewerUrl) URL.revokeObjectURL(snapshotViewerUrl);
+    snapshotViewerUrl = URL.createObjectURL(entry.blob);
+
+    document.getElementById('snapshotViewerImage').src = snapshotViewerUrl;
+    document.getElementById('snapshotViewerCaption').textContent = describeSnapshot(entry);
+    document.getElementById('snapshotViewerPrev').disabled = index === 0;
+    document.getElementById('snapshotViewerNext').disabled = index === snapshotEntries.length - 1;
+    viewer.style.display = '';
+}
+
+function stepSnapshotViewer(delta) {
+    if (snapshotViewerIndex === null) return;
+    const next = snapshotViewerIndex + delta;
+    if (next >= 0 && next < snapshotEntries.length) {
+        openSnapshotViewer(next);
+    }
+}
+
+function closeSnapshotViewer() {
+    const viewer = document.getElementById('snapshotViewer');
+    if (viewer) viewer.style.display = 'none';
+    if (snapshotViewerUrl) URL.revokeObjectURL(snapshotViewerUrl);
+    snapshotViewerUrl = null;
+    snapshotViewerIndex = null;
+}
+
+function downloadSnapshot() {
+    const entry = snapshotEntries[snapshotViewerIndex];
+    if (!entry || !snapshotViewerUrl) return;
+
+    const stamp = new Date(entry.timestamp).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    const safeName = entry.roomName.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() || `room-${entry.roomId}`;
+    const link = document.createElement('a');
+    link.href = snapshotViewerUrl;
+    link.download = `babymonitarr-${safeName}-${stamp}.jpg`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+async function deleteSnapshot() {
+    const entry = snapshotEntries[snapshotViewerIndex];
+    if (!entry || !confirm("Delete this snapshot?")) return;
+
+    const index = snapshotViewerIndex;
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(SNAPSHOT_STORE, "readwrite");
+        tx.objectStore(SNAPSHOT_STORE).delete(entry.id);
+        await idbTransactionDone(tx);
+        diagInfo("snapshot.deleted", { roomId: entry.roomId });
+    } catch (err) {
+        diagWarn("snapshot.delete.failed", { error: normalizeError(err) });
+        showMessage("Could not delete the snapshot", true);
+        return;
+    }
+
+    await refreshSnapshotGallery();
+    if (snapshotEntries.length === 0) {
+        closeSnapshotViewer();
+    } else {
+        openSnapshotViewer(Math.min(index, snapshotEntries.length - 1));
+    }
+}
+
+document.addEventListener('keydown', (e) => {
+    if (snapshotViewerIndex === null) return;
+    if (e.key === 'Escape') closeSnapshotViewer();
+    else if (e.key === 'ArrowLeft') stepSnapshotViewer(-1);
+    else if (e.key === 'ArrowRight') stepSnapshotViewer(1);
+});
+
+// ===== Alert Clips (rolling recording around sound alerts) =====
+function initializeAlertClips() {
+    const toggle = document.getElementById('clipEnabled');
+    if (toggle) {
+        toggle.checked = isClipRecordingEnabled();
+        toggle.disabled = !('MediaRecorder' in window);
+    }
+
+    void refreshClipList();
+    openNotificationLink(window.location.href);
+
+    // Notification clicks on an already open dashboard arrive from the service worker
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+        if (event.data?.type === 'NOTIFICATION_CLICK' && event.data.url) {
+            openNotificationLink(event.data.url);
+        }
+    });
+}
+
+function isClipRecordingEnabled() {
+    try {
+        return localStorage.getItem(CLIP_ENABLED_KEY) === "1";
+    } catch {
+        return false;
+    }
+}
+
+function setClipRecording(enabled) {
+    try {
+        localStorage.setItem(CLIP_ENABLED_KEY, enabled ? "1" : "0");
+    } catch { /* no-op */ }
+    diagInfo("clip.recording.changed", { enabled });
+
+    for (const roomId of monitoringRooms) {
+        if (enabled) {
+            startClipRecorder(roomId);
+        } else {
+            stopClipRecorder(roomId, "disabled");
+        }
+    }
+}
+
+function pickClipMimeType(hasVideo) {
+    const candidates = hasVideo
+        ? ["video/webm;codecs=vp8,opus", "video/webm", "video/mp4"]
+        : ["audio/webm;codecs=opus", "audio/webm", "audio/mp4"];
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) ?? "";
+}
+
+// (Re)starts recording whenever a room's tracks change; buffered segments are kept
+function startClipRecorder(roomId) {
+    if (!isClipRecordingEnabled() || !('MediaRecorder' in window)) return;
+
+    const videoTrack = videoTracks[roomId];
+    const tracks = [
+        ...(videoTrack && videoTrack.readyState === 'live' ? [videoTrack] : []),
+        ...(audioElements[roomId]?.srcObject?.getAudioTracks() ?? [])
+    ];
+    if (tracks.length === 0) return;
+
+    const state = clipRecorders[roomId] ?? { segments: [], pending: [], recorder: null, rotateTimer: null };
+    clipRecorders[roomId] = state;
+
+    clearTimeout(state.rotateTimer);
+    if (state.recorder && state.recorder.state !== 'inactive') {
+        state.recorder.stop();
+    }
+
+    state.stream = new MediaStream(tracks);
+    state.mimeType = pickClipMimeType(!!videoTrack);
+    startClipSegment(roomId, state);
+}
+
+function startClipSegment(roomId, state) {
+    let recorder;
+    try {
+        recorder = new MediaRecorder(state.stream, {
+            mimeType: state.mimeType || undefined,
+            videoBitsPerSecond: CLIP_VIDEO_BITS_PER_SECOND,
+            audioBitsPerSecond: CLIP_AUDIO_BITS_PER_SECOND
+        });
+    } catch (err) {
+        diagWarn("clip.recorder.failed", { roomId, mimeType: state.mimeType, error: normalizeError(err) });
+        state.recorder = null;
+        return;
+    }
+
+    const segment = { start: Date.now(), end: null, chunks: [] };
+    recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) segment.chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+        segment.end = Date.now();
+        if (segment.chunks.length > 0) {
+            state.segments.push({
+                start: segment.start,
+                end: segment.end,
+                blob: new Blob(segment.chunks, { type: recorder.mimeType || state.mimeType })
+            });
+        }
+        processPendingClips(roomId, state);
+        trimClipSegments(state);
+    };
+    recorder.onerror = (e) => {
+        diagWarn("clip.recorder.error", { roomId, error: normalizeError(e.error ?? e) });
+    };
+
+    recorder.start();
+    state.recorder = recorder;
+    state.rotateTimer = setTimeout(() => rotateClipSegment(roomId, state), CLIP_SEGMENT_MS);
+}
+
+function rotateClipSegment(roomId, state) {
+    clearTimeout(state.rotateTimer);
+    if (state.recorder && state.recorder.state !== 'inactive') {
+        state.recorder.stop();  // onstop stores the segment and saves ready clips
+    } else {
+        processPendingClips(roomId, state);
+    }
+
+    // Tracks end during a reconnect; the next ontrack restarts recording
+    const live = state.stream?.getTracks().some(t => t.readyState === 'live');
+    if (clipRecorders[roomId] === state && live) {
+        startClipSegment(roomId, state);
+    } else {
+        state.recorder = null;
+    }
+}
+
+// Keeps the rolling buffer, plus whatever an unsaved clip still needs
+function trimClipSegments(state) {
+    const cutoff = Math.min(
+        Date.now() - CLIP_BUFFER_MS,
+        ...state.pending.map(p => p.alertAt - CLIP_PREROLL_MS)
+    );
+    state.segments = state.segments.filter(segment => segment.end >= cutoff);
+}
+
+// Returns the clip key a notification can link to, or null when not recording
+function captureAlertClip(roomId, level) {
+    const state = clipRecorders[roomId];
+    if (!state || !state.recorder) return null;
+
+    // Alerts during another clip's post-roll are already covered by it
+    const open = state.pending.find(p => !p.ready);
+    if (open) return open.key;
+
+    const alertAt = Date.now();
+    const pending = { key: `${roomId}-${alertAt}`, alertAt, level, ready: false };
+    pending.timer = setTimeout(() => {
+        pending.ready = true;
+        rotateClipSegment(roomId, state);
+    }, CLIP_POSTROLL_MS);
+    state.pending.push(pending);
+
+    diagInfo("clip.capture.started", { roomId, key: pending.key });
+    return pending.key;
+}
+
+function processPendingClips(roomId, state) {
+    for (const pending of state.pending.filter(p => p.ready)) {
+        const parts = state.segments.filter(segment =>
+            segment.end > pending.alertAt - CLIP_PREROLL_MS && segment.start < pending.alertAt + CLIP_POSTROLL_MS);
+        state.pending = state.pending.filter(p => p !== pending);
+        if (parts.length > 0) {
+            void saveAlertClip(roomId, pending, parts);
+        }
+    }
+}
+
+function stopClipRecorder(roomId, reason) {
+    const state = clipRecorders[roomId];
+    if (!state) return;
+    delete clipRecorders[roomId];
+
+    clearTimeout(state.rotateTimer);
+    for (const pending of state.pending) {
+        clearTimeout(pending.timer);
+        pending.ready = true;
+    }
+
+    // The final onstop saves pending clips from what was recorded; then the buffer is dropped
+    if (state.recorder && state.recorder.state !== 'inactive') {
+        const recorder = state.recorder;
+        const finish = recorder.onstop;
+        recorder.onstop = () => {
+            finish();
+            state.segments = [];
+        };
+        recorder.stop();
+    } else {
+        processPendingClips(roomId, state);
+        state.segments = [];
+    }
+    state.recorder = null;
+    state.stream = null;
+    diagInfo("clip.recorder.stopped", { roomId, reason });
+}
+
+async function saveAlertClip(roomId, pending, parts) {
+    const room = currentRooms.find(r => r.id === roomId);
+    const clip = {
+        key: pending.key,
+        roomId,
+        roomName: room ? room.name : `Room ${roomId}`,
+        timestamp: pending.alertAt,
+        level: pending.level,
+        mimeType: parts[0].blob.type,
+        parts: parts.map(part => part.blob),
+        size: parts.reduce((sum, part) => sum + part.blob.size, 0),
+        durationMs: parts.reduce((sum, part) => sum + (part.end - part.start), 0)
+    };
+
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(CLIP_STORE, "readwrite");
+        tx.objectStore(CLIP_STORE).add(clip);
+        await idbTransactionDone(tx);
+        diagInfo("clip.saved", { roomId, key: clip.key, parts: clip.parts.length, bytes: clip.size });
+    } catch (err) {
+        diagWarn("clip.write.failed", { roomId, key: clip.key, error: normalizeError(err) });
+        return;
+    }
+
+    await pruneAlertClips();
+    await refreshClipList();
+
+    if (pendingClipOpenKey === clip.key) {
+        pendingClipOpenKey = null;
+        void openClipByKey(clip.key);
+    }
+}
+
+// Drops the oldest clips beyond the count and total size limits
+async function pruneAlertClips() {
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(CLIP_STORE, "readwrite");
+        const store = tx.objectStore(CLIP_STORE);
+        const clips = await idbRequest(store.index("timestamp").getAll());
+
+        let count = clips.length;
+        let total = clips.reduce((sum, clip) => sum + (clip.size ?? 0), 0);
+        let removed = 0;
+        for (const clip of clips) {
+            if (count <= CLIP_MAX_COUNT && total <= CLIP_MAX_TOTAL_BYTES) break;
+            store.delete(clip.id);
+            count--;
+            total -= clip.size ?? 0;
+            removed++;
+        }
+        await idbTransactionDone(tx);
+        if (removed > 0) {
+            diagInfo("clip.pruned", { removed, remaining: count, bytes: total });
+        }
+    } catch (err) {
+        diagWarn("clip.prune.failed", { error: normalizeError(err) });
+    }
+}
+
+async function refreshClipList() {
+    const list = document.getElementById('clipList');
+    const summary = document.getElementById('clipSummary');
+    if (!list) return;
+
+    const roomValue = document.getElementById('clipRoom')?.value ?? "";
+    const roomId = roomValue ? parseInt(roomValue, 10) : null;
+    let clips;
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(CLIP_STORE, "readonly");
+        clips = await idbRequest(tx.objectStore(CLIP_STORE).index("timestamp").getAll());
+    } catch (err) {
+        diagWarn("clip.read.failed", { error: normalizeError(err) });
+        list.innerHTML = '<div class="event-log-empty">Alert clips are not available in this browser.</div>';
+        return;
+    }
+
+    const totalBytes = clips.reduce((sum, clip) => sum + (clip.size ?? 0), 0);
+    if (summary) {
+        summary.textContent = `${clips.length} clip${clips.length === 1 ? "" : "s"}, ${formatBytes(totalBytes)} of ${formatBytes(CLIP_MAX_TOTAL_BYTES)} used`;
+    }
+
+    clipEntries = clips
+        .filter(clip => roomId === null || clip.roomId === roomId)
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+    if (clipEntries.length === 0) {
+        list.innerHTML = '<div class="event-log-empty">No alert clips saved yet.</div>';
+        return;
+    }
+
+    list.innerHTML = clipEntries.map((clip, index) => `
+        <div class="event-log-row">
+            <span class="event-log-time">${escapeHtml(formatEventLogTime(clip.timestamp, true))}</span>
+            <span class="event-log-icon sound-alert"><i class="fas fa-${clip.mimeType.startsWith('audio/') ? 'microphone' : 'film'}"></i></span>
+            <span class="event-log-room">${escapeHtml(clip.roomName)}</span>
+            <span class="event-log-detail">${escapeHtml(describeClip(clip))}</span>
+            <button class="btn-event-log" onclick="openClipViewer(${index})" title="Play"><i class="fas fa-play"></i></button>
+            <button class="btn-event-log" onclick="downloadClip(${index})" title="Download"><i class="fas fa-download"></i></button>
+            <button class="btn-event-log danger" onclick="deleteClip(${index})" title="Delete"><i class="fas fa-trash"></i></button>
+        </div>
+    `).join('');
+}
+
+function describeClip(clip) {
+    const level = typeof clip.level === "number" ? `${clip.level.toFixed(1)} dB, ` : "";
+    return `${level}${Math.round(clip.durationMs / 1000)} s, ${formatBytes(clip.size)}`;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// Handles #clip=<key> and #action=<action>&room=<id> links from notifications
+function openNotificationLink(url) {
+    let params;
+    try {
+        params = new URLSearchParams(new URL(url, window.location.origin).hash.slice(1));
+    } catch {
+        return;
+    }
+
+    const key = params.get("clip");
+    const action = params.get("action");
+    if (!key && !action) return;
+
+    history.replaceState(null, "", window.location.pathname + window.location.search);
+    if (key) {
+        void openClipByKey(key);
+    }
+    if (action) {
+        void handleNotificationAction(action, parseInt(params.get("room"), 10));
+    }
+}
+
+async function openClipByKey(key) {
+    let clip;
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(CLIP_STORE, "readonly");
+        clip = await idbRequest(tx.objectStore(CLIP_STORE).index("key").get(key));
+    } catch (err) {
+        diagWarn("clip.read.failed", { key, error: normalizeError(err) });
+    }
+
+    if (!clip) {
+        // Still in its post-roll on this page; open it once saved
+        const recording = Object.values(clipRecorders).some(state => state.pending.some(p => p.key === key));
+        if (recording) {
+            pendingClipOpenKey = key;
+            showMessage("The clip is still recording and will open when it is saved");
+        } else {
+            showMessage("That clip is no longer stored on this device", true);
+        }
+        return;
+    }
+
+    showClip(clip);
+}
+
+function openClipViewer(index) {
+    const clip = clipEntries[index];
+    if (clip) showClip(clip);
+}
+
+// Clips are stored as self-contained segments, played back to back
+function showClip(clip) {
+    const viewer = document.getElementById('clipViewer');
+    const video = document.getElementById('clipViewerVideo');
+    if (!viewer || !video) return;
+
+    closeClipViewer();
+    clipViewer = { clip, part: 0, url: null };
+    document.getElementById('clipViewerCaption').textContent =
+        `Alert clip \u2014 ${clip.roomName}, ${new Date(clip.timestamp).toLocaleString()}`;
+    video.onended = () => playClipPart(clipViewer ? clipViewer.part + 1 : 0);
+    viewer.style.display = '';
+    playClipPart(0);
+}
+
+function playClipPart(part) {
+    const video = document.getElementById('clipViewerVideo');
+    if (!clipViewer || !video || part >= clipViewer.clip.parts.length) return;
+
+    if (clipViewer.url) URL.revokeObjectURL(clipViewer.url);
+    clipViewer.part = part;
+    clipViewer.url = URL.createObjectURL(clipViewer.clip.parts[part]);
+    video.src = clipViewer.url;
+    video.play().catch(() => { /* controls remain available */ });
+}
+
+function closeClipViewer() {
+    const viewer = document.getElementById('clipViewer');
+    const video = document.getElementById('clipViewerVideo');
+    if (video) {
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+    }
+    if (viewer) viewer.style.display = 'none';
+    if (clipViewer?.url) URL.revokeObjectURL(clipViewer.url);
+    clipViewer = null;
+}
+
+function downloadClip(index) {
+    const clip = clipEntries[index];
+    if (!clip) return;
+
+    const extension = clip.mimeType.includes("mp4") ? "mp4" : "webm";
+    const stamp = new Date(clip.timestamp).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    const safeName = clip.roomName.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() || `room-${clip.roomId}`;
+
+    clip.parts.forEach((blob, part) => {
+        const suffix = clip.parts.length > 1 ? `-part${part + 1}` : "";
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `babymonitarr-${safeName}-${stamp}${suffix}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+}
+
+async function deleteClip(index) {
+    const clip = clipEntries[index];
+    if (!clip || !confirm("Delete this clip?")) return;
+
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(CLIP_STORE, "readwrite");
+        tx.objectStore(CLIP_STORE).delete(clip.id);
+        await idbTransactionDone(tx);
+        diagInfo("clip.deleted", { roomId: clip.roomId, key: clip.key });
+    } catch (err) {
+        diagWarn("clip.delete.failed", { error: normalizeError(err) });
+        showMessage("Could not delete the clip", true);
+        return;
+    }
+
+    if (clipViewer?.clip.id === clip.id) closeClipViewer();
+    await refreshClipList();
+}
+
+async function clearAlertClips() {
+    if (!confirm("Delete all alert clips on this device?")) return;
+
+    try {
+        const db = await idbOpen();
+        const tx = db.transaction(CLIP_STORE, "readwrite");
+        tx.objectStore(CLIP_STORE).clear();
+        await idbTransactionDone(tx);
+        diagInfo("clip.cleared");
+        showMessage("Alert clips cleared");
+    } catch (err) {
+        diagWarn("clip.clear.failed", { error: normalizeError(err) });
+        showMessage("Could not clear alert clips", true);
+    }
+    closeClipViewer();
+    await refreshClipList();
+}
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && clipViewer) closeClipViewer();
+});
+
+// ===== Navigate to Configure =====
+function navigateToConfigure(roomId) {
+    window.location.href = `/Home/Index?editRoom=${roomId}`;
+}
+
+// ===== Toast Message =====
+function showMessage(message, isError = false) {
+    const messageElement = document.getElementById('settingsMessage');
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.className = 'settings-toast ' + (isError ? 'error' : 'success');
+    messageElement.style.display = 'block';
+
+    setTimeout(() => {
+        messageElement.style.display = 'none';
+    }, 3000);
+}
+
+// ===== PWA: Notification Permission =====
+function pwaRequestNotificationPermission() {
+    if (!('Notification' in window)) return;
+    if (Notification.permission === 'default') {
+        Notification.requestPermission().then((result) => {
+            diagInfo("pwa.notification.permission", { result });
+        });
+    }
+}
+
+// ===== PWA: Sound Alert Handler =====
+function handleSoundAlert(roomId, level, threshold, clipKey = null) {
+    // Rooms with custom rules are alerted by evaluateAlertRules instead
+    if (getAlertRuleState(roomId)) return;
+
+    if (isRoomSnoozed(roomId)) {
+        diagInfo("alert.snoozed", { roomId, until: alertSnoozes[roomId] });
+        return;
+    }
+
+    if (!passesSoundFilter(roomId)) {
+        diagInfo("alert.filtered", { roomId, label: soundClassifiers[roomId]?.label ?? null });
+        return;
+    }
+
+    const now = Date.now();
+    if (pwaLastAlertTime[roomId] && (now - pwaLastAlertTime[roomId]) < PWA_ALERT_COOLDOWN_MS) {
+        return; // Still in cooldown
+    }
+    pwaLastAlertTime[roomId] = now;
+
+    const room = currentRooms.find(r => r.id === roomId);
+    const roomName = room ? room.name : `Room ${roomId}`;
+
+    // Visual alert — flash card
+    flashAlertCard(roomId);
+
+    saveAlertSnapshot(roomId);
+
+    // Quiet hours keep the flash but silence vibration and notifications
+    const quietReason = getQuietHoursReason(roomId);
+    if (quietReason) {
+        diagInfo("alert.silenced", { roomId, reason: quietReason });
+        return;
+    }
+
+    // Vibrate (Android Chrome)
+    vibrateAlert();
+
+    // Local alarm tone, audible even when the room audio is muted
+    if (alarmSettings.enabled) {
+        startAlarm(roomId);
+    }
+
+    // System notification via service worker
+    pwaShowNotification(
+        `Sound Alert \u2014 ${roomName}`,
+        `Sound level at ${level.toFixed(1)} dB exceeds threshold (${threshold.toFixed(1)} dB)`,
+        `sound-alert-${roomId}`,
+        clipKey ? { roomId, url: `/#clip=${encodeURIComponent(clipKey)}` } : { roomId }
+    );
+}
+
+function flashAlertCard(roomId) {
+    const card = document.querySelector(`.dash-card[data-room-id="${roomId}"]`);
+    if (card) {
+        card.classList.add('alerting');
+        setTimeout(() => card.classList.remove('alerting'), 2000);
+    }
+}
+
+function vibrateAlert() {
+    if (navigator.vibrate) {
+        navigator.vibrate([0, 200, 100, 200, 100, 400]);
+    }
+}
+
+// ===== Alert Rules Engine =====
+function parseAlertRules(json) {
+    if (!json) return null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch {
+        return null;
+    }
+    if (!parsed || parsed.enabled === false || !Array.isArray(parsed.rules)) return null;
+
+    const rules = parsed.rules.filter(rule =>
+        rule && Number.isFinite(rule.levelDb) && (
+            (rule.type === "sustained" && rule.durationSeconds > 0) ||
+            (rule.type === "spikes" && rule.count > 0 && rule.windowMinutes > 0)
+        ));
+    if (rules.length === 0) return null;
+
+    return {
+        rules,
+        escalation: { ...DEFAULT_ALERT_ESCALATION, ...(parsed.escalation ?? {}) }
+    };
+}
+
+function getAlertRuleState(roomId) {
+    const room = currentRooms.find(r => r.id === roomId);
+    const source = room?.alertRulesJson ?? null;
+
+    // Rebuild trackers whenever the room's rules were edited
+    let state = alertRuleState[roomId];
+    if (!state || state.source !== source) {
+        const config = parseAlertRules(source);
+        state = {
+            source,
+            config,
+            trackers: config ? config.rules.map(() => ({ since: null, above: false, times: [] })) : [],
+            episode: null
+        };
+        alertRuleState[roomId] = state;
+    }
+    return state.config ? state : null;
+}
+
+function describeAlertRule(rule) {
+    if (rule.type === "sustained") {
+        return `above ${rule.levelDb} dB for ${rule.durationSeconds}s`;
+    }
+    return `${rule.count} spikes above ${rule.levelDb} dB within ${rule.windowMinutes} min`;
+}
+
+function evaluateAlertRules(roomId, level) {
+    if (typeof level !== "number" || !Number.isFinite(level)) return;
+    const state = getAlertRuleState(roomId);
+    if (!state) return;
+
+    const now = Date.now();
+    let matched = null;
+
+    state.config.rules.forEach((rule, index) => {
+        const tracker = state.trackers[index];
+        const above = level >= rule.levelDb;
+
+        if (rule.type === "sustained") {
+            if (!above) {
+                tracker.since = null;
+                return;
+            }
+            tracker.since ??= now;
+            if (now - tracker.since >= rule.durationSeconds * 1000) matched ??= rule;
+        } else {
+            // A spike is a crossing from below to above the level
+            if (above && !tracker.above) tracker.times.push(now);
+            tracker.above = above;
+
+            const cutoff = now - rule.windowMinutes * 60 * 1000;
+            while (tracker.times.length > 0 && tracker.times[0] < cutoff) {
+                tracker.times.shift();
+            }
+            if (tracker.times.length >= rule.count) matched ??= rule;
+        }
+    });
+
+    if (matched && !passesSoundFilter(roomId)) {
+        matched = null;
+    }
+
+    if (matched) {
+        escalateAlert(roomId, state, matched, level, now);
+    } else if (state.episode && now - state.episode.lastMatchAt >= state.config.escalation.quietResetSeconds * 1000) {
+        diagInfo("alert.rules.episode.ended", {
+            roomId,
+            durationMs: now - state.episode.startedAt
+        });
+        state.episode = null;
+    }
+}
+
+function escalateAlert(roomId, state, rule, level, now) {
+    const escalation = state.config.escalation;
+    if (!state.episode) {
+        state.episode = { startedAt: now, lastMatchAt: now, lastFlashAt: 0, notified: false, sirened: false };
+        diagInfo("alert.rules.episode.started", { roomId, rule: describeAlertRule(rule), level });
+    }
+
+    const episode = state.episode;
+    episode.lastMatchAt = now;
+    const elapsedMs = now - episode.startedAt;
+
+    if (now - episode.lastFlashAt >= ALERT_FLASH_REPEAT_MS) {
+        episode.lastFlashAt = now;
+        flashAlertCard(roomId);
+    }
+
+    const room = currentRooms.find(r => r.id === roomId);
+    const roomName = room ? room.name : `Room ${roomId}`;
+
+    // Stages are still marked as reached so they don't fire late when quiet hours end mid-episode
+    const quietReason = getQuietHoursReason(roomId);
+
+    if (!episode.notified && elapsedMs >= escalation.notifyAfterSeconds * 1000) {
+        episode.notified = true;
+        saveAlertSnapshot(roomId);
+        if (!quietReason) {
+            vibrateAlert();
+            if (alarmSettings.enabled) startAlarm(roomId);
+            pwaShowNotification(
+                `Sound Alert \u2014 ${roomName}`,
+                `Noise ${describeAlertRule(rule)} (now ${level.toFixed(1)} dB)`,
+                `sound-alert-${roomId}`,
+                { roomId }
+            );
+        }
+        logEvent("alert-escalated", roomId, {
+            level,
+            reason: `notification${quietReason ? ` (silenced: ${quietReason})` : ""}, ${describeAlertRule(rule)}`
+        });
+    }
+
+    if (escalation.sirenEnabled && !episode.sirened && elapsedMs >= escalation.sirenAfterSeconds * 1000) {
+        episode.sirened = true;
+        if (!quietReason) {
+            startAlarm(roomId, "siren");
+        }
+        logEvent("alert-escalated", roomId, {
+            level,
+            reason: `siren${quietReason ? ` (silenced: ${quietReason})` : ""}, ${describeAlertRule(rule)}`
+        });
+    }
+}
+
+// ===== Sound Classification (cry / speech / steady noise / silence) =====
+// A small spectral heuristic, no model download: infant cries are strongly voiced with a
+// fundamental around 250-700 Hz, adult speech sits lower, appliances and traffic are
+// unvoiced and either spectrally flat or steady in level.
+function loadCryOnlyRooms() {
+    try {
+        const ids = JSON.parse(localStorage.getItem(CLASSIFIER_STORAGE_KEY) || "[]");
+        return new Set(Array.isArray(ids) ? ids.filter(Number.isInteger) : []);
+    } catch {
+        return new Set();
+    }
+}
+
+function saveCryOnlyRooms() {
+    try {
+        localStorage.setItem(CLASSIFIER_STORAGE_KEY, JSON.stringify([...cryOnlyRooms]));
+    } catch { /* no-op */ }
+}
+
+function toggleCryOnly(roomId) {
+    if (cryOnlyRooms.has(roomId)) {
+        cryOnlyRooms.delete(roomId);
+        stopSoundClassifier(roomId);
+    } else {
+        cryOnlyRooms.add(roomId);
+        primeAlertAudio();
+        const stream = audioElements[roomId]?.srcObject;
+        if (stream) startSoundClassifier(roomId, stream);
+    }
+    saveCryOnlyRooms();
+    diagInfo("classifier.cryOnly.toggled", { roomId, enabled: cryOnlyRooms.has(roomId) });
+    updateCryOnlyButton(roomId);
+    updateSoundClassBadge(roomId);
+}
+
+function renderCryOnlyButtonContent(roomId) {
+    const enabled = cryOnlyRooms.has(roomId);
+    return `<i class="fas fa-${enabled ? 'filter' : 'wave-square'}"></i> ${enabled ? 'Cry Only' : 'Any Sound'}`;
+}
+
+function updateCryOnlyButton(roomId) {
+    const card = document.querySelector(`.dash-card[data-room-id="${roomId}"]`);
+    const button = card?.querySelector('.btn-dash-filter');
+    if (!button) return;
+    button.classList.toggle('active', cryOnlyRooms.has(roomId));
+    button.innerHTML = renderCryOnlyButtonContent(roomId);
+}
+
+// Alerts pass unless the room is "cry only" and no cry was heard recently
+function passesSoundFilter(roomId) {
+    if (!cryOnlyRooms.has(roomId)) return true;
+    const classifier = soundClassifiers[roomId];
+    if (!classifier) return true; // analyser unavailable: never drop alerts silently
+    return Date.now() - classifier.lastCryAt <= CLASSIFIER_CRY_HOLD_MS;
+}
+
+function startSoundClassifier(roomId, stream) {
+    stopSoundClassifier(roomId);
+    primeAlertAudio();
+    if (!alertAudioContext || !stream || stream.getAudioTracks().length === 0) return;
+
+    const ctx = alertAudioContext;
+    try {
+        const source = ctx.createMediaStreamSource(stream);
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = 2048;
+        analyser.smoothingTimeConstant = 0;
+
+        // Some browsers only pull nodes that reach the destination
+        const sink = ctx.createGain();
+        sink.gain.value = 0;
+        source.connect(analyser).connect(sink).connect(ctx.destination);
+
+        const classifier = {
+            source,
+            analyser,
+            sink,
+            timeData: new Float32Array(analyser.fftSize),
+            freqData: new Float32Array(analyser.frequencyBinCount),
+            frames: [],
+            label: null,
+            lastCryAt: 0,
+            timer: null
+        };
+        classifier.timer = setInterval(() => analyseSoundFrame(roomId, classifier), CLASSIFIER_FRAME_INTERVAL_MS);
+        soundClassifiers[roomId] = classifier;
+
+        diagInfo("classifier.started", { roomId, sampleRate: ctx.sampleRate });
+    } catch (err) {
+        diagWarn("classifier.start.failed", { roomId, error: normalizeError(err) });
+    }
+}
+
+function stopSoundClassifier(roomId) {
+    const classifier = soundClassifiers[roomId];
+    if (!classifier) return;
+
+    clearInterval(classifier.timer);
+    classifier.source.disconnect();
+    classifier.analyser.disconnect();
+    classifier.sink.disconnect();
+    delete soundClassifiers[roomId];
+    diagInfo("classifier.stopped", { roomId });
+}
+
+function analyseSoundFrame(roomId, classifier) {
+    classifier.frames.push(extractSoundFeatures(classifier, alertAudioContext.sampleRate));
+    if (classifier.frames.length < CLASSIFIER_SEGMENT_FRAMES) return;
+
+    const label = classifySoundSegment(classifier.frames);
+    classifier.frames = [];
+
+    if (label === "cry") classifier.lastCryAt = Date.now();
+    if (label !== classifier.label) {
+        classifier.label = label;
+        diagInfo("classifier.label", { roomId, label });
+        updateSoundClassBadge(roomId);
     }
 }
 
-// ===== Card Meter Updates =====
-function updateCardMeter(roomId, level) {
-    const meter = document.getElementById(`meter-${roomId}`);
-    const dbLabel = document.getElementById(`dbLevel-${roomId}`);
+function extractSoundFeatures(classifier, sampleRate) {
+    const { analyser, timeData, freqData } = classifier;
+    analyser.getFloatTimeDomainData(timeData);
+    analyser.getFloatFrequencyData(freqData);
+
+    let energy = 0;
+    for (let i = 0; i < timeData.length; i++) energy += timeData[i] * timeData[i];
+    const rms = Math.sqrt(energy / timeData.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+
+    // Spectral flatness between 100 Hz and 8 kHz (1 = white noise, 0 = pure tone)
+    const binHz = sampleRate / analyser.fftSize;
+    const firstBin = Math.max(1, Math.floor(100 / binHz));
+    const lastBin = Math.min(freqData.length - 1, Math.ceil(8000 / binHz));
+    let logSum = 0;
+    let linearSum = 0;
+    for (let i = firstBin; i <= lastBin; i++) {
+        const power = Math.pow(10, freqData[i] / 10) + 1e-12;
+        logSum += Math.log(power);
+        linearSum += power;
+    }
+    const bins = lastBin - firstBin + 1;
+    const flatness = Math.exp(logSum / bins) / (linearSum / bins);
 
-    const minDb = -90;
-    const percentage = 100 - Math.max(0, Math.min(100, ((level - 0) / minDb) * 100));
+    const { f0, periodicity } = db > CLASSIFIER_SILENCE_DB
+        ? estimatePitch(timeData, sampleRate)
+        : { f0: 0, periodicity: 0 };
+
+    return { db, flatness, f0, periodicity };
+}
 
-    if (meter) {
-        meter.style.width = percentage + '%';
+// Normalised autocorrelation on a 2x decimated frame, 80-1000 Hz
+function estimatePitch(samples, sampleRate) {
+    const step = 2;
+    const rate = sampleRate / step;
+    const length = Math.floor(samples.length / step);
+    const minLag = Math.floor(rate / 1000);
+    const maxLag = Math.min(length - 1, Math.ceil(rate / 80));
+
+    let zeroLag = 0;
+    for (let i = 0; i < length; i++) {
+        const v = samples[i * step];
+        zeroLag += v * v;
     }
+    if (zeroLag === 0) return { f0: 0, periodicity: 0 };
+
+    let bestLag = 0;
+    let best = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i + lag < length; i++) {
+            sum += samples[i * step] * samples[(i + lag) * step];
+        }
+        const normalized = sum / zeroLag;
+        if (normalized > best) {
+            best = normalized;
+            bestLag = lag;
+        }
+    }
+
+    return bestLag > 0 ? { f0: rate / bestLag, periodicity: best } : { f0: 0, periodicity: 0 };
+}
+
+function classifySoundSegment(frames) {
+    const audible = frames.filter(f => f.db > CLASSIFIER_SILENCE_DB);
+    if (audible.length < frames.length / 2) return "silence";
+
+    const voiced = audible.filter(f => f.periodicity >= 0.45);
+    const voicedRatio = voiced.length / audible.length;
+    const f0s = voiced.map(f => f.f0).sort((a, b) => a - b);
+    const medianF0 = f0s.length > 0 ? f0s[Math.floor(f0s.length / 2)] : 0;
+
+    const meanDb = audible.reduce((sum, f) => sum + f.db, 0) / audible.length;
+    const dbSpread = Math.sqrt(audible.reduce((sum, f) => sum + (f.db - meanDb) ** 2, 0) / audible.length);
+    const meanFlatness = audible.reduce((sum, f) => sum + f.flatness, 0) / audible.length;
+
+    if (voicedRatio >= 0.5 && medianF0 >= 250 && medianF0 <= 700) return "cry";
+    if (voicedRatio >= 0.3 && medianF0 > 0 && medianF0 < 250) return "speech";
+    if (meanFlatness > 0.35 || dbSpread < 3) return "noise";
+    return voicedRatio >= 0.3 ? "speech" : "noise";
+}
+
+function renderSoundClassBadge(roomId) {
+    const label = soundClassifiers[roomId]?.label ?? null;
+    return `
+                <span id="soundClass-${roomId}" class="dash-card-sound-class ${label ?? ''}"
+                      style="${cryOnlyRooms.has(roomId) ? '' : 'display: none;'}">
+                    ${label ? CLASSIFIER_LABELS[label] : 'Listening\u2026'}
+                </span>
+    `;
+}
+
+function updateSoundClassBadge(roomId) {
+    const badge = document.getElementById(`soundClass-${roomId}`);
+    if (!badge) return;
+    const label = soundClassifiers[roomId]?.label ?? null;
+    badge.className = `dash-card-sound-class ${label ?? ''}`;
+    badge.textContent = label ? CLASSIFIER_LABELS[label] : 'Listening\u2026';
+    badge.style.display = cryOnlyRooms.has(roomId) ? '' : 'none';
+}
 
-    if (dbLabel) {
-        dbLabel.textContent = level.toFixed(1) + ' dB';
+// ===== Quiet Hours (schedules and do-not-disturb) =====
+function parseAlertSchedule(json) {
+    if (!json) return null;
+    try {
+        const parsed = JSON.parse(json);
+        if (!parsed || parsed.enabled === false || !Array.isArray(parsed.windows) || parsed.windows.length === 0) {
+            return null;
+        }
+        return parsed.windows;
+    } catch {
+        return null;
     }
 }
 
-// ===== Navigate to Configure =====
-function navigateToConfigure(roomId) {
-    window.location.href = `/Home/Index?editRoom=${roomId}`;
+function parseScheduleTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
 }
 
-// ===== Toast Message =====
-function showMessage(message, isError = false) {
-    const messageElement = document.getElementById('settingsMessage');
-    if (!messageElement) return;
+function isWithinScheduleWindow(slot, date) {
+    const start = parseScheduleTime(slot.start);
+    const end = parseScheduleTime(slot.end);
+    const days = Array.isArray(slot.days) ? slot.days : [];
+    if (start === null || end === null) return false;
 
-    messageElement.textContent = message;
-    messageElement.className = 'settings-toast ' + (isError ? 'error' : 'success');
-    messageElement.style.display = 'block';
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
 
-    setTimeout(() => {
-        messageElement.style.display = 'none';
-    }, 3000);
+    if (start === end) return days.includes(today);
+    if (start < end) return days.includes(today) && minutes >= start && minutes < end;
+
+    // Overnight window belongs to the day it starts on
+    return (days.includes(today) && minutes >= start) || (days.includes(yesterday) && minutes < end);
 }
 
-// ===== PWA: Notification Permission =====
-function pwaRequestNotificationPermission() {
-    if (!('Notification' in window)) return;
-    if (Notification.permission === 'default') {
-        Notification.requestPermission().then((result) => {
-            diagInfo("pwa.notification.permission", { result });
-        });
+// Returns why alerts for this room are silenced right now, or null when they are active
+function getQuietHoursReason(roomId, date = new Date()) {
+    if (globalSettings?.doNotDisturb) return "do-not-disturb";
+    if (isRoomSnoozed(roomId, date.getTime())) return "snoozed";
+
+    const room = currentRooms.find(r => r.id === roomId);
+    const windows = parseAlertSchedule(room?.alertScheduleJson);
+    if (!windows) return null;
+
+    return windows.some(w => isWithinScheduleWindow(w, date)) ? null : "schedule";
+}
+
+function renderQuietHoursBadge(roomId) {
+    const reason = getQuietHoursReason(roomId);
+    const label = reason === "do-not-disturb" ? "Do Not Disturb"
+        : reason === "snoozed" ? `Snoozed until ${formatEventLogTime(alertSnoozes[roomId], false)}`
+        : "Quiet Hours";
+    return `
+        <span id="quietBadge-${roomId}" class="status-badge quiet" style="${reason ? '' : 'display: none;'}"
+              title="Notifications and vibration are silenced">
+            <i class="fas fa-bell-slash"></i>
+            ${label}
+        </span>
+    `;
+}
+
+function updateQuietHoursBadges() {
+    for (const roomId of monitoringRooms) {
+        const badge = document.getElementById(`quietBadge-${roomId}`);
+        if (badge) badge.outerHTML = renderQuietHoursBadge(roomId);
     }
 }
 
-// ===== PWA: Sound Alert Handler =====
-function handleSoundAlert(roomId, level, threshold) {
-    const now = Date.now();
-    if (pwaLastAlertTime[roomId] && (now - pwaLastAlertTime[roomId]) < PWA_ALERT_COOLDOWN_MS) {
-        return; // Still in cooldown
+function startQuietHoursTimer() {
+    if (quietHoursTimer) return;
+    quietHoursTimer = setInterval(updateQuietHoursBadges, QUIET_HOURS_REFRESH_INTERVAL_MS);
+}
+
+function stopQuietHoursTimer() {
+    if (!quietHoursTimer) return;
+    clearInterval(quietHoursTimer);
+    quietHoursTimer = null;
+}
+
+// ===== Alarm Tone (Web Audio) =====
+function loadAlarmSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ALARM_STORAGE_KEY) || "null");
+        const settings = { ...DEFAULT_ALARM_SETTINGS, ...(stored ?? {}) };
+        if (!ALARM_PATTERNS[settings.pattern]) settings.pattern = DEFAULT_ALARM_SETTINGS.pattern;
+        settings.volume = Math.max(0, Math.min(1, Number(settings.volume) || 0));
+        return settings;
+    } catch {
+        return { ...DEFAULT_ALARM_SETTINGS };
     }
-    pwaLastAlertTime[roomId] = now;
+}
 
-    const room = currentRooms.find(r => r.id === roomId);
-    const roomName = room ? room.name : `Room ${roomId}`;
+function saveAlarmSettings() {
+    try {
+        localStorage.setItem(ALARM_STORAGE_KEY, JSON.stringify(alarmSettings));
+    } catch { /* no-op */ }
+}
 
-    // Visual alert — flash card
-    const card = document.querySelector(`.dash-card[data-room-id="${roomId}"]`);
-    if (card) {
-        card.classList.add('alerting');
-        setTimeout(() => card.classList.remove('alerting'), 2000);
+function initializeAlarmSettingsUI() {
+    const enabledInput = document.getElementById('alarmEnabled');
+    const patternSelect = document.getElementById('alarmPattern');
+    const volumeInput = document.getElementById('alarmVolume');
+    if (!enabledInput || !patternSelect || !volumeInput) return;
+
+    patternSelect.innerHTML = Object.entries(ALARM_PATTERNS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    enabledInput.checked = alarmSettings.enabled;
+    patternSelect.value = alarmSettings.pattern;
+    volumeInput.value = Math.round(alarmSettings.volume * 100);
+}
+
+function updateAlarmSettings() {
+    alarmSettings = {
+        enabled: document.getElementById('alarmEnabled')?.checked || false,
+        pattern: document.getElementById('alarmPattern')?.value || DEFAULT_ALARM_SETTINGS.pattern,
+        volume: Math.max(0, Math.min(1, (parseInt(document.getElementById('alarmVolume')?.value, 10) || 0) / 100))
+    };
+    saveAlarmSettings();
+    diagInfo("alarm.settings.changed", alarmSettings);
+
+    if (activeAlarm) {
+        activeAlarm.gain.gain.setValueAtTime(alarmSettings.volume, alertAudioContext.currentTime);
+    }
+    if (alarmSettings.enabled) {
+        // Also unlocks audio on browsers that need a gesture
+        primeAlertAudio();
     }
+}
 
-    // Vibrate (Android Chrome)
-    if (navigator.vibrate) {
-        navigator.vibrate([0, 200, 100, 200, 100, 400]);
+function testAlarm() {
+    if (activeAlarm) {
+        acknowledgeAlarm();
+        return;
+    }
+    startAlarm(null);
+}
+
+function primeAlertAudio() {
+    // Created inside a click (Start Monitoring, alarm settings) so autoplay policies allow it later
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!alertAudioContext) {
+        alertAudioContext = new AudioContextClass();
     }
+    if (alertAudioContext.state === 'suspended') {
+        alertAudioContext.resume().catch(() => { /* resumed on next gesture */ });
+    }
+}
 
-    // System notification via service worker
-    pwaShowNotification(
-        `Sound Alert \u2014 ${roomName}`,
-        `Sound level at ${level.toFixed(1)} dB exceeds threshold (${threshold.toFixed(1)} dB)`,
-        `sound-alert-${roomId}`
-    );
+// Schedules a whole pattern up front on one oscillator; stopping it cancels the rest
+function scheduleAlarmPattern(pattern, oscillator, envelope, start, end) {
+    const frequency = oscillator.frequency;
+    const gain = envelope.gain;
+
+    if (pattern === "siren") {
+        // Two-tone sweep, 0.5s per leg
+        oscillator.type = "square";
+        gain.setValueAtTime(0.35, start);
+        for (let t = start; t < end; t += 1) {
+            frequency.setValueAtTime(650, t);
+            frequency.linearRampToValueAtTime(1300, Math.min(t + 0.5, end));
+            if (t + 0.5 < end) frequency.linearRampToValueAtTime(650, Math.min(t + 1, end));
+        }
+    } else if (pattern === "chime") {
+        // Descending three-note chime with a soft decay, then a pause
+        oscillator.type = "sine";
+        gain.setValueAtTime(0, start);
+        for (let t = start; t < end; t += 2) {
+            [1046.5, 784, 659.3].forEach((note, i) => {
+                const noteStart = t + i * 0.35;
+                if (noteStart >= end) return;
+                frequency.setValueAtTime(note, noteStart);
+                gain.setValueAtTime(1, noteStart);
+                gain.exponentialRampToValueAtTime(0.01, Math.min(noteStart + 0.33, end));
+            });
+        }
+    } else {
+        // Three short beeps, then a pause
+        oscillator.type = "square";
+        frequency.setValueAtTime(880, start);
+        gain.setValueAtTime(0, start);
+        for (let t = start; t < end; t += 1.6) {
+            for (let i = 0; i < 3; i++) {
+                const beepStart = t + i * 0.3;
+                if (beepStart >= end) break;
+                gain.setValueAtTime(0.35, beepStart);
+                gain.setValueAtTime(0, Math.min(beepStart + 0.15, end));
+            }
+        }
+    }
+}
+
+function startAlarm(roomId, patternOverride) {
+    primeAlertAudio();
+    if (!alertAudioContext) return;
+
+    // One alarm at a time; further rooms are added to the acknowledge banner
+    if (activeAlarm) {
+        if (roomId !== null) activeAlarm.roomIds.add(roomId);
+        updateAlarmBanner();
+        return;
+    }
+
+    const ctx = alertAudioContext;
+    const start = ctx.currentTime + 0.05;
+    const end = start + ALARM_MAX_DURATION_MS / 1000;
+    const pattern = patternOverride ?? alarmSettings.pattern;
+
+    const oscillator = ctx.createOscillator();
+    const envelope = ctx.createGain();
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(alarmSettings.volume, ctx.currentTime);
+    scheduleAlarmPattern(pattern, oscillator, envelope, start, end);
+
+    oscillator.connect(envelope).connect(gain).connect(ctx.destination);
+    oscillator.start(start);
+    oscillator.stop(end);
+
+    activeAlarm = {
+        oscillator,
+        gain,
+        roomIds: new Set(roomId !== null ? [roomId] : []),
+        stopTimer: setTimeout(() => stopAlarm("timeout"), ALARM_MAX_DURATION_MS)
+    };
+    updateAlarmBanner();
+
+    diagInfo("alarm.started", {
+        roomId,
+        pattern,
+        volume: alarmSettings.volume,
+        contextState: ctx.state
+    });
+}
+
+function stopAlarm(reason) {
+    if (!activeAlarm) return;
+
+    const alarm = activeAlarm;
+    activeAlarm = null;
+    clearTimeout(alarm.stopTimer);
+    try {
+        alarm.oscillator.stop();
+    } catch { /* already stopped */ }
+    alarm.oscillator.disconnect();
+    alarm.gain.disconnect();
+
+    diagInfo("alarm.stopped", { reason, roomIds: [...alarm.roomIds] });
+    updateAlarmBanner();
+}
+
+function acknowledgeAlarm() {
+    stopAlarm("acknowledged");
+}
+
+function updateAlarmBanner() {
+    const banner = document.getElementById('alarmBanner');
+    const text = document.getElementById('alarmBannerText');
+    if (!banner || !text) return;
+
+    if (!activeAlarm) {
+        banner.style.display = 'none';
+        const testButton = document.getElementById('alarmTestBtn');
+        if (testButton) testButton.innerHTML = '<i class="fas fa-play"></i> Test';
+        return;
+    }
+
+    const names = [...activeAlarm.roomIds].map(id => currentRooms.find(r => r.id === id)?.name ?? `Room ${id}`);
+    text.textContent = names.length > 0 ? `Alarm \u2014 ${names.join(", ")}` : "Alarm test";
+    banner.style.display = '';
+
+    const testButton = document.getElementById('alarmTestBtn');
+    if (testButton) testButton.innerHTML = '<i class="fas fa-stop"></i> Stop';
 }
 
 // ===== PWA: Show Notification =====
-function pwaShowNotification(title, body, tag) {
+function pwaShowNotification(title, body, tag, data) {
     if (!('Notification' in window) || Notification.permission !== 'granted') return;
 
     if (navigator.serviceWorker && navigator.serviceWorker.controller) {
@@ -1869,23 +5046,359 @@ function pwaShowNotification(title, body, tag) {
             title: title,
             body: body,
             tag: tag,
-            icon: '/images/icon-192.png'
+            icon: '/images/icon-192.png',
+            data: data
         });
     } else {
         // Fallback: direct notification (no service worker)
         try {
-            new Notification(title, {
+            const notification = new Notification(title, {
                 body: body,
                 icon: '/images/icon-192.png',
                 tag: tag,
+                data: data,
                 silent: false
             });
+            notification.onclick = () => {
+                window.focus();
+                if (data?.url) openNotificationLink(data.url);
+            };
         } catch (e) {
             console.warn('Notification failed:', e);
         }
     }
 }
 
+// ===== PWA: Notification Actions (Open room, Snooze, Stop monitoring) =====
+function initializeNotificationActions() {
+    // Buttons pressed on a notification while this dashboard is open arrive from the service worker
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+        if (event.data?.type === 'NOTIFICATION_ACTION') {
+            void handleNotificationAction(event.data.action, Number(event.data.roomId));
+        }
+    });
+}
+
+async function handleNotificationAction(action, roomId) {
+    if (!Number.isInteger(roomId)) return;
+
+    // A notification that opened this page fires before the rooms are loaded
+    if (currentRooms.length === 0) {
+        pendingNotificationAction = { action, roomId };
+        return;
+    }
+
+    const room = currentRooms.find(r => r.id === roomId);
+    if (!room) {
+        showMessage("That room no longer exists", true);
+        return;
+    }
+
+    diagInfo("notification.action", { action, roomId });
+    switch (action) {
+        case "open-room":
+            if (!monitoringRooms.has(roomId)) {
+                await startMonitoring(roomId);
+            }
+            if (fullscreenRoomId !== roomId) {
+                await toggleRoomFullscreen(roomId);
+            }
+            break;
+        case "snooze":
+            snoozeRoomAlerts(roomId, ALERT_SNOOZE_MS);
+            showMessage(`Alerts for ${room.name} snoozed until ${formatEventLogTime(alertSnoozes[roomId], false)}`);
+            break;
+        case "stop-monitoring":
+            if (monitoringRooms.has(roomId)) {
+                await stopMonitoring(roomId);
+            }
+            showMessage(`Stopped monitoring ${room.name}`);
+            break;
+        default:
+            diagWarn("notification.action.unknown", { action, roomId });
+    }
+}
+
+function runPendingNotificationAction() {
+    if (!pendingNotificationAction) return;
+    const { action, roomId } = pendingNotificationAction;
+    pendingNotificationAction = null;
+
+    // Keep auto-resume from starting a room the notification asked to stop
+    if (action === "stop-monitoring") {
+        try {
+            const remaining = pwaLoadMonitoringState().filter(id => id !== roomId);
+            localStorage.setItem(PWA_STORAGE_KEY, JSON.stringify(remaining));
+        } catch { /* no-op */ }
+    }
+
+    void handleNotificationAction(action, roomId);
+}
+
+// A "Stop monitoring" notification action mutes the room's pushes on the server until it is monitored again
+function clearServerPushMute(roomId) {
+    if (connection?.state !== signalR.HubConnectionState.Connected) return;
+    invokeHubWithDiagnostics("SetRoomPushesMuted", [roomId, false], { roomId }).catch(() => {
+        // Logged by invokeHubWithDiagnostics
+    });
+}
+
+function loadAlertSnoozes() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ALERT_SNOOZE_KEY) || "{}");
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(stored ?? {})
+            .filter(([, until]) => Number.isFinite(until) && until > now));
+    } catch {
+        return {};
+    }
+}
+
+function saveAlertSnoozes() {
+    try {
+        localStorage.setItem(ALERT_SNOOZE_KEY, JSON.stringify(alertSnoozes));
+    } catch { /* no-op */ }
+}
+
+function snoozeRoomAlerts(roomId, durationMs) {
+    alertSnoozes[roomId] = Date.now() + durationMs;
+    saveAlertSnoozes();
+
+    // Silence this room's part of a ringing alarm; other rooms keep it going
+    if (activeAlarm?.roomIds.has(roomId)) {
+        activeAlarm.roomIds.delete(roomId);
+        if (activeAlarm.roomIds.size === 0) {
+            stopAlarm("snoozed");
+        } else {
+            updateAlarmBanner();
+        }
+    }
+    updateQuietHoursBadges();
+}
+
+function isRoomSnoozed(roomId, now = Date.now()) {
+    const until = alertSnoozes[roomId];
+    if (!until) return false;
+    if (until > now) return true;
+
+    delete alertSnoozes[roomId];
+    saveAlertSnoozes();
+    return false;
+}
+
+// ===== PWA: Web Push (server-sent, arrives with the dashboard closed) =====
+function isPushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+async function getPushSubscription() {
+    if (!isPushSupported()) return null;
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+}
+
+async function loadPushDevices() {
+    try {
+        const subscription = await getPushSubscription();
+        pushEndpoint = subscription ? subscription.endpoint : null;
+        pushDevices = await invokeHubWithDiagnostics("GetPushDevices", [], { area: "push" });
+    } catch (err) {
+        diagWarn("push.devices.load.failed", { error: normalizeError(err) });
+    }
+    renderPushDevices();
+}
+
+function renderPushDevices() {
+    const toggle = document.getElementById('pushEnabled');
+    const status = document.getElementById('pushStatus');
+    const list = document.getElementById('pushDeviceList');
+    if (!toggle || !list) return;
+
+    const thisDevice = pushDevices.find(d => d.endpoint === pushEndpoint);
+    toggle.checked = !!thisDevice;
+    toggle.disabled = !isPushSupported();
+
+    if (status) {
+        if (!isPushSupported()) {
+            status.textContent = pwaDetectPlatform() === 'ios' && !pwaIsStandalone()
+                ? "Add BabyMonitarr to your Home Screen to receive push notifications"
+                : "This browser does not support push notifications";
+        } else if (Notification.permission === 'denied') {
+            status.textContent = "Notifications are blocked for this site in the browser settings";
+        } else {
+            status.textContent = "Sound alerts and lost connections, even when the dashboard is closed";
+        }
+    }
+
+    if (pushDevices.length === 0) {
+        list.innerHTML = '<div class="event-log-empty">No devices receive push notifications yet.</div>';
+        return;
+    }
+
+    list.innerHTML = pushDevices.map(device => {
+        const lastSent = device.lastSentAt ? `Last sent ${formatEventLogTime(device.lastSentAt, true)}` : "Nothing sent yet";
+        const failure = device.lastFailureReason
+            ? `<span class="push-device-failure" title="${escapeHtml(device.lastFailureReason)}"><i class="fas fa-exclamation-triangle"></i> Last push failed</span>`
+            : '';
+
+        return `
+            <div class="event-log-row push-device-row">
+                <span class="event-log-icon"><i class="fas fa-mobile-alt"></i></span>
+                <div class="push-device-info">
+                    <input id="pushName-${device.id}" class="form-control-dark push-device-name" type="text" maxlength="60"
+                           value="${escapeHtml(device.name)}" aria-label="Device name" onchange="updatePushDevice(${device.id})" />
+                    <span class="push-device-meta">
+                        ${device.endpoint === pushEndpoint ? '<strong>This device</strong> &middot; ' : ''}${escapeHtml(lastSent)} ${failure}
+                    </span>
+                </div>
+                <label class="push-device-option">
+                    <input id="pushSound-${device.id}" type="checkbox" ${device.notifySoundAlerts ? 'checked' : ''}
+                           onchange="updatePushDevice(${device.id})" /> Sound alerts
+                </label>
+                <label class="push-device-option">
+                    <input id="pushConnection-${device.id}" type="checkbox" ${device.notifyConnectionLoss ? 'checked' : ''}
+                           onchange="updatePushDevice(${device.id})" /> Connection loss
+                </label>
+                <button class="btn-event-log" onclick="sendTestPush(${device.id})"><i class="fas fa-paper-plane"></i> Test</button>
+                <button class="btn-event-log danger" onclick="removePushDevice(${device.id})" title="Remove"><i class="fas fa-trash"></i></button>
+            </div>
+        `;
+    }).join('');
+}
+
+async function setPushEnabled(enabled) {
+    try {
+        if (enabled) {
+            await subscribeToPush();
+        } else {
+            await unsubscribeFromPush();
+        }
+    } catch (err) {
+        diagError("push.toggle.failed", err, { enabled });
+        showMessage(enabled ? "Could not turn on push notifications" : "Could not turn off push notifications", true);
+    }
+    await loadPushDevices();
+}
+
+async function subscribeToPush() {
+    const permission = await Notification.requestPermission();
+    diagInfo("pwa.notification.permission", { result: permission });
+    if (permission !== 'granted') {
+        showMessage("Allow notifications to receive push alerts", true);
+        return;
+    }
+
+    const publicKey = await invokeHubWithDiagnostics("GetPushPublicKey", [], { area: "push" });
+    const registration = await navigator.serviceWorker.ready;
+    const options = { userVisibleOnly: true, applicationServerKey: urlBase64ToUint8Array(publicKey) };
+
+    let subscription;
+    try {
+        subscription = await registration.pushManager.subscribe(options);
+    } catch (err) {
+        // Subscribed earlier with a different server key; start over with the current one
+        const existing = await registration.pushManager.getSubscription();
+        if (!existing) throw err;
+        await existing.unsubscribe();
+        subscription = await registration.pushManager.subscribe(options);
+    }
+
+    const json = subscription.toJSON();
+    const device = await invokeHubWithDiagnostics("RegisterPushDevice", [{
+        endpoint: json.endpoint,
+        p256dh: json.keys?.p256dh ?? "",
+        auth: json.keys?.auth ?? "",
+        name: describeThisDevice()
+    }], { area: "push" });
+
+    if (!device) {
+        await subscription.unsubscribe();
+        showMessage("The server did not accept this device's push subscription", true);
+        return;
+    }
+    showMessage("Push notifications turned on for this device");
+}
+
+async function unsubscribeFromPush() {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+
+    await invokeHubWithDiagnostics("UnregisterPushDevice", [subscription.endpoint], { area: "push" });
+    await subscription.unsubscribe();
+    showMessage("Push notifications turned off for this device");
+}
+
+async function updatePushDevice(id) {
+    const name = document.getElementById(`pushName-${id}`)?.value ?? "";
+    const notifySoundAlerts = document.getElementById(`pushSound-${id}`)?.checked ?? true;
+    const notifyConnectionLoss = document.getElementById(`pushConnection-${id}`)?.checked ?? true;
+
+    try {
+        const updated = await invokeHubWithDiagnostics("UpdatePushDevice",
+            [id, name, notifySoundAlerts, notifyConnectionLoss], { area: "push" });
+        if (!updated) {
+            showMessage("That device no longer exists", true);
+            await loadPushDevices();
+            return;
+        }
+        pushDevices = pushDevices.map(d => d.id === id ? updated : d);
+    } catch (err) {
+        diagError("push.device.update.failed", err, { id });
+        showMessage("Could not update the device", true);
+    }
+}
+
+async function sendTestPush(id) {
+    try {
+        const device = await invokeHubWithDiagnostics("SendTestPush", [id], { area: "push" });
+        if (!device) {
+            showMessage("The push service no longer knows that device, so it was removed", true);
+        } else if (device.lastFailureReason) {
+            showMessage(`Test push failed: ${device.lastFailureReason}`, true);
+        } else {
+            showMessage(`Test push sent to ${device.name}`);
+        }
+    } catch (err) {
+        diagError("push.test.failed", err, { id });
+        showMessage("Could not send a test push", true);
+    }
+    await loadPushDevices();
+}
+
+async function removePushDevice(id) {
+    const device = pushDevices.find(d => d.id === id);
+    if (!device || !confirm(`Stop sending push notifications to ${device.name}?`)) return;
+
+    try {
+        await invokeHubWithDiagnostics("RemovePushDevice", [id], { area: "push" });
+        if (device.endpoint === pushEndpoint) {
+            const subscription = await getPushSubscription();
+            await subscription?.unsubscribe();
+        }
+    } catch (err) {
+        diagError("push.device.remove.failed", err, { id });
+        showMessage("Could not remove the device", true);
+    }
+    await loadPushDevices();
+}
+
+function describeThisDevice() {
+    const ua = navigator.userAgent || '';
+    const browser = /Edg\//.test(ua) ? "Edge"
+        : /Firefox\//.test(ua) ? "Firefox"
+        : /Chrome\//.test(ua) ? "Chrome"
+        : /Safari\//.test(ua) ? "Safari"
+        : "Browser";
+    const platform = { ios: "iPhone/iPad", android: "Android", desktop: "Desktop" }[pwaDetectPlatform()];
+    return `${browser} on ${platform}`;
+}
+
+function urlBase64ToUint8Array(base64) {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(padded);
+    return Uint8Array.from(raw, c => c.charCodeAt(0));
+}
+
 // ===== PWA: Persistent Monitoring State =====
 function pwaSaveMonitoringState() {
     try {
@@ -0,0 +1,129 @@
+// Shared dB level meter (dashboard cards, picture-in-picture and the configure-page preview)
+const METER_MIN_DB = -90;
+const METER_SCALE_KEY = "babymonitarr.meterScale";
+const METER_SCALES = Object.freeze({
+    linear: "Linear dB",
+    perceptual: "Perceptual"
+});
+const METER_WARN_MARGIN_DB = 10;  // amber starts this far below the threshold
+let meterScale = loadMeterScale();
+
+function loadMeterScale() {
+    try {
+        const stored = localStorage.getItem(METER_SCALE_KEY);
+        return stored in METER_SCALES ? stored : "linear";
+    } catch {
+        return "linear";
+    }
+}
+
+function setMeterScale(scale) {
+    if (!(scale in METER_SCALES)) return;
+    meterScale = scale;
+    try {
+        localStorage.setItem(METER_SCALE_KEY, scale);
+    } catch { /* no-op */ }
+
+    // Redraw every meter on the page (and in a picture-in-picture window) with the new scale
+    refreshLevelMeters(document);
+    if (typeof pipWindow !== "undefined" && pipWindow) {
+        refreshLevelMeters(pipWindow.document);
+    }
+}
+
+function initializeMeterScaleSelect(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    select.innerHTML = Object.entries(METER_SCALES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    select.value = meterScale;
+}
+
+// Maps a dB level to 0..1 along the meter.
+// Perceptual follows loudness rather than level: every +10 dB sounds about twice as loud.
+function meterPosition(level) {
+    const clamped = Math.max(METER_MIN_DB, Math.min(0, level));
+    if (meterScale === "perceptual") {
+        const floor = Math.pow(2, METER_MIN_DB / 10);
+        return (Math.pow(2, clamped / 10) - floor) / (1 - floor);
+    }
+    return (clamped - METER_MIN_DB) / -METER_MIN_DB;
+}
+
+function getMeterZone(level, threshold) {
+    if (typeof threshold !== "number" || !Number.isFinite(threshold)) return "quiet";
+    if (level >= threshold) return "alert";
+    if (level >= threshold - METER_WARN_MARGIN_DB) return "warn";
+    return "quiet";
+}
+
+function renderLevelMeter(id, variant = "compact", threshold = null) {
+    const hasThreshold = typeof threshold === "number" && Number.isFinite(threshold);
+    return `
+        <div id="${id}" class="level-meter level-meter-${variant}" ${hasThreshold ? `data-threshold="${threshold}"` : ''}>
+            <div class="level-meter-fill"></div>
+            <div class="level-meter-marker" ${hasThreshold
+                ? `style="left: ${meterPosition(threshold) * 100}%;" title="Threshold ${threshold.toFixed(1)} dB"`
+                : 'style="display: none;"'}></div>
+        </div>
+    `;
+}
+
+// Meters written directly in markup start as an empty container
+function getLevelMeterParts(meter) {
+    let fill = meter.querySelector('.level-meter-fill');
+    let marker = meter.querySelector('.level-meter-marker');
+    if (!fill || !marker) {
+        meter.innerHTML = '<div class="level-meter-fill"></div><div class="level-meter-marker" style="display: none;"></div>';
+        fill = meter.querySelector('.level-meter-fill');
+        marker = meter.querySelector('.level-meter-marker');
+    }
+    return { fill, marker };
+}
+
+function updateLevelMeter(meter, level) {
+    if (!meter) return;
+    const { fill } = getLevelMeterParts(meter);
+    const threshold = parseFloat(meter.dataset.threshold);
+
+    meter.dataset.level = String(level);
+    fill.style.width = (meterPosition(level) * 100) + '%';
+    fill.dataset.zone = getMeterZone(level, threshold);
+}
+
+function setLevelMeterThreshold(meter, threshold) {
+    if (!meter) return;
+    const { marker } = getLevelMeterParts(meter);
+
+    if (typeof threshold !== "number" || !Number.isFinite(threshold)) {
+        delete meter.dataset.threshold;
+        marker.style.display = 'none';
+    } else {
+        meter.dataset.threshold = String(threshold);
+        marker.style.left = (meterPosition(threshold) * 100) + '%';
+        marker.style.display = '';
+        marker.title = `Threshold ${threshold.toFixed(1)} dB`;
+    }
+
+    // Re-zone the current level against the new threshold
+    if (meter.dataset.level !== undefined) {
+        updateLevelMeter(meter, parseFloat(meter.dataset.level));
+    }
+}
+
+function resetLevelMeter(meter) {
+    if (!meter) return;
+    const { fill } = getLevelMeterParts(meter);
+    delete meter.dataset.level;
+    fill.style.width = '0%';
+    fill.dataset.zone = "quiet";
+}
+
+function refreshLevelMeters(root) {
+    root.querySelectorAll('.level-meter').forEach(meter => {
+        const threshold = parseFloat(meter.dataset.threshold);
+        setLevelMeterThreshold(meter, Number.isFinite(threshold) ? threshold : null);
+    });
+}
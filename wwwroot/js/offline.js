@@ -0,0 +1,109 @@
+// Offline page: shows what the dashboard last saw and keeps checking whether the server is back
+const LAST_CONTACT_KEY = "babymonitarr.lastContact";          // written by dashboard.js
+const MONITORING_KEY = "babymonitarr.monitoringRoomIds";      // written by dashboard.js
+const RETRY_DELAYS_MS = Object.freeze([5000, 10000, 20000, 30000, 60000]);
+const PROBE_URL = "/manifest.json";  // static and never answered by the service worker
+let retryAttempt = 0;
+let retryAt = 0;
+let countdownTimer = null;
+let probing = false;
+
+document.addEventListener('DOMContentLoaded', () => {
+    renderLastContact();
+    scheduleRetry();
+});
+
+// The device itself came back online; no need to wait out the countdown
+window.addEventListener('online', () => {
+    void retryNow();
+});
+
+function readStoredJson(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key) || "null");
+    } catch {
+        return null;
+    }
+}
+
+function renderLastContact() {
+    const contact = readStoredJson(LAST_CONTACT_KEY);
+    if (!contact || !Number.isFinite(contact.timestamp)) return;
+
+    document.getElementById('offlineLastContact').textContent =
+        `Last contact with the server: ${formatContactTime(contact.timestamp)}.`;
+
+    const rooms = Array.isArray(contact.rooms) ? contact.rooms : [];
+    if (rooms.length === 0) return;
+
+    const monitoring = new Set(readStoredJson(MONITORING_KEY) || []);
+    const list = document.getElementById('offlineRooms');
+    list.replaceChildren(...rooms.map(room => {
+        const item = document.createElement('li');
+        item.textContent = room.name;
+        if (monitoring.has(room.id)) {
+            const state = document.createElement('span');
+            state.textContent = "was monitoring";
+            item.appendChild(state);
+        }
+        return item;
+    }));
+    document.getElementById('offlineRoomsSection').style.display = '';
+}
+
+function formatContactTime(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    const ago = minutes < 1 ? "just now"
+        : minutes < 60 ? `${minutes} min ago`
+        : minutes < 48 * 60 ? `${Math.round(minutes / 60)} h ago`
+        : `${Math.round(minutes / 1440)} days ago`;
+    return `${new Date(timestamp).toLocaleString()} (${ago})`;
+}
+
+function scheduleRetry() {
+    const delay = RETRY_DELAYS_MS[Math.min(retryAttempt, RETRY_DELAYS_MS.length - 1)];
+    retryAttempt++;
+    retryAt = Date.now() + delay;
+
+    clearInterval(countdownTimer);
+    countdownTimer = setInterval(updateCountdown, 1000);
+    updateCountdown();
+}
+
+function updateCountdown() {
+    const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+    setRetryStatus(`Retrying in ${seconds}s`);
+    if (seconds === 0) {
+        void retryNow();
+    }
+}
+
+async function retryNow() {
+    if (probing) return;
+    probing = true;
+    clearInterval(countdownTimer);
+    setRetryStatus("Checking...");
+
+    const button = document.getElementById('offlineRetryBtn');
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`${PROBE_URL}?probe=${Date.now()}`, { method: "HEAD", cache: "no-store" });
+        // A reverse proxy answers 502-504 while the server behind it is down
+        if (response.status < 502 || response.status > 504) {
+            window.location.reload();
+            return;
+        }
+    } catch {
+        // Still unreachable
+    } finally {
+        probing = false;
+        button.disabled = false;
+    }
+
+    scheduleRetry();
+}
+
+function setRetryStatus(text) {
+    document.getElementById('offlineRetryStatus').textContent = text;
+}
@@ -0,0 +1,68 @@
+// Service worker registration and the "update available" prompt (loaded on every page)
+let waitingServiceWorker = null;
+let serviceWorkerUpdateAccepted = false;
+
+function registerServiceWorker(appVersion) {
+    if (!('serviceWorker' in navigator)) return;
+
+    // The version names the worker's cache, so a release installs a fresh worker next to the old one
+    navigator.serviceWorker.register(`/sw.js?v=${encodeURIComponent(appVersion)}`)
+        .then(registration => {
+            // Already downloaded on an earlier visit and still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateBanner(registration.waiting);
+            }
+
+            // Only files whose hash changed are downloaded again
+            if (registration.active && navigator.serviceWorker.controller) {
+                registration.active.postMessage({ type: 'REFRESH_ASSETS' });
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, which activates on its own
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateBanner(worker);
+                    }
+                });
+            });
+        })
+        .catch(err => {
+            console.warn('Service worker registration failed:', err);
+        });
+
+    // The new worker took over; reload so the page runs the matching scripts
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!serviceWorkerUpdateAccepted) return;
+        serviceWorkerUpdateAccepted = false;
+        window.location.reload();
+    });
+}
+
+function showUpdateBanner(worker) {
+    waitingServiceWorker = worker;
+    const banner = document.getElementById('appUpdateBanner');
+    if (banner) banner.style.display = '';
+}
+
+function dismissUpdateBanner() {
+    const banner = document.getElementById('appUpdateBanner');
+    if (banner) banner.style.display = 'none';
+}
+
+function applyAppUpdate() {
+    if (!waitingServiceWorker) {
+        window.location.reload();
+        return;
+    }
+
+    serviceWorkerUpdateAccepted = true;
+    const button = document.getElementById('appUpdateReloadBtn');
+    if (button) {
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Updating...';
+    }
+    waitingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+}
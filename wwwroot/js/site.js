@@ -12,6 +12,13 @@ const DEFAULT_ICE_SERVERS = Object.freeze([{ urls: "stun:stun.l.google.com:19302
 let webRtcIceServers = DEFAULT_ICE_SERVERS.map((server) => ({ ...server }));
 // Debounce timer for auto-save
 let saveDebounceTimer;
+const AUTO_SAVE_DELAY_MS = 1500;
+// Applied immediately or scratch-only (the URL builder), so not saved with the form
+const CONFIG_UNTRACKED_FIELDS = new Set(["doNotDisturb", "meterScale", "rtspPreset", "rtspHost", "rtspPort", "rtspPath"]);
+let savedConfigSnapshot = null;  // form state as last loaded or saved, for dirty tracking
+let configDirty = false;
+let saveInFlight = false;
+let lastSaveUndo = null;         // { roomId, room, audioSettings, partial } as they were before the most recent save; partial when only the room got saved
 
 // Room state
 let currentRooms = [];
@@ -20,6 +27,78 @@ let previewRoomId = null;  // Room being audio-previewed
 let globalSettings = {};
 let selectedIcon = 'baby';
 
+// RTSP URL builder presets (main stream paths; most cameras also offer a lower-resolution sub stream)
+const RTSP_URL_PRESETS = Object.freeze({
+    tapo: {
+        label: "TP-Link Tapo", port: 554, path: "/stream1",
+        hint: "Create a camera account in the Tapo app (Advanced Settings > Camera Account) and use it below. /stream2 is the lower-resolution stream."
+    },
+    reolink: {
+        label: "Reolink", port: 554, path: "/h264Preview_01_main",
+        hint: "/h264Preview_01_sub is the lower-resolution stream. Newer firmware needs RTSP enabled under Network > Advanced > Server Settings."
+    },
+    hikvision: {
+        label: "Hikvision", port: 554, path: "/Streaming/Channels/101",
+        hint: "Channel 101 is the main stream of camera 1; 102 is its sub stream."
+    },
+    onvif: {
+        label: "Generic ONVIF", port: 554, path: "/onvif1",
+        hint: "Paths vary by model; an ONVIF tool such as ONVIF Device Manager shows the stream URI your camera reports."
+    },
+    custom: {
+        label: "Other", port: 554, path: "/",
+        hint: "Enter the path from your camera's documentation."
+    }
+});
+const CAMERA_URL_PROTOCOLS = Object.freeze(["rtsp:", "rtsps:", "http:", "https:"]);
+
+// Allowed ranges for the numeric audio settings (global inputs share the setting's name as their id)
+const AUDIO_SETTING_LIMITS = Object.freeze({
+    soundThreshold: { min: -90, max: 0, integer: false },
+    averageSampleCount: { min: 1, max: 100, integer: true },
+    highPassFrequency: { min: 20, max: 2000, integer: true },
+    lowPassFrequency: { min: 200, max: 20000, integer: true },
+    thresholdPauseDuration: { min: 0, max: 3600, integer: true },
+    volumeAdjustmentDb: { min: -20, max: 20, integer: false }
+});
+
+// Per-room audio overrides (a null value on the room inherits the global setting)
+const ROOM_AUDIO_FIELDS = Object.freeze([
+    { key: "soundThreshold", inputId: "roomSoundThreshold" },
+    { key: "filterEnabled", inputId: "roomFilterEnabled", type: "boolean" },
+    { key: "highPassFrequency", inputId: "roomHighPassFrequency" },
+    { key: "lowPassFrequency", inputId: "roomLowPassFrequency" },
+    { key: "volumeAdjustmentDb", inputId: "roomVolumeAdjustmentDb" },
+    { key: "thresholdPauseDuration", inputId: "roomThresholdPauseDuration" }
+]);
+
+// Threshold calibration (ambient levels from the preview, plus the ambient spectrum)
+const CALIBRATION_DURATION_MS = 60000;
+const CALIBRATION_MIN_SAMPLES = 50;
+const CALIBRATION_MARGIN_DB = 10;             // suggested threshold sits this far above the 95th percentile
+const CALIBRATION_SPECTRUM_INTERVAL_MS = 250;
+const CALIBRATION_CRY_BAND_HZ = Object.freeze({ low: 300, high: 4000 });
+const CALIBRATION_HISTOGRAM_BIN_DB = 3;
+let calibration = null;  // { roomId, levels, power, frames, startedAt, timer, spectrumTimer, nodes, result }
+
+// Alert rules being edited for the selected room (saved as Room.alertRulesJson)
+const ALERT_RULE_TEMPLATES = Object.freeze({
+    sustained: { type: "sustained", levelDb: -30, durationSeconds: 10 },
+    spikes: { type: "spikes", levelDb: -20, count: 3, windowMinutes: 5 }
+});
+const DEFAULT_ALERT_ESCALATION = Object.freeze({
+    notifyAfterSeconds: 0,
+    sirenEnabled: false,
+    sirenAfterSeconds: 120,
+    quietResetSeconds: 60
+});
+let editingAlertRules = [];
+
+// Alert schedule being edited for the selected room (saved as Room.alertScheduleJson)
+const SCHEDULE_DAY_LABELS = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+const SCHEDULE_WINDOW_TEMPLATE = Object.freeze({ days: [0, 1, 2, 3, 4, 5, 6], start: "19:00", end: "07:00" });
+let editingScheduleWindows = [];
+
 // Initialize the audio player and connections
 document.addEventListener('DOMContentLoaded', function () {
     // Create audio element for playback
@@ -42,6 +121,16 @@ document.addEventListener('DOMContentLoaded', function () {
     // Setup icon selector
     setupIconSelector();
 
+    // Brand presets for the RTSP URL builder
+    initializeRtspUrlBuilder();
+
+    // Track edits for auto-save and the leave-page prompt
+    setupConfigChangeTracking();
+
+    // Preview meter shares its scale setting with the dashboard
+    initializeMeterScaleSelect('meterScale');
+    updatePreviewMeterThreshold();
+
     // Initialize audio context
     try {
         document.addEventListener('click', initAudioContext, { once: true });
@@ -180,6 +269,8 @@ async function loadGlobalSettings() {
     try {
         globalSettings = await connection.invoke("GetGlobalSettings");
         updateGlobalSettingsUI(globalSettings);
+        // Settings saved elsewhere become the saved state, unless there are edits in progress
+        if (!configDirty) markConfigClean();
     } catch (err) {
         console.error("Error loading global settings:", err);
     }
@@ -193,6 +284,19 @@ function setupButtonListeners() {
     document.getElementById('stopWebRtcStreamBtn')?.addEventListener('click', function () {
         stopWebRtcStream();
     });
+
+    document.getElementById('soundThreshold')?.addEventListener('input', updatePreviewMeterThreshold);
+    document.getElementById('roomSoundThreshold')?.addEventListener('input', updatePreviewMeterThreshold);
+    document.getElementById('cameraStreamUrl')?.addEventListener('input', validateCameraStreamUrl);
+
+    // Re-check the audio fields as they are typed so errors show next to the field
+    const audioInputIds = [
+        ...Object.keys(AUDIO_SETTING_LIMITS),
+        ...ROOM_AUDIO_FIELDS.filter(f => f.type !== "boolean").map(f => f.inputId)
+    ];
+    for (const id of audioInputIds) {
+        document.getElementById(id)?.addEventListener('input', validateAudioForm);
+    }
 }
 
 function setupIconSelector() {
@@ -232,7 +336,7 @@ function renderMonitorList() {
                     </div>
                 </div>
                 <div class="monitor-card-actions">
-                    <button class="btn-card-action btn-edit" onclick="selectMonitorForEditing(${room.id})"><i class="fas fa-pen"></i> Edit</button>
+                    <button class="btn-card-action btn-edit" onclick="editMonitor(${room.id})"><i class="fas fa-pen"></i> Edit</button>
                 </div>
             </div>
         `;
@@ -253,15 +357,14 @@ function escapeHtml(text) {
 
 // ===== Room Selection & Editing =====
 function selectMonitorForEditing(id) {
+    if (calibration && calibration.roomId !== id) {
+        resetCalibrationUI();
+    }
     selectedRoomId = id;
     const room = currentRooms.find(r => r.id === id);
     if (!room) return;
 
-    // Update breadcrumb and title
-    const breadcrumb = document.getElementById('breadcrumbRoomName');
-    const title = document.getElementById('pageTitleRoomName');
-    if (breadcrumb) breadcrumb.textContent = room.name;
-    if (title) title.textContent = room.name;
+    updateRoomTitle(room.name);
 
     // Show config panel, hide placeholder
     document.getElementById('noRoomPlaceholder').style.display = 'none';
@@ -292,12 +395,40 @@ function selectMonitorForEditing(id) {
 
     const cameraUrl = document.getElementById('cameraStreamUrl');
     if (cameraUrl) cameraUrl.value = room.cameraStreamUrl || '';
+    setFieldError('cameraStreamUrl', null);
+    toggleRtspUrlBuilder(false);
+    loadCameraCredentials(room);
+    resetSourceTest(room);
 
     // Toggle source fields visibility (pass nestDeviceId so it can be selected after async load)
     onStreamSourceTypeChanged(room.nestDeviceId);
 
+    // Audio overrides, alert rules and schedule
+    loadRoomAudioEditor(room);
+    loadAlertRulesEditor(room.alertRulesJson);
+    loadAlertScheduleEditor(room.alertScheduleJson);
+
     // Re-render list to show editing state
     renderMonitorList();
+
+    // Everything just loaded is the saved state
+    clearTimeout(saveDebounceTimer);
+    markConfigClean();
+    setSaveStatus(lastSaveUndo?.roomId === id ? 'saved' : 'idle');
+}
+
+// Switching rooms saves pending edits first, and only discards them if the user agrees
+async function editMonitor(id) {
+    if (id === selectedRoomId) return;
+    if (!(await resolveUnsavedChanges())) return;
+    selectMonitorForEditing(id);
+}
+
+function updateRoomTitle(name) {
+    const breadcrumb = document.getElementById('breadcrumbRoomName');
+    const title = document.getElementById('pageTitleRoomName');
+    if (breadcrumb) breadcrumb.textContent = name;
+    if (title) title.textContent = name;
 }
 
 // ===== Room CRUD =====
@@ -306,6 +437,7 @@ async function addNewMonitor() {
         showMessage("Not connected to server.", true);
         return;
     }
+    if (!(await resolveUnsavedChanges())) return;
 
     try {
         const room = await connection.invoke("CreateRoom", {
@@ -318,7 +450,7 @@ async function addNewMonitor() {
             cameraStreamUrl: "",
             nestDeviceId: "",
             cameraUsername: "",
-            cameraPassword: "",
+            cameraPassword: null,
             isActive: false
         });
 
@@ -331,65 +463,187 @@ async function addNewMonitor() {
     }
 }
 
-async function saveRoomConfig() {
-    if (!selectedRoomId) return;
+// Manual saves report through the toast; auto-saves only through the save status
+async function saveRoomConfig({ auto = false } = {}) {
+    clearTimeout(saveDebounceTimer);
+    if (!selectedRoomId) return false;
     if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
-        showMessage("Not connected to server.", true);
-        return;
+        setSaveStatus('error', "Not connected");
+        if (!auto) showMessage("Not connected to server.", true);
+        return false;
     }
 
+    // The running save re-checks for newer edits when it finishes
+    if (saveInFlight) return false;
+
     const room = currentRooms.find(r => r.id === selectedRoomId);
-    if (!room) return;
+    if (!room) return false;
 
-    // Gather room-specific fields
-    const updatedRoom = {
-        id: selectedRoomId,
-        name: document.getElementById('roomName')?.value || 'Unnamed',
-        icon: selectedIcon,
-        monitorType: document.getElementById('monitorType')?.value || 'camera_audio',
-        enableVideoStream: document.getElementById('enableVideoStream')?.checked || false,
-        enableAudioStream: document.getElementById('enableAudioStream')?.checked || false,
-        streamSourceType: document.getElementById('streamSourceType')?.value || 'rtsp',
-        cameraStreamUrl: document.getElementById('cameraStreamUrl')?.value || '',
-        nestDeviceId: document.getElementById('nestDeviceSelect')?.value || '',
-        cameraUsername: room.cameraUsername || '',
-        cameraPassword: room.cameraPassword || '',
-        isActive: room.isActive
-    };
+    const config = collectRoomConfig(room);
+    if (config.error) {
+        setSaveStatus('error', config.error);
+        if (!auto) showMessage(config.error, true);
+        return false;
+    }
 
-    // Gather global audio processing settings
-    const reduceNoise = document.getElementById('reduceNoise')?.checked || false;
-    const filterEnabled = document.getElementById('filterEnabled')?.checked || false;
-
-    const audioSettings = {
-        soundThreshold: parseFloat(document.getElementById('soundThreshold')?.value || -20),
-        averageSampleCount: 10,
-        filterEnabled: reduceNoise || filterEnabled,
-        lowPassFrequency: parseInt(document.getElementById('lowPassFrequency')?.value || 4000),
-        highPassFrequency: parseInt(document.getElementById('highPassFrequency')?.value || 300),
-        thresholdPauseDuration: 30,
-        volumeAdjustmentDb: -15.0
+    const snapshot = getConfigFormSnapshot();
+    // After a save that only got partway, undo still goes back to before that save.
+    // Clients never see the camera password, so undoing a password change keeps the new one.
+    const partialUndo = lastSaveUndo?.partial && lastSaveUndo.roomId === room.id ? lastSaveUndo : null;
+    const undo = {
+        roomId: room.id,
+        room: partialUndo ? partialUndo.room : { ...room },
+        audioSettings: globalSettings?.soundThreshold !== undefined ? pickAudioSettings(globalSettings) : null
     };
 
+    let saved = false;
+    saveInFlight = true;
+    setSaveStatus('saving');
     try {
-        // Save room and global settings in parallel
-        const [updatedRoomResult] = await Promise.all([
-            connection.invoke("UpdateRoom", updatedRoom),
-            connection.invoke("UpdateAudioSettings", audioSettings)
-        ]);
-
-        if (updatedRoomResult) {
-            await loadRooms();
-            // Re-select to refresh UI
-            selectMonitorForEditing(selectedRoomId);
-            showMessage("Configuration saved");
-        } else {
-            showMessage("Error: room not found", true);
+        // One after the other, so a failure part way through leaves a known half saved
+        const updatedRoomResult = await connection.invoke("UpdateRoom", config.room);
+        if (!updatedRoomResult) {
+            setSaveStatus('error', "Monitor not found");
+            if (!auto) showMessage("Error: room not found", true);
+            return false;
         }
+        lastSaveUndo = { ...undo, audioSettings: null, partial: true };
+
+        await connection.invoke("UpdateAudioSettings", config.audioSettings);
+
+        lastSaveUndo = undo;
+        savedConfigSnapshot = snapshot;
+        globalSettings = { ...globalSettings, ...config.audioSettings };
+        refreshInheritedRoomAudio();
+        await loadRooms();
+        updateRoomTitle(updatedRoomResult.name);
+        saved = true;
+        if (!auto) showMessage("Configuration saved");
+        return true;
     } catch (err) {
         console.error("Error saving configuration:", err);
-        showMessage("Error saving configuration", true);
+        setSaveStatus('error', "Save failed");
+        if (!auto) showMessage("Error saving configuration", true);
+        return false;
+    } finally {
+        saveInFlight = false;
+        if (saved) {
+            // Edits made while the save was running still need saving
+            configDirty = getConfigFormSnapshot() !== savedConfigSnapshot;
+            if (configDirty) scheduleAutoSave();
+            else setSaveStatus('saved');
+        }
+    }
+}
+
+// Returns { room, audioSettings } ready for the hub, or { error }
+function collectRoomConfig(room) {
+    if (!validateAudioForm()) {
+        return { error: "Fix the highlighted audio settings before saving" };
     }
+
+    const cameraUrlError = validateCameraStreamUrl();
+    if (cameraUrlError) return { error: cameraUrlError };
+
+    const alertRules = collectAlertRules();
+    if (alertRules.error) return { error: alertRules.error };
+
+    const alertSchedule = collectAlertSchedule();
+    if (alertSchedule.error) return { error: alertSchedule.error };
+
+    return {
+        room: {
+            id: room.id,
+            name: document.getElementById('roomName')?.value || 'Unnamed',
+            icon: selectedIcon,
+            monitorType: document.getElementById('monitorType')?.value || 'camera_audio',
+            enableVideoStream: document.getElementById('enableVideoStream')?.checked || false,
+            enableAudioStream: document.getElementById('enableAudioStream')?.checked || false,
+            streamSourceType: document.getElementById('streamSourceType')?.value || 'rtsp',
+            cameraStreamUrl: document.getElementById('cameraStreamUrl')?.value || '',
+            nestDeviceId: document.getElementById('nestDeviceSelect')?.value || '',
+            ...collectCameraCredentials(),
+            alertRulesJson: alertRules.json,
+            alertScheduleJson: alertSchedule.json,
+            ...collectRoomAudioOverrides(),
+            isActive: room.isActive
+        },
+        // Global audio processing settings
+        audioSettings: collectAudioSettings()
+    };
+}
+
+function collectAudioSettings() {
+    return {
+        soundThreshold: readNumberInput('soundThreshold'),
+        averageSampleCount: readNumberInput('averageSampleCount'),
+        reduceNoise: document.getElementById('reduceNoise')?.checked || false,
+        filterEnabled: document.getElementById('filterEnabled')?.checked || false,
+        lowPassFrequency: readNumberInput('lowPassFrequency'),
+        highPassFrequency: readNumberInput('highPassFrequency'),
+        thresholdPauseDuration: readNumberInput('thresholdPauseDuration'),
+        volumeAdjustmentDb: readNumberInput('volumeAdjustmentDb')
+    };
+}
+
+// Empty or malformed input reads as NaN so validation can flag it
+function readNumberInput(id) {
+    const raw = document.getElementById(id)?.value ?? '';
+    return raw.trim() === '' ? NaN : Number(raw);
+}
+
+function getAudioValueError(key, value) {
+    const limits = AUDIO_SETTING_LIMITS[key];
+    if (!Number.isFinite(value)) return "Enter a number";
+    if (limits.integer && !Number.isInteger(value)) return "Enter a whole number";
+    if (value < limits.min || value > limits.max) return `Must be between ${limits.min} and ${limits.max}`;
+    return null;
+}
+
+function setFieldError(inputId, message) {
+    document.getElementById(inputId)?.classList.toggle('is-invalid', !!message);
+    const error = document.getElementById(`${inputId}Error`);
+    if (error) error.textContent = message || '';
+}
+
+// Checks the global and per-room audio fields, showing any problem next to its field
+function validateAudioForm() {
+    let valid = true;
+    const report = (inputId, message) => {
+        setFieldError(inputId, message);
+        if (message) valid = false;
+    };
+
+    const settings = collectAudioSettings();
+    for (const key of Object.keys(AUDIO_SETTING_LIMITS)) {
+        report(key, getAudioValueError(key, settings[key]));
+    }
+    if (valid && settings.lowPassFrequency <= settings.highPassFrequency) {
+        report('lowPassFrequency', "Must be above the high pass frequency");
+    }
+
+    const overrides = {};
+    for (const field of ROOM_AUDIO_FIELDS) {
+        if (field.type === "boolean") continue;
+        const { input, inherit } = getRoomAudioElements(field);
+        if (!input || !inherit || inherit.checked) {
+            setFieldError(field.inputId, null);
+            continue;
+        }
+        overrides[field.key] = readNumberInput(field.inputId);
+        report(field.inputId, getAudioValueError(field.key, overrides[field.key]));
+    }
+
+    // The room's effective band must still be open, whichever side it overrides
+    const hasRoomBand = overrides.highPassFrequency !== undefined || overrides.lowPassFrequency !== undefined;
+    const highPass = overrides.highPassFrequency ?? settings.highPassFrequency;
+    const lowPass = overrides.lowPassFrequency ?? settings.lowPassFrequency;
+    if (valid && hasRoomBand && lowPass <= highPass) {
+        report(overrides.lowPassFrequency !== undefined ? 'roomLowPassFrequency' : 'roomHighPassFrequency',
+            "Must leave the low pass above the high pass frequency");
+    }
+
+    return valid;
 }
 
 async function deleteCurrentRoom() {
@@ -408,6 +662,10 @@ async function deleteCurrentRoom() {
         const result = await connection.invoke("DeleteRoom", selectedRoomId);
         if (result) {
             selectedRoomId = null;
+            clearTimeout(saveDebounceTimer);
+            configDirty = false;
+            if (lastSaveUndo?.roomId === room.id) lastSaveUndo = null;
+            setSaveStatus('idle');
             document.getElementById('noRoomPlaceholder').style.display = 'block';
             document.getElementById('roomConfigPanel').style.display = 'none';
             document.getElementById('breadcrumbRoomName').textContent = 'Select a Monitor';
@@ -421,15 +679,527 @@ async function deleteCurrentRoom() {
     }
 }
 
+// ===== Unsaved Changes & Auto-Save =====
+function setupConfigChangeTracking() {
+    const panel = document.getElementById('roomConfigPanel');
+    if (!panel) return;
+
+    // Clicks cover the icon picker and the add/remove buttons of the rule and schedule editors
+    for (const type of ['input', 'change', 'click']) {
+        panel.addEventListener(type, onConfigFormEdited);
+    }
+
+    window.addEventListener('beforeunload', (event) => {
+        if (!configDirty && !saveInFlight) return;
+        event.preventDefault();
+        event.returnValue = '';
+    });
+}
+
+// Every editable value in the panel, plus the editor state kept outside inputs.
+// Disabled inputs are left out so inherited room values can follow the global settings.
+function getConfigFormSnapshot() {
+    const fields = {};
+    document.querySelectorAll('#roomConfigPanel input, #roomConfigPanel select, #roomConfigPanel textarea')
+        .forEach((element, index) => {
+            if (element.disabled || CONFIG_UNTRACKED_FIELDS.has(element.id)) return;
+            fields[element.id || `#${index}`] = element.type === 'checkbox' ? element.checked : element.value;
+        });
+
+    return JSON.stringify({
+        roomId: selectedRoomId,
+        icon: selectedIcon,
+        fields,
+        alertRules: editingAlertRules,
+        scheduleWindows: editingScheduleWindows
+    });
+}
+
+function markConfigClean() {
+    savedConfigSnapshot = getConfigFormSnapshot();
+    configDirty = false;
+}
+
+function onConfigFormEdited(event) {
+    if (!selectedRoomId || savedConfigSnapshot === null) return;
+    if (CONFIG_UNTRACKED_FIELDS.has(event?.target?.id)) return;
+
+    const dirty = getConfigFormSnapshot() !== savedConfigSnapshot;
+    if (!dirty && !configDirty) return;
+
+    configDirty = dirty;
+    if (dirty) {
+        scheduleAutoSave();
+    } else {
+        // Edited back to what was saved
+        clearTimeout(saveDebounceTimer);
+        setSaveStatus(lastSaveUndo?.roomId === selectedRoomId ? 'saved' : 'idle');
+    }
+}
+
+function scheduleAutoSave() {
+    clearTimeout(saveDebounceTimer);
+    setSaveStatus('dirty');
+    saveDebounceTimer = setTimeout(() => saveRoomConfig({ auto: true }), AUTO_SAVE_DELAY_MS);
+}
+
+// Resolves true when it is safe to leave the current room's form
+async function resolveUnsavedChanges() {
+    while (saveInFlight) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (!configDirty) return true;
+    if (await saveRoomConfig({ auto: true })) return true;
+
+    if (!confirm("This monitor has changes that could not be saved. Discard them?")) return false;
+    clearTimeout(saveDebounceTimer);
+    configDirty = false;
+    return true;
+}
+
+function pickAudioSettings(settings) {
+    return {
+        soundThreshold: settings.soundThreshold,
+        averageSampleCount: settings.averageSampleCount,
+        reduceNoise: !!settings.reduceNoise,
+        filterEnabled: !!settings.filterEnabled,
+        lowPassFrequency: settings.lowPassFrequency,
+        highPassFrequency: settings.highPassFrequency,
+        thresholdPauseDuration: settings.thresholdPauseDuration,
+        volumeAdjustmentDb: settings.volumeAdjustmentDb
+    };
+}
+
+function setSaveStatus(state, detail = '') {
+    const status = document.getElementById('saveStatus');
+    const undoButton = document.getElementById('undoSaveBtn');
+    if (!status) return;
+
+    const content = {
+        idle: '',
+        dirty: '<i class="fas fa-circle"></i> Unsaved changes',
+        saving: '<i class="fas fa-spinner fa-spin"></i> Saving...',
+        saved: '<i class="fas fa-check"></i> All changes saved',
+        error: `<i class="fas fa-exclamation-triangle"></i> Not saved: ${escapeHtml(detail)}`
+    };
+    status.innerHTML = content[state] ?? '';
+    status.dataset.state = state;
+
+    if (undoButton) {
+        undoButton.style.display = state === 'saved' && lastSaveUndo ? '' : 'none';
+    }
+}
+
+// Puts back the room and global audio settings as they were before the most recent save
+async function undoLastSave() {
+    const undo = lastSaveUndo;
+    if (!undo) return;
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+        showMessage("Not connected to server.", true);
+        return;
+    }
+
+    clearTimeout(saveDebounceTimer);
+    lastSaveUndo = null;
+    saveInFlight = true;
+    setSaveStatus('saving');
+    try {
+        const [restoredRoom] = await Promise.all([
+            connection.invoke("UpdateRoom", undo.room),
+            undo.audioSettings ? connection.invoke("UpdateAudioSettings", undo.audioSettings) : Promise.resolve()
+        ]);
+
+        if (undo.audioSettings) {
+            globalSettings = { ...globalSettings, ...undo.audioSettings };
+            updateGlobalSettingsUI(globalSettings);
+        }
+        await loadRooms();
+
+        if (restoredRoom && selectedRoomId === undo.roomId) {
+            selectMonitorForEditing(undo.roomId);
+        } else {
+            if (!configDirty) markConfigClean();
+            setSaveStatus(configDirty ? 'dirty' : 'idle');
+        }
+        showMessage(restoredRoom ? "Last save undone" : "Monitor no longer exists; global settings restored", !restoredRoom);
+    } catch (err) {
+        console.error("Error undoing last save:", err);
+        lastSaveUndo = undo;
+        setSaveStatus('error', "Undo failed");
+        showMessage("Error undoing last save", true);
+    } finally {
+        saveInFlight = false;
+    }
+}
+
+// ===== Room Audio Overrides =====
+function getRoomAudioElements(field) {
+    return {
+        row: document.querySelector(`.room-audio-row[data-room-audio="${field.key}"]`),
+        input: document.getElementById(field.inputId),
+        inherit: document.getElementById(`${field.inputId}Inherit`)
+    };
+}
+
+function loadRoomAudioEditor(room) {
+    for (const field of ROOM_AUDIO_FIELDS) {
+        const { input, inherit } = getRoomAudioElements(field);
+        if (!input || !inherit) continue;
+
+        const value = room[field.key];
+        inherit.checked = value === null || value === undefined;
+        if (!inherit.checked) input.value = String(value);
+        applyRoomAudioInherit(field);
+    }
+    validateAudioForm();
+    updatePreviewMeterThreshold();
+}
+
+function onRoomAudioInheritChanged(key) {
+    const field = ROOM_AUDIO_FIELDS.find(f => f.key === key);
+    if (!field) return;
+
+    applyRoomAudioInherit(field);
+    validateAudioForm();
+    if (key === "soundThreshold") updatePreviewMeterThreshold();
+}
+
+// Inherited fields are read-only and show the current global value
+function applyRoomAudioInherit(field) {
+    const { row, input, inherit } = getRoomAudioElements(field);
+    if (!input || !inherit) return;
+
+    input.disabled = inherit.checked;
+    row?.classList.toggle('inherited', inherit.checked);
+    if (inherit.checked) {
+        const globalValue = globalSettings?.[field.key];
+        input.value = globalValue === undefined || globalValue === null ? '' : String(globalValue);
+    }
+}
+
+function refreshInheritedRoomAudio() {
+    ROOM_AUDIO_FIELDS.forEach(applyRoomAudioInherit);
+}
+
+// Null for every inherited field; values are checked by validateAudioForm first
+function collectRoomAudioOverrides() {
+    const overrides = {};
+
+    for (const field of ROOM_AUDIO_FIELDS) {
+        const { input, inherit } = getRoomAudioElements(field);
+        if (!input || !inherit || inherit.checked) {
+            overrides[field.key] = null;
+        } else if (field.type === "boolean") {
+            overrides[field.key] = input.value === "true";
+        } else {
+            overrides[field.key] = readNumberInput(field.inputId);
+        }
+    }
+
+    return overrides;
+}
+
+// Global settings as edited, with this room's overrides applied
+function getEffectiveRoomAudioSettings() {
+    const settings = collectAudioSettings();
+    for (const [key, value] of Object.entries(collectRoomAudioOverrides())) {
+        if (value !== null) settings[key] = value;
+    }
+    return settings;
+}
+
+// ===== Alert Rules Editor =====
+function loadAlertRulesEditor(json) {
+    let config = null;
+    try {
+        config = json ? JSON.parse(json) : null;
+    } catch {
+        config = null;
+    }
+
+    editingAlertRules = Array.isArray(config?.rules) ? config.rules.map(rule => ({ ...rule })) : [];
+    const escalation = { ...DEFAULT_ALERT_ESCALATION, ...(config?.escalation ?? {}) };
+
+    const enabledInput = document.getElementById('alertRulesEnabled');
+    if (enabledInput) enabledInput.checked = !!config && config.enabled !== false && editingAlertRules.length > 0;
+
+    document.getElementById('alertNotifyAfter').value = escalation.notifyAfterSeconds;
+    document.getElementById('alertSirenAfter').value = escalation.sirenAfterSeconds;
+    document.getElementById('alertQuietReset').value = escalation.quietResetSeconds;
+    document.getElementById('alertSirenEnabled').checked = !!escalation.sirenEnabled;
+
+    onAlertRulesEnabledChanged();
+}
+
+function onAlertRulesEnabledChanged() {
+    const enabled = document.getElementById('alertRulesEnabled')?.checked || false;
+    const fields = document.getElementById('alertRulesFields');
+    if (fields) fields.style.display = enabled ? 'block' : 'none';
+
+    // Start from a useful rule instead of an empty list
+    if (enabled && editingAlertRules.length === 0) {
+        editingAlertRules.push({ ...ALERT_RULE_TEMPLATES.sustained });
+    }
+    renderAlertRules();
+}
+
+function renderAlertRules() {
+    const container = document.getElementById('alertRulesList');
+    if (!container) return;
+
+    if (editingAlertRules.length === 0) {
+        container.innerHTML = '<div class="alert-rules-empty">No rules yet. Add one below.</div>';
+        return;
+    }
+
+    container.innerHTML = editingAlertRules.map((rule, index) => {
+        const levelField = renderAlertRuleField(index, 'levelDb', 'Level (dB)', rule.levelDb, -90, 0, 0.5);
+        const fields = rule.type === 'sustained'
+            ? renderAlertRuleField(index, 'durationSeconds', 'For (s)', rule.durationSeconds, 1, 3600, 1)
+            : renderAlertRuleField(index, 'count', 'Spikes', rule.count, 2, 100, 1) +
+              renderAlertRuleField(index, 'windowMinutes', 'Within (min)', rule.windowMinutes, 1, 60, 1);
+
+        return `
+            <div class="alert-rule-row">
+                <span class="alert-rule-title">${rule.type === 'sustained' ? 'Sustained noise' : 'Repeated spikes'}</span>
+                ${levelField}
+                ${fields}
+                <button type="button" class="alert-rule-remove" onclick="removeAlertRule(${index})" title="Remove rule">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderAlertRuleField(index, name, label, value, min, max, step) {
+    return `
+        <div class="alert-rule-field">
+            <label class="form-label-dark" for="alertRule-${index}-${name}">${label}</label>
+            <input id="alertRule-${index}-${name}" class="form-control-dark" type="number"
+                   min="${min}" max="${max}" step="${step}" value="${value ?? ''}"
+                   onchange="updateAlertRuleField(${index}, '${name}', this.value)" />
+        </div>
+    `;
+}
+
+function addAlertRule(type) {
+    const template = ALERT_RULE_TEMPLATES[type];
+    if (!template) return;
+    editingAlertRules.push({ ...template });
+    renderAlertRules();
+}
+
+function removeAlertRule(index) {
+    editingAlertRules.splice(index, 1);
+    renderAlertRules();
+}
+
+function updateAlertRuleField(index, name, value) {
+    const rule = editingAlertRules[index];
+    if (!rule) return;
+    rule[name] = parseFloat(value);
+}
+
+function collectAlertRules() {
+    const enabled = document.getElementById('alertRulesEnabled')?.checked || false;
+    if (editingAlertRules.length === 0) {
+        return { json: null };
+    }
+
+    // Switched off: keep the rules as edited, so switching back on restores them
+    if (!enabled) {
+        return { json: JSON.stringify({ enabled: false, rules: editingAlertRules, escalation: collectAlertEscalation() }) };
+    }
+
+    for (const rule of editingAlertRules) {
+        if (!Number.isFinite(rule.levelDb) || rule.levelDb < -90 || rule.levelDb > 0) {
+            return { error: "Alert rule levels must be between -90 and 0 dB" };
+        }
+        if (rule.type === 'sustained' && !(rule.durationSeconds >= 1 && rule.durationSeconds <= 3600)) {
+            return { error: "Sustained noise duration must be between 1 and 3600 seconds" };
+        }
+        if (rule.type === 'spikes' && !(Number.isInteger(rule.count) && rule.count >= 2 && rule.count <= 100)) {
+            return { error: "Spike count must be a whole number between 2 and 100" };
+        }
+        if (rule.type === 'spikes' && !(rule.windowMinutes >= 1 && rule.windowMinutes <= 60)) {
+            return { error: "Spike window must be between 1 and 60 minutes" };
+        }
+    }
+
+    const escalation = collectAlertEscalation();
+    if (!(escalation.notifyAfterSeconds >= 0 && escalation.notifyAfterSeconds <= 3600) ||
+        !(escalation.sirenAfterSeconds >= 0 && escalation.sirenAfterSeconds <= 3600)) {
+        return { error: "Escalation delays must be between 0 and 3600 seconds" };
+    }
+    if (!(escalation.quietResetSeconds >= 5 && escalation.quietResetSeconds <= 3600)) {
+        return { error: "Quiet reset must be between 5 and 3600 seconds" };
+    }
+
+    return { json: JSON.stringify({ enabled: true, rules: editingAlertRules, escalation }) };
+}
+
+function collectAlertEscalation() {
+    return {
+        notifyAfterSeconds: parseInt(document.getElementById('alertNotifyAfter')?.value, 10),
+        sirenEnabled: document.getElementById('alertSirenEnabled')?.checked || false,
+        sirenAfterSeconds: parseInt(document.getElementById('alertSirenAfter')?.value, 10),
+        quietResetSeconds: parseInt(document.getElementById('alertQuietReset')?.value, 10)
+    };
+}
+
+// ===== Alert Schedule Editor =====
+function loadAlertScheduleEditor(json) {
+    let config = null;
+    try {
+        config = json ? JSON.parse(json) : null;
+    } catch {
+        config = null;
+    }
+
+    editingScheduleWindows = Array.isArray(config?.windows)
+        ? config.windows.map(w => ({ days: [...(w.days ?? [])], start: w.start, end: w.end }))
+        : [];
+
+    const enabledInput = document.getElementById('alertScheduleEnabled');
+    if (enabledInput) enabledInput.checked = !!config && config.enabled !== false && editingScheduleWindows.length > 0;
+
+    onAlertScheduleEnabledChanged();
+}
+
+function onAlertScheduleEnabledChanged() {
+    const enabled = document.getElementById('alertScheduleEnabled')?.checked || false;
+    const fields = document.getElementById('alertScheduleFields');
+    if (fields) fields.style.display = enabled ? 'block' : 'none';
+
+    if (enabled && editingScheduleWindows.length === 0) {
+        editingScheduleWindows.push({ ...SCHEDULE_WINDOW_TEMPLATE, days: [...SCHEDULE_WINDOW_TEMPLATE.days] });
+    }
+    renderScheduleWindows();
+}
+
+function renderScheduleWindows() {
+    const container = document.getElementById('alertScheduleList');
+    if (!container) return;
+
+    if (editingScheduleWindows.length === 0) {
+        container.innerHTML = '<div class="alert-rules-empty">No time windows yet. Add one below.</div>';
+        return;
+    }
+
+    container.innerHTML = editingScheduleWindows.map((slot, index) => `
+        <div class="schedule-window-row">
+            <div class="schedule-days">
+                ${SCHEDULE_DAY_LABELS.map((label, day) => `
+                    <button type="button" class="schedule-day ${slot.days.includes(day) ? 'selected' : ''}"
+                            onclick="toggleScheduleDay(${index}, ${day})">${label}</button>
+                `).join('')}
+            </div>
+            <div>
+                <label class="form-label-dark" for="scheduleStart-${index}">From</label>
+                <input id="scheduleStart-${index}" class="form-control-dark" type="time" value="${escapeHtml(slot.start || '')}"
+                       onchange="updateScheduleWindow(${index}, 'start', this.value)" />
+            </div>
+            <div>
+                <label class="form-label-dark" for="scheduleEnd-${index}">Until</label>
+                <input id="scheduleEnd-${index}" class="form-control-dark" type="time" value="${escapeHtml(slot.end || '')}"
+                       onchange="updateScheduleWindow(${index}, 'end', this.value)" />
+            </div>
+            <button type="button" class="alert-rule-remove" onclick="removeScheduleWindow(${index})" title="Remove window">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+function addScheduleWindow() {
+    editingScheduleWindows.push({ ...SCHEDULE_WINDOW_TEMPLATE, days: [...SCHEDULE_WINDOW_TEMPLATE.days] });
+    renderScheduleWindows();
+}
+
+function removeScheduleWindow(index) {
+    editingScheduleWindows.splice(index, 1);
+    renderScheduleWindows();
+}
+
+function toggleScheduleDay(index, day) {
+    const slot = editingScheduleWindows[index];
+    if (!slot) return;
+    slot.days = slot.days.includes(day)
+        ? slot.days.filter(d => d !== day)
+        : [...slot.days, day].sort((a, b) => a - b);
+    renderScheduleWindows();
+}
+
+function updateScheduleWindow(index, field, value) {
+    const slot = editingScheduleWindows[index];
+    if (!slot) return;
+    slot[field] = value;
+}
+
+function collectAlertSchedule() {
+    const enabled = document.getElementById('alertScheduleEnabled')?.checked || false;
+    if (editingScheduleWindows.length === 0) {
+        return { json: null };
+    }
+
+    // The server checks the schedule for push notifications, in the time zone it was set in
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    // Switched off: keep the windows as edited, so switching back on restores them
+    if (!enabled) {
+        return { json: JSON.stringify({ enabled: false, windows: editingScheduleWindows, timeZone }) };
+    }
+
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    for (const slot of editingScheduleWindows) {
+        if (slot.days.length === 0) {
+            return { error: "Each schedule window needs at least one day" };
+        }
+        if (!timePattern.test(slot.start || '') || !timePattern.test(slot.end || '')) {
+            return { error: "Schedule windows need a start and end time" };
+        }
+    }
+
+    return { json: JSON.stringify({ enabled: true, windows: editingScheduleWindows, timeZone }) };
+}
+
+async function setDoNotDisturb(enabled) {
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+        showMessage("Not connected to server.", true);
+        updateGlobalSettingsUI(globalSettings);
+        return;
+    }
+
+    try {
+        globalSettings = await connection.invoke("SetDoNotDisturb", enabled);
+        showMessage(enabled ? "Do not disturb is on" : "Do not disturb is off");
+    } catch (err) {
+        console.error("Error updating do not disturb:", err);
+        showMessage("Error updating do not disturb", true);
+        updateGlobalSettingsUI(globalSettings);
+    }
+}
+
 // ===== Global Settings UI =====
 function updateGlobalSettingsUI(settings) {
     if (!settings) return;
 
     const thresholdInput = document.getElementById('soundThreshold');
     if (thresholdInput) thresholdInput.value = settings.soundThreshold;
+    updatePreviewMeterThreshold();
+
+    const averageSampleInput = document.getElementById('averageSampleCount');
+    if (averageSampleInput) averageSampleInput.value = settings.averageSampleCount;
+
+    const pauseInput = document.getElementById('thresholdPauseDuration');
+    if (pauseInput) pauseInput.value = settings.thresholdPauseDuration;
+
+    const volumeInput = document.getElementById('volumeAdjustmentDb');
+    if (volumeInput) volumeInput.value = settings.volumeAdjustmentDb;
 
     const reduceNoiseInput = document.getElementById('reduceNoise');
-    if (reduceNoiseInput) reduceNoiseInput.checked = settings.filterEnabled;
+    if (reduceNoiseInput) reduceNoiseInput.checked = !!settings.reduceNoise;
 
     const filterEnabledInput = document.getElementById('filterEnabled');
     if (filterEnabledInput) filterEnabledInput.checked = settings.filterEnabled;
@@ -439,6 +1209,12 @@ function updateGlobalSettingsUI(settings) {
 
     const lowPassInput = document.getElementById('lowPassFrequency');
     if (lowPassInput) lowPassInput.value = settings.lowPassFrequency;
+
+    const doNotDisturbInput = document.getElementById('doNotDisturb');
+    if (doNotDisturbInput) doNotDisturbInput.checked = !!settings.doNotDisturb;
+
+    refreshInheritedRoomAudio();
+    validateAudioForm();
 }
 
 // ===== WebRTC Implementation =====
@@ -574,6 +1350,10 @@ function setupPeerConnectionHandlers() {
 async function stopWebRtcStream() {
     pendingIceCandidates = [];
 
+    if (calibration && !calibration.result) {
+        cancelCalibration("The preview stopped before calibration finished");
+    }
+
     if (peerConnection) {
         try {
             if (previewRoomId) {
@@ -597,6 +1377,15 @@ async function stopWebRtcStream() {
 }
 
 // ===== UI Updates =====
+// The marker follows the effective threshold as it is edited, before it is saved:
+// the room's own value unless it inherits the global one
+function updatePreviewMeterThreshold() {
+    const inheritsThreshold = document.getElementById('roomSoundThresholdInherit')?.checked ?? true;
+    const thresholdInputId = selectedRoomId && !inheritsThreshold ? 'roomSoundThreshold' : 'soundThreshold';
+    const threshold = parseFloat(document.getElementById(thresholdInputId)?.value);
+    setLevelMeterThreshold(document.getElementById('audioMeter'), Number.isFinite(threshold) ? threshold : null);
+}
+
 function setMonitoringState(isMonitoring) {
     const badge = document.getElementById('monitoringBadge');
     const badgeText = document.getElementById('monitoringBadgeText');
@@ -615,11 +1404,11 @@ function updateAudioMeter(level) {
     const meter = document.getElementById('audioMeter');
     if (!meter) return;
 
-    // Map the dB level to a meter percentage (-90 to 0)
-    const minDb = -90;
-    const percentage = 100 - Math.max(0, Math.min(100, ((level - 0) / minDb) * 100));
+    updateLevelMeter(meter, level);
 
-    meter.style.width = percentage + '%';
+    if (calibration && !calibration.result) {
+        calibration.levels.push(level);
+    }
 
     // Update large number display
     const levelValue = document.getElementById('audioLevelValue');
@@ -659,6 +1448,519 @@ function showMessage(message, isError = false) {
     }, 3000);
 }
 
+// ===== Threshold Calibration =====
+async function startCalibration() {
+    if (!selectedRoomId) return;
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+        showMessage("Not connected to server.", true);
+        return;
+    }
+
+    // Calibrate against the room being edited, starting its preview if needed
+    if (!peerConnection || previewRoomId !== selectedRoomId) {
+        await startWebRtcStream();
+        if (!peerConnection) {
+            showMessage("Could not start the preview for calibration", true);
+            return;
+        }
+    }
+
+    calibration = {
+        roomId: selectedRoomId,
+        levels: [],
+        power: null,
+        frames: 0,
+        startedAt: Date.now(),
+        timer: setInterval(updateCalibrationProgress, 500),
+        spectrumTimer: null,
+        nodes: null,
+        result: null
+    };
+    startCalibrationSpectrum();
+    showCalibrationStep('recording');
+    updateCalibrationProgress();
+}
+
+// Averages the ambient spectrum of the preview audio, used for the filter suggestions
+function startCalibrationSpectrum() {
+    const stream = audioElement?.srcObject;
+    try {
+        initAudioContext();
+        if (!audioContext || !stream || stream.getAudioTracks().length === 0) return;
+        void audioContext.resume();
+
+        const source = audioContext.createMediaStreamSource(stream);
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 2048;
+        const sink = audioContext.createGain();
+        sink.gain.value = 0;
+        source.connect(analyser);
+        analyser.connect(sink);
+        sink.connect(audioContext.destination);
+
+        const bins = new Float32Array(analyser.frequencyBinCount);
+        calibration.power = new Float64Array(analyser.frequencyBinCount);
+        calibration.nodes = { source, analyser, sink };
+        calibration.spectrumTimer = setInterval(() => {
+            analyser.getFloatFrequencyData(bins);
+            for (let i = 0; i < bins.length; i++) {
+                if (Number.isFinite(bins[i])) calibration.power[i] += Math.pow(10, bins[i] / 10);
+            }
+            calibration.frames++;
+        }, CALIBRATION_SPECTRUM_INTERVAL_MS);
+    } catch (err) {
+        console.warn("Calibration spectrum unavailable:", err);
+    }
+}
+
+function stopCalibrationCapture() {
+    if (!calibration) return;
+    clearInterval(calibration.timer);
+    clearInterval(calibration.spectrumTimer);
+    if (calibration.nodes) {
+        calibration.nodes.source.disconnect();
+        calibration.nodes.analyser.disconnect();
+        calibration.nodes.sink.disconnect();
+        calibration.nodes = null;
+    }
+}
+
+function updateCalibrationProgress() {
+    if (!calibration || calibration.result) return;
+
+    const elapsed = Date.now() - calibration.startedAt;
+    const progress = document.getElementById('calibrationProgress');
+    if (progress) progress.style.width = Math.min(100, (elapsed / CALIBRATION_DURATION_MS) * 100) + '%';
+
+    const status = document.getElementById('calibrationStatusText');
+    const remaining = Math.max(0, Math.ceil((CALIBRATION_DURATION_MS - elapsed) / 1000));
+    if (status) status.textContent = `Keep the room quiet \u2014 ${remaining} s left, ${calibration.levels.length} samples`;
+
+    if (elapsed >= CALIBRATION_DURATION_MS) {
+        finishCalibration();
+    }
+}
+
+function cancelCalibration(reason) {
+    stopCalibrationCapture();
+    calibration = null;
+    showCalibrationStep('intro');
+    if (reason) showMessage(reason, true);
+}
+
+function finishCalibration() {
+    stopCalibrationCapture();
+
+    if (calibration.levels.length < CALIBRATION_MIN_SAMPLES) {
+        cancelCalibration("Not enough audio level samples were received; check the preview and try again");
+        return;
+    }
+
+    const sorted = [...calibration.levels].sort((a, b) => a - b);
+    const stats = {
+        min: sorted[0],
+        median: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        max: sorted[sorted.length - 1]
+    };
+    calibration.result = { stats, suggestion: suggestCalibrationSettings(stats) };
+
+    renderCalibrationResult(sorted);
+    showCalibrationStep('result');
+}
+
+function percentile(sorted, fraction) {
+    const index = (sorted.length - 1) * fraction;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+// Threshold: comfortably above ordinary quiet-room peaks.
+// Filters: the more ambient energy sits outside the cry band, the harder they cut.
+function suggestCalibrationSettings(stats) {
+    const threshold = Math.min(-5, Math.round((stats.p95 + CALIBRATION_MARGIN_DB) * 2) / 2);
+    const current = getEffectiveRoomAudioSettings();
+    const suggestion = {
+        soundThreshold: threshold,
+        highPassFrequency: current.highPassFrequency,
+        lowPassFrequency: current.lowPassFrequency,
+        filterEnabled: current.filterEnabled,
+        lowShare: null,
+        highShare: null
+    };
+
+    if (!calibration.power || calibration.frames === 0) return suggestion;
+
+    const binHz = audioContext.sampleRate / 2 / calibration.power.length;
+    let total = 0;
+    let low = 0;
+    let high = 0;
+    for (let i = 1; i < calibration.power.length; i++) {
+        const frequency = i * binHz;
+        const power = calibration.power[i];
+        total += power;
+        if (frequency < CALIBRATION_CRY_BAND_HZ.low) low += power;
+        else if (frequency > CALIBRATION_CRY_BAND_HZ.high) high += power;
+    }
+    if (total <= 0) return suggestion;
+
+    suggestion.lowShare = low / total;
+    suggestion.highShare = high / total;
+    suggestion.highPassFrequency = Math.round((80 + (CALIBRATION_CRY_BAND_HZ.low - 80) * Math.min(1, suggestion.lowShare / 0.5)) / 10) * 10;
+    suggestion.lowPassFrequency = Math.round((8000 - (8000 - CALIBRATION_CRY_BAND_HZ.high) * Math.min(1, suggestion.highShare / 0.5)) / 100) * 100;
+    suggestion.filterEnabled = current.filterEnabled || suggestion.lowShare > 0.15 || suggestion.highShare > 0.15;
+    return suggestion;
+}
+
+function renderCalibrationResult(sorted) {
+    const { stats, suggestion } = calibration.result;
+    document.getElementById('calibrationMin').textContent = `${stats.min.toFixed(1)} dB`;
+    document.getElementById('calibrationMedian').textContent = `${stats.median.toFixed(1)} dB`;
+    document.getElementById('calibrationP95').textContent = `${stats.p95.toFixed(1)} dB`;
+    document.getElementById('calibrationMax').textContent = `${stats.max.toFixed(1)} dB`;
+
+    // Level distribution, with the suggested threshold bin highlighted
+    const histogram = document.getElementById('calibrationHistogram');
+    if (histogram) {
+        const start = Math.floor(stats.min / CALIBRATION_HISTOGRAM_BIN_DB) * CALIBRATION_HISTOGRAM_BIN_DB;
+        const end = Math.max(start + CALIBRATION_HISTOGRAM_BIN_DB, Math.ceil(suggestion.soundThreshold / CALIBRATION_HISTOGRAM_BIN_DB) * CALIBRATION_HISTOGRAM_BIN_DB);
+        const counts = new Array(Math.round((end - start) / CALIBRATION_HISTOGRAM_BIN_DB) + 1).fill(0);
+        for (const level of sorted) {
+            counts[Math.min(counts.length - 1, Math.floor((level - start) / CALIBRATION_HISTOGRAM_BIN_DB))]++;
+        }
+        const peak = Math.max(...counts);
+        histogram.innerHTML = counts.map((count, i) => {
+            const from = start + i * CALIBRATION_HISTOGRAM_BIN_DB;
+            const isThreshold = suggestion.soundThreshold >= from && suggestion.soundThreshold < from + CALIBRATION_HISTOGRAM_BIN_DB;
+            return `<div class="calibration-histogram-bar ${isThreshold ? 'threshold' : ''}"
+                         style="height: ${isThreshold && count === 0 ? 100 : Math.max(2, (count / peak) * 100)}%;"
+                         title="${from} to ${from + CALIBRATION_HISTOGRAM_BIN_DB} dB: ${isThreshold ? 'suggested threshold' : `${count} samples`}"></div>`;
+        }).join('');
+    }
+
+    const lines = [`Threshold <strong>${suggestion.soundThreshold.toFixed(1)} dB</strong> (95th percentile + ${CALIBRATION_MARGIN_DB} dB)`];
+    if (suggestion.lowShare !== null) {
+        lines.push(`High pass <strong>${suggestion.highPassFrequency} Hz</strong> (${Math.round(suggestion.lowShare * 100)}% of the quiet-room sound is below ${CALIBRATION_CRY_BAND_HZ.low} Hz)`);
+        lines.push(`Low pass <strong>${suggestion.lowPassFrequency} Hz</strong> (${Math.round(suggestion.highShare * 100)}% is above ${CALIBRATION_CRY_BAND_HZ.high} Hz)`);
+        lines.push(`Audio filters <strong>${suggestion.filterEnabled ? 'on' : 'off'}</strong>`);
+    } else {
+        lines.push("Filter settings are unchanged (the room audio could not be analysed in this browser)");
+    }
+    document.getElementById('calibrationSuggestion').innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+}
+
+async function applyCalibration() {
+    if (!calibration?.result) return;
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+        showMessage("Not connected to server.", true);
+        return;
+    }
+    if (calibration.roomId !== selectedRoomId) return;
+
+    // The measurement belongs to this room, so it becomes the room's own audio settings. It goes
+    // through the form and a normal save, so other edits not saved yet are kept and saved with it.
+    const { suggestion } = calibration.result;
+    for (const field of ROOM_AUDIO_FIELDS) {
+        if (!(field.key in suggestion)) continue;
+
+        const { input, inherit } = getRoomAudioElements(field);
+        if (!input || !inherit) continue;
+
+        inherit.checked = false;
+        applyRoomAudioInherit(field);
+        input.value = String(suggestion[field.key]);
+    }
+    validateAudioForm();
+    updatePreviewMeterThreshold();
+    onConfigFormEdited();
+
+    if (await saveRoomConfig({ auto: true })) {
+        resetCalibrationUI();
+        showMessage("Calibrated settings applied to this monitor");
+    } else {
+        showMessage("Calibrated settings are in the form but could not be saved yet", true);
+    }
+}
+
+function resetCalibrationUI() {
+    stopCalibrationCapture();
+    calibration = null;
+    showCalibrationStep('intro');
+}
+
+function showCalibrationStep(step) {
+    const steps = { intro: 'calibrationIntro', recording: 'calibrationRecording', result: 'calibrationResult' };
+    for (const [name, id] of Object.entries(steps)) {
+        const el = document.getElementById(id);
+        if (el) el.style.display = name === step ? '' : 'none';
+    }
+}
+
+// ===== RTSP Source (URL builder & credentials) =====
+function initializeRtspUrlBuilder() {
+    const select = document.getElementById('rtspPreset');
+    if (!select) return;
+
+    select.innerHTML = Object.entries(RTSP_URL_PRESETS)
+        .map(([value, preset]) => `<option value="${value}">${escapeHtml(preset.label)}</option>`)
+        .join('');
+}
+
+function toggleRtspUrlBuilder(show) {
+    const builder = document.getElementById('rtspUrlBuilder');
+    if (!builder) return;
+
+    const visible = show ?? builder.style.display === 'none';
+    builder.style.display = visible ? 'block' : 'none';
+    if (visible) prefillRtspUrlBuilder(document.getElementById('cameraStreamUrl')?.value || '');
+}
+
+// Starts from the current URL when it parses, so the builder can also tweak an existing one
+function prefillRtspUrlBuilder(url) {
+    let parsed = null;
+    try {
+        parsed = url ? new URL(url) : null;
+    } catch {
+        parsed = null;
+    }
+
+    const presetKey = parsed
+        ? Object.keys(RTSP_URL_PRESETS).find(key => key !== "custom" && RTSP_URL_PRESETS[key].path === parsed.pathname) ?? "custom"
+        : "tapo";
+    const preset = RTSP_URL_PRESETS[presetKey];
+
+    document.getElementById('rtspPreset').value = presetKey;
+    document.getElementById('rtspHost').value = parsed?.hostname ?? '';
+    document.getElementById('rtspPort').value = parsed?.port || preset.port;
+    document.getElementById('rtspPath').value = parsed ? `${parsed.pathname}${parsed.search}` : preset.path;
+    document.getElementById('rtspPresetHint').textContent = preset.hint;
+    updateRtspUrlPreview();
+}
+
+function onRtspPresetChanged() {
+    const preset = RTSP_URL_PRESETS[document.getElementById('rtspPreset')?.value];
+    if (!preset) return;
+
+    document.getElementById('rtspPort').value = preset.port;
+    document.getElementById('rtspPath').value = preset.path;
+    document.getElementById('rtspPresetHint').textContent = preset.hint;
+    updateRtspUrlPreview();
+}
+
+// Returns { url } or { error }; credentials stay in their own fields rather than the URL
+function buildRtspUrl() {
+    const host = (document.getElementById('rtspHost')?.value || '').trim();
+    const portText = (document.getElementById('rtspPort')?.value || '').trim();
+    let path = (document.getElementById('rtspPath')?.value || '').trim();
+
+    if (!host) return { error: "Enter the camera's IP address or host name" };
+    if (/[\s/@:]/.test(host) && !/^\[[0-9a-fA-F:.]+\]$/.test(host)) {
+        return { error: "Host should be an IP address or host name only" };
+    }
+
+    const port = portText === '' ? null : Number(portText);
+    if (port !== null && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+        return { error: "Port must be between 1 and 65535" };
+    }
+
+    if (!path.startsWith('/')) path = `/${path}`;
+    const url = `rtsp://${host}${port !== null ? `:${port}` : ''}${path}`;
+    const error = getCameraStreamUrlError(url);
+    return error ? { error } : { url };
+}
+
+function updateRtspUrlPreview() {
+    const result = buildRtspUrl();
+    document.getElementById('rtspUrlPreview').textContent = result.url ?? '';
+    setFieldError('rtspUrlPreview', result.error ?? null);
+}
+
+function applyBuiltRtspUrl() {
+    const result = buildRtspUrl();
+    if (result.error) {
+        updateRtspUrlPreview();
+        return;
+    }
+
+    const input = document.getElementById('cameraStreamUrl');
+    if (!input) return;
+    input.value = result.url;
+    // Let dirty tracking and validation see the change like a typed edit
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    toggleRtspUrlBuilder(false);
+}
+
+// An empty URL is allowed (the monitor just has nothing to stream yet)
+function getCameraStreamUrlError(url) {
+    if (!url) return null;
+    if (/\s/.test(url)) return "The URL must not contain spaces";
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return "Enter a full URL such as rtsp://192.168.1.100:554/stream1";
+    }
+
+    if (!CAMERA_URL_PROTOCOLS.includes(parsed.protocol)) {
+        return "The URL must start with rtsp://, rtsps://, http:// or https://";
+    }
+    if (!parsed.hostname) return "The URL is missing the camera's host";
+    if (parsed.port && (Number(parsed.port) < 1 || Number(parsed.port) > 65535)) {
+        return "Port must be between 1 and 65535";
+    }
+    return null;
+}
+
+// Only RTSP sources use the URL, so a Nest room is never blocked by a stale one
+function validateCameraStreamUrl() {
+    const sourceType = document.getElementById('streamSourceType')?.value || 'rtsp';
+    const url = (document.getElementById('cameraStreamUrl')?.value || '').trim();
+    const error = sourceType === 'rtsp' ? getCameraStreamUrlError(url) : null;
+    setFieldError('cameraStreamUrl', error);
+    return error;
+}
+
+// The saved password is never shown; a blank field keeps it
+function loadCameraCredentials(room) {
+    const hasPassword = !!room.hasCameraPassword;
+
+    document.getElementById('cameraUsername').value = room.cameraUsername || '';
+    const passwordInput = document.getElementById('cameraPassword');
+    passwordInput.value = '';
+    passwordInput.placeholder = hasPassword ? "Unchanged" : "Optional";
+    document.getElementById('cameraPasswordHint').style.display = hasPassword ? '' : 'none';
+
+    document.getElementById('clearCameraPassword').checked = false;
+    document.getElementById('clearCameraPasswordRow').style.display = hasPassword ? '' : 'none';
+}
+
+function collectCameraCredentials() {
+    const typedPassword = document.getElementById('cameraPassword')?.value || '';
+    const clearPassword = document.getElementById('clearCameraPassword')?.checked || false;
+
+    // The server keeps the saved password for a null one and only removes it when asked to
+    return {
+        cameraUsername: (document.getElementById('cameraUsername')?.value || '').trim(),
+        cameraPassword: typedPassword || null,
+        clearCameraPassword: !typedPassword && clearPassword
+    };
+}
+
+// ===== Source Connection Test =====
+async function testStreamSource() {
+    if (!selectedRoomId) return;
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+        showMessage("Not connected to server.", true);
+        return;
+    }
+
+    const room = currentRooms.find(r => r.id === selectedRoomId);
+    if (!room) return;
+
+    const sourceType = document.getElementById('streamSourceType')?.value || 'rtsp';
+    const cameraStreamUrl = (document.getElementById('cameraStreamUrl')?.value || '').trim();
+    if (sourceType === 'rtsp') {
+        const urlError = validateCameraStreamUrl() ?? (cameraStreamUrl ? null : "Enter the camera stream URL first");
+        if (urlError) {
+            renderSourceTestResult({ reachable: false, failureReason: urlError });
+            return;
+        }
+    }
+
+    // Test what is in the form, including a password typed but not saved yet
+    const testedRoom = {
+        id: room.id,
+        name: room.name,
+        streamSourceType: sourceType,
+        cameraStreamUrl,
+        nestDeviceId: document.getElementById('nestDeviceSelect')?.value || '',
+        ...collectCameraCredentials()
+    };
+
+    const button = document.getElementById('testSourceBtn');
+    if (button) {
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Testing...';
+    }
+
+    try {
+        const result = await connection.invoke("TestStreamSource", testedRoom);
+        // Ignore a late answer for a room the user has already moved away from
+        if (selectedRoomId === room.id) renderSourceTestResult(result);
+    } catch (err) {
+        console.error("Error testing stream source:", err);
+        renderSourceTestResult({ reachable: false, failureReason: "The test could not be run" });
+    } finally {
+        if (button) {
+            button.disabled = false;
+            button.innerHTML = '<i class="fas fa-plug"></i> Test Connection';
+        }
+    }
+}
+
+function renderSourceTestResult(result) {
+    const container = document.getElementById('sourceTestResult');
+    if (!container) return;
+
+    const rows = [];
+    const addRow = (label, html) => rows.push(`<span class="source-test-label">${label}</span><span>${html}</span>`);
+
+    if (!result.reachable) {
+        addRow("Connection", `<span class="source-test-error"><i class="fas fa-times-circle"></i> ${escapeHtml(result.failureReason || "Unreachable")}</span>`);
+    } else if (result.deviceCheckOnly) {
+        addRow("Device", '<i class="fas fa-check-circle"></i> Device found');
+        addRow("Stream", '<span class="source-test-warning">Not probed; codecs are negotiated when monitoring starts</span>');
+    } else {
+        addRow("Connection", '<i class="fas fa-check-circle"></i> Reachable');
+        addRow("Audio", result.audioCodecName
+            ? escapeHtml(result.audioCodecName)
+            : '<span class="source-test-warning">No audio stream found</span>');
+
+        const resolution = result.videoWidth && result.videoHeight ? ` (${result.videoWidth}x${result.videoHeight})` : '';
+        addRow("Video", result.videoSourceCodecName
+            ? escapeHtml(result.videoSourceCodecName) + resolution
+            : '<span class="source-test-warning">No video stream found</span>');
+
+        if (result.videoSourceCodecName) {
+            addRow("Passthrough", result.videoPassthroughCodec
+                ? `<i class="fas fa-check"></i> Yes, as ${escapeHtml(result.videoPassthroughCodec)}`
+                : `<span class="source-test-warning">${escapeHtml(result.videoCodecFailureReason || "Not supported")}</span>`);
+        }
+    }
+
+    const thumbnail = result.thumbnailDataUrl?.startsWith('data:image/jpeg;base64,')
+        ? `<img class="source-test-thumbnail" src="${result.thumbnailDataUrl}" alt="Frame from the camera" />`
+        : '';
+
+    container.classList.toggle('failed', !result.reachable);
+    container.innerHTML = `${thumbnail}<div class="source-test-details">${rows.join('')}</div>`;
+    container.style.display = '';
+}
+
+// The codec check the server stored when the room was last saved
+function resetSourceTest(room) {
+    const container = document.getElementById('sourceTestResult');
+    if (container) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+    }
+
+    const saved = document.getElementById('savedCodecInfo');
+    if (!saved) return;
+
+    if (!room.enableVideoStream || !room.videoCodecCheckedAtUtc) {
+        saved.textContent = '';
+        return;
+    }
+
+    const checkedAt = new Date(room.videoCodecCheckedAtUtc).toLocaleString();
+    saved.textContent = room.videoPassthroughCodec
+        ? `Last saved check: ${room.videoSourceCodecName || 'video'} plays as ${room.videoPassthroughCodec} (${checkedAt})`
+        : `Last saved check: ${room.videoCodecFailureReason || 'video not playable'} (${checkedAt})`;
+}
+
 // ===== Nest Source Type Support =====
 function onStreamSourceTypeChanged(nestDeviceId) {
     const sourceType = document.getElementById('streamSourceType')?.value || 'rtsp';
@@ -666,6 +1968,7 @@ function onStreamSourceTypeChanged(nestDeviceId) {
     const nestFields = document.getElementById('nestSourceFields');
 
     if (rtspFields) rtspFields.style.display = sourceType === 'rtsp' ? 'block' : 'none';
+    validateCameraStreamUrl();
     if (nestFields) {
         nestFields.style.display = sourceType === 'google_nest' ? 'block' : 'none';
         if (sourceType === 'google_nest') {
@@ -702,6 +2005,9 @@ async function loadNestDevices(deviceIdToSelect) {
         // Restore selection (prefer explicitly passed device ID over pre-population value)
         const valueToRestore = deviceIdToSelect || currentValue;
         if (valueToRestore) select.value = valueToRestore;
+
+        // Filling the list is not an edit
+        if (!configDirty) markConfigClean();
     } catch (err) {
         console.error("Error loading Nest devices:", err);
         select.innerHTML = '<option value="">Error loading devices</option>';
@@ -1,26 +1,46 @@
-const CACHE_NAME = 'babymonitarr-v1';
-const STATIC_ASSETS = [
-    '/',
-    '/css/site.css',
-    '/js/dashboard.js',
-    '/js/site.js',
-    '/js/system.js',
-    '/images/icon.svg',
-    '/images/icon-192.png',
-    '/images/icon-512.png',
-    '/lib/bootstrap/dist/css/bootstrap.min.css',
-    '/lib/jquery/dist/jquery.min.js',
-    '/lib/bootstrap/dist/js/bootstrap.bundle.min.js'
+// The page registers this worker as /sw.js?v=<app version>, so every release gets its own cache
+const APP_VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'babymonitarr-';
+const CACHE_NAME = `${CACHE_PREFIX}${APP_VERSION}`;
+// Font files Google Fonts picks per browser; cached as they load and kept across versions
+const FONT_CACHE_NAME = `${CACHE_PREFIX}fonts`;
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+const OFFLINE_PAGE = '/offline.html';
+// What to pre-cache, with a hash per file (generated by the server from wwwroot)
+const ASSET_MANIFEST_URL = '/asset-manifest.json';
+// Cached even when the manifest can't be fetched, so the offline page still works
+const FALLBACK_ASSETS = [OFFLINE_PAGE, '/js/offline.js', '/css/site.css', '/images/icon.svg'];
+let assetSyncPromise = null;
+
+// The SignalR client, so notification actions reach the server without a dashboard open
+try {
+    importScripts('/lib/microsoft-signalr/signalr.min.js');
+} catch (err) {
+    console.warn('[sw] SignalR client unavailable; notification actions only reach open dashboards:', err);
+}
+
+// Buttons on room notifications; open dashboards carry each one out (see NOTIFICATION_ACTION),
+// and the server is told about snoozes and stops so its pushes follow them
+const ALERT_SNOOZE_MINUTES = 10;
+const ROOM_NOTIFICATION_ACTIONS = [
+    { action: 'open-room', title: 'Open room' },
+    { action: 'snooze', title: `Snooze ${ALERT_SNOOZE_MINUTES} min` },
+    { action: 'stop-monitoring', title: 'Stop monitoring' }
 ];
 
-// Install — pre-cache static assets
+function getNotificationActions(data) {
+    return data && data.roomId != null ? ROOM_NOTIFICATION_ACTIONS : [];
+}
+
+function isDashboardUrl(url) {
+    const path = new URL(url).pathname.toLowerCase();
+    return path === '/' || path === '/home' || path.startsWith('/home/dashboard');
+}
+
+// Install — pre-cache everything in the asset manifest
 self.addEventListener('install', (event) => {
-    event.waitUntil(
-        caches.open(CACHE_NAME).then((cache) => {
-            return cache.addAll(STATIC_ASSETS);
-        })
-    );
-    self.skipWaiting();
+    event.waitUntil(syncAssetCache());
+    // No skipWaiting() here: an update waits until the page asks for it (SKIP_WAITING)
 });
 
 // Activate — clean old caches
@@ -28,7 +48,7 @@ self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys().then((keys) => {
             return Promise.all(
-                keys.filter((key) => key !== CACHE_NAME)
+                keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME && key !== FONT_CACHE_NAME)
                     .map((key) => caches.delete(key))
             );
         })
@@ -36,44 +56,208 @@ self.addEventListener('activate', (event) => {
     self.clients.claim();
 });
 
-// Fetch — network-first for navigation/API, cache-first for static assets
+// Bring this version's cache in line with the asset manifest. Entries whose hash matches a copy this
+// cache or an older version's cache already holds are kept or copied across; only new and changed
+// files are downloaded. Each file is cached on its own, so one failure is logged and retried next sync.
+function syncAssetCache() {
+    if (!assetSyncPromise) {
+        assetSyncPromise = runAssetSync().finally(() => {
+            assetSyncPromise = null;
+        });
+    }
+    return assetSyncPromise;
+}
+
+async function runAssetSync() {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await readCachedManifest(cache);
+    let manifest = await fetchAssetManifest();
+    if (!manifest) {
+        // Keep what an earlier sync cached; a first install makes do with the offline page
+        if (cached.size > 0) return;
+        manifest = { version: APP_VERSION, assets: FALLBACK_ASSETS.map((url) => ({ url: url, hash: '' })) };
+    }
+
+    const previous = await readPreviousAssets();
+    let downloaded = 0;
+    const results = await Promise.all(manifest.assets.map(async (entry) => {
+        try {
+            if (cached.get(entry.url) === entry.hash && await cache.match(entry.url)) {
+                return entry;
+            }
+
+            const older = previous.get(entry.url);
+            const copy = older && older.hash === entry.hash ? await older.cache.match(entry.url) : undefined;
+            if (copy) {
+                await cache.put(entry.url, copy);
+                return entry;
+            }
+
+            await cache.put(entry.url, await fetchAsset(entry.url));
+            downloaded++;
+            return entry;
+        } catch (err) {
+            console.warn(`[sw] Could not cache ${entry.url}:`, err);
+            return null;
+        }
+    }));
+
+    // Files that left the manifest
+    const current = new Set(manifest.assets.map((entry) => entry.url));
+    await Promise.all([...cached.keys()]
+        .filter((url) => !current.has(url))
+        .map((url) => cache.delete(url)));
+
+    // Only what was stored is recorded, so failed files are fetched again next time
+    const stored = results.filter(Boolean);
+    await cache.put(ASSET_MANIFEST_URL, new Response(
+        JSON.stringify({ version: manifest.version, assets: stored }),
+        { headers: { 'Content-Type': 'application/json' } }
+    ));
+
+    const failed = manifest.assets.length - stored.length;
+    console.info(`[sw] ${CACHE_NAME}: ${stored.length} assets cached (${downloaded} downloaded), ${failed} failed`);
+}
+
+function fetchAssetManifest() {
+    return fetch(ASSET_MANIFEST_URL, { cache: 'no-store' }).then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    }).catch((err) => {
+        console.warn('[sw] Asset manifest unavailable:', err);
+        return null;
+    });
+}
+
+// CORS for the CDN fonts, so the cached copy is a readable response rather than an opaque one
+function fetchAsset(url) {
+    return fetch(url, { mode: 'cors', cache: 'no-cache' }).then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response;
+    });
+}
+
+async function readCachedManifest(cache) {
+    const response = await cache.match(ASSET_MANIFEST_URL);
+    const manifest = response ? await response.json().catch(() => null) : null;
+    return new Map((manifest && Array.isArray(manifest.assets) ? manifest.assets : [])
+        .map((entry) => [entry.url, entry.hash]));
+}
+
+// Older versions' caches are still around while this version installs
+async function readPreviousAssets() {
+    const previous = new Map();
+    const keys = await caches.keys();
+    for (const key of keys) {
+        if (!key.startsWith(CACHE_PREFIX) || key === CACHE_NAME || key === FONT_CACHE_NAME) continue;
+        const cache = await caches.open(key);
+        for (const [url, hash] of await readCachedManifest(cache)) {
+            previous.set(url, { hash: hash, cache: cache });
+        }
+    }
+    return previous;
+}
+
+// Cache-first, storing network responses in the given cache
+function cacheFirst(request, cacheName, matchOptions) {
+    return caches.match(request, matchOptions).then((cached) => {
+        return cached || fetch(request).then((response) => {
+            if (response.ok) {
+                const clone = response.clone();
+                caches.open(cacheName).then((cache) => cache.put(request, clone));
+            }
+            return response;
+        });
+    });
+}
+
+// Stale-while-revalidate: answer from the cache straight away and refresh it in the background.
+// A miss goes to the network; offline, fall back to the pre-cached copy without the ?v= hash.
+function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cachedPromise = caches.match(request);
+    const networkPromise = fetch(request).then((response) => {
+        if (response.ok) {
+            const clone = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, clone));
+        }
+        return response;
+    });
+
+    event.waitUntil(networkPromise.catch(() => undefined));
+
+    return cachedPromise.then((cached) => {
+        return cached || networkPromise.catch(() => {
+            return caches.match(request, { ignoreSearch: true }).then((fallback) => {
+                return fallback || new Response('Offline', { status: 503 });
+            });
+        });
+    });
+}
+
+function offlineResponse() {
+    return caches.match(OFFLINE_PAGE).then((cached) => {
+        return cached || new Response('Offline', { status: 503 });
+    });
+}
+
+// Fetch — network-first for navigation/API, stale-while-revalidate for app scripts and styles,
+// cache-first for libraries, images and fonts
 self.addEventListener('fetch', (event) => {
     const url = new URL(event.request.url);
 
+    // Fonts and icon styles from the CDNs; anything else cross-origin goes straight to the network
+    if (url.origin !== self.location.origin) {
+        if (event.request.method === 'GET' && FONT_HOSTS.includes(url.hostname)) {
+            event.respondWith(cacheFirst(event.request, FONT_CACHE_NAME, { ignoreVary: true }));
+        }
+        return;
+    }
+
     // Skip SignalR and API requests — always network
     if (url.pathname.startsWith('/audioHub') || url.pathname.startsWith('/api/')) {
         return;
     }
 
-    // Static assets — cache-first
-    if (STATIC_ASSETS.includes(url.pathname) || url.pathname.startsWith('/lib/') || url.pathname.startsWith('/images/')) {
+    // Navigation — network-first, falling back to the offline page (it retries and reloads the original URL)
+    if (event.request.mode === 'navigate') {
         event.respondWith(
-            caches.match(event.request).then((cached) => {
-                return cached || fetch(event.request).then((response) => {
-                    if (response.ok) {
-                        const clone = response.clone();
-                        caches.open(CACHE_NAME).then((cache) => cache.put(event.request, clone));
-                    }
-                    return response;
-                });
-            })
+            fetch(event.request).then((response) => {
+                // A reverse proxy answers for the server while it is down
+                return response.status >= 502 && response.status <= 504 ? offlineResponse() : response;
+            }).catch(offlineResponse)
         );
         return;
     }
 
-    // Navigation — network-first with cache fallback
-    if (event.request.mode === 'navigate') {
-        event.respondWith(
-            fetch(event.request).catch(() => {
-                return caches.match('/') || new Response('Offline', { status: 503 });
-            })
-        );
+    // App scripts and styles change with every release
+    if (url.pathname.startsWith('/js/') || url.pathname.startsWith('/css/')) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+
+    // Libraries and images — cache-first. Pages add ?v= to library URLs, and the manifest sync
+    // keeps the pre-cached copy current, so the query is ignored
+    if (url.pathname.startsWith('/lib/') || url.pathname.startsWith('/images/')) {
+        event.respondWith(cacheFirst(event.request, CACHE_NAME, { ignoreSearch: true }));
         return;
     }
 });
 
-// Handle messages from main thread for notifications
+// Handle messages from main thread for notifications and updates
 self.addEventListener('message', (event) => {
+    // The user accepted the "update available" prompt
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+        return;
+    }
+
+    // A page loaded; pick up assets that changed on the server without a version bump
+    if (event.data && event.data.type === 'REFRESH_ASSETS') {
+        event.waitUntil(syncAssetCache());
+        return;
+    }
+
     if (event.data && event.data.type === 'SHOW_NOTIFICATION') {
         const { title, body, tag, icon, data } = event.data;
         self.registration.showNotification(title, {
@@ -82,26 +266,110 @@ self.addEventListener('message', (event) => {
             badge: '/images/icon-192.png',
             tag: tag,
             data: data,
+            actions: getNotificationActions(data),
             silent: false,
             vibrate: [0, 200, 100, 200, 100, 400]
         });
     }
 });
 
-// Handle notification click — focus or open the app
+// Web Push from the server — sound alerts and lost connections arrive even with the app closed
+self.addEventListener('push', (event) => {
+    let message = {};
+    try {
+        message = event.data ? event.data.json() : {};
+    } catch (err) {
+        message = { body: event.data ? event.data.text() : '' };
+    }
+
+    // Same tags as the in-page notifications, so an open dashboard and a push replace each other
+    const data = { url: '/', type: message.type, roomId: message.roomId };
+    event.waitUntil(
+        self.registration.showNotification(message.title || 'BabyMonitarr', {
+            body: message.body || '',
+            icon: '/images/icon-192.png',
+            badge: '/images/icon-192.png',
+            tag: message.tag || 'babymonitarr-push',
+            renotify: message.type === 'sound-alert',
+            requireInteraction: message.type === 'connection-lost',
+            data: data,
+            actions: getNotificationActions(data),
+            silent: false,
+            vibrate: [0, 200, 100, 200, 100, 400]
+        })
+    );
+});
+
+// Handle notification click — focus or open the app (at the notification's link, e.g. an alert clip),
+// or hand an action button to the dashboard
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
+    const data = event.notification.data || {};
+    const url = data.url || '/';
+
+    if (event.action && data.roomId != null) {
+        event.waitUntil(routeNotificationAction(event.action, data.roomId));
+        return;
+    }
 
     event.waitUntil(
         self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
-            // Focus existing window if available
-            for (const client of clients) {
-                if (client.url.includes(self.location.origin) && 'focus' in client) {
-                    return client.focus();
-                }
+            // Focus existing window if available, preferring the dashboard
+            const sameOrigin = clients.filter((client) => client.url.includes(self.location.origin) && 'focus' in client);
+            const client = sameOrigin.find((c) => isDashboardUrl(c.url)) || sameOrigin[0];
+            if (client) {
+                client.postMessage({ type: 'NOTIFICATION_CLICK', url: url });
+                return client.focus();
             }
             // Otherwise open a new window
-            return self.clients.openWindow('/');
+            return self.clients.openWindow(url);
         })
     );
 });
+
+function routeNotificationAction(action, roomId) {
+    return Promise.all([
+        sendNotificationActionToServer(action, roomId),
+        sendNotificationActionToDashboards(action, roomId)
+    ]);
+}
+
+async function sendNotificationActionToServer(action, roomId) {
+    if (action !== 'snooze' && action !== 'stop-monitoring') return;
+    if (typeof signalR === 'undefined') return;
+
+    const hub = new signalR.HubConnectionBuilder()
+        .withUrl('/audioHub')
+        .configureLogging(signalR.LogLevel.Warning)
+        .build();
+    try {
+        await hub.start();
+        if (action === 'snooze') {
+            await hub.invoke('SnoozeRoomPushes', Number(roomId), ALERT_SNOOZE_MINUTES);
+        } else {
+            await hub.invoke('SetRoomPushesMuted', Number(roomId), true);
+        }
+    } catch (err) {
+        console.warn(`[sw] Could not send ${action} for room ${roomId} to the server:`, err);
+    } finally {
+        await hub.stop();
+    }
+}
+
+function sendNotificationActionToDashboards(action, roomId) {
+    return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+        const dashboards = clients.filter((client) => client.url.includes(self.location.origin) && isDashboardUrl(client.url));
+
+        if (dashboards.length > 0) {
+            // Every open dashboard keeps its own monitoring state, so all of them act on it
+            for (const client of dashboards) {
+                client.postMessage({ type: 'NOTIFICATION_ACTION', action: action, roomId: roomId });
+            }
+            return action === 'open-room' && 'focus' in dashboards[0] ? dashboards[0].focus() : undefined;
+        }
+
+        // No dashboard open: the server already has snoozes and stops; only opening a room needs one
+        if (action !== 'open-room') return undefined;
+        return self.clients.openWindow(`/#action=${encodeURIComponent(action)}&room=${encodeURIComponent(roomId)}`);
+    });
+}